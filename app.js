@@ -6,6 +6,27 @@ import { SimulationController } from './controllers/SimulationController.js';
 import { CodeController } from './controllers/CodeController.js';
 import { CanvasMemoryVizController } from './controllers/CanvasMemoryVizController.js';
 import { StatusRegister } from './classes/StatusRegister.js';
+import { CpuProfile } from './classes/CpuProfile.js';
+
+/**
+ * @typedef {Object} ExecutionStateView
+ * @property {boolean} running
+ * @property {boolean} slowMode
+ * @property {boolean} fastMode
+ * @property {boolean} realTimeMode
+ * @property {number} fastModeSteps
+ **/
+
+/**
+ * @typedef {Object} PerformanceMetricsView
+ * @property {number} instructionCount
+ * @property {number} frameCount
+ * @property {number} fps
+ * @property {number} ips
+ * @property {number} runStartTime
+ * @property {number} elapsedTime
+ * @property {number} realTimeLagMs
+ **/
 
 export class App {
     /** @type {Simulation} */
@@ -56,6 +77,7 @@ export class App {
             ['runSlowBtn', document.getElementById('run_slow')],
             ['runBtn', document.getElementById('run')],
             ['runFastBtn', document.getElementById('run_fast')],
+            ['runRealTimeBtn', document.getElementById('run_real_time')],
             ['stepInstructionBtn', document.getElementById('step_instruction')],
             ['stepStateBtn', document.getElementById('step_state')],
             ['runningEl', document.getElementById('running')],
@@ -63,6 +85,9 @@ export class App {
             ['nextStateEl', document.getElementById('next_state')],
             ['fpsEl', document.getElementById('fps')],
             ['ipsEl', document.getElementById('ips')],
+            ['cyclesEl', document.getElementById('cycles')],
+            ['simTimeEl', document.getElementById('sim_time')],
+            ['realTimeLagEl', document.getElementById('real_time_lag')],
             ['registerRow', document.getElementById('register_row')],
             ['wpEl', document.getElementById('wp')],
             ['pcEl', document.getElementById('pc')],
@@ -83,7 +108,12 @@ export class App {
             ['clearErrorsBtn', document.getElementById('clear_errors')],
             ['vizContainer', document.getElementById('viz')],
             ['fastModeStepsSlider', document.getElementById('fast_mode_steps')],
-            ['fastModeStepsDisplay', document.getElementById('fast_mode_steps_display')]
+            ['fastModeStepsDisplay', document.getElementById('fast_mode_steps_display')],
+            ['cpuProfileSelect', document.getElementById('cpu_profile')],
+            ['clockRateInput', document.getElementById('clock_rate')],
+            ['waitStatesInput', document.getElementById('wait_states')],
+            ['saveSnapshotBtn', document.getElementById('save_snapshot')],
+            ['loadSnapshotInput', document.getElementById('load_snapshot')]
         ]));
 
         // Verify all elements exist - after this check, all elements are guaranteed non-null
@@ -227,6 +257,7 @@ export class App {
             this.simulationController.stop();
             this.simulationController.setSlowMode(false);
             this.simulationController.setFastMode(false);
+            this.simulationController.setRealTimeMode(false);
             this.simulationController.start();
             if (this.appAnimationFrameId === null) {
                 this.appAnimationFrameId = requestAnimationFrame(this.applicationLoop.bind(this));
@@ -239,6 +270,7 @@ export class App {
             this.simulationController.stop();
             this.simulationController.setSlowMode(true);
             this.simulationController.setFastMode(false);
+            this.simulationController.setRealTimeMode(false);
             this.simulationController.start();
             if (this.appAnimationFrameId === null) {
                 this.appAnimationFrameId = requestAnimationFrame(this.applicationLoop.bind(this));
@@ -251,6 +283,18 @@ export class App {
             this.simulationController.stop();
             this.simulationController.setSlowMode(false);
             this.simulationController.setFastMode(true);
+            this.simulationController.setRealTimeMode(false);
+            this.simulationController.start();
+            if (this.appAnimationFrameId === null) {
+                this.appAnimationFrameId = requestAnimationFrame(this.applicationLoop.bind(this));
+            }
+        });
+
+        this.getElement('runRealTimeBtn').addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.simulationController.stop();
+            this.simulationController.setRealTimeMode(true);
             this.simulationController.start();
             if (this.appAnimationFrameId === null) {
                 this.appAnimationFrameId = requestAnimationFrame(this.applicationLoop.bind(this));
@@ -327,6 +371,74 @@ export class App {
             this.simulationController.fastModeSteps = value;
             fastModeStepsDisplay.textContent = value.toString();
         });
+
+        // CPU profile picker
+        const cpuProfileSelect = /** @type {HTMLSelectElement} */ (this.getElement('cpuProfileSelect'));
+        for (const profile of CpuProfile.getAll()) {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.label;
+            cpuProfileSelect.appendChild(option);
+        }
+        cpuProfileSelect.value = this.simulation.cpu_profile;
+        cpuProfileSelect.addEventListener('change', () => {
+            this.simulation.cpu_profile = cpuProfileSelect.value;
+        });
+
+        // Clock rate and wait states, for the cycle count and simulated time
+        const clockRateInput = /** @type {HTMLInputElement} */ (this.getElement('clockRateInput'));
+        clockRateInput.value = (this.simulation.clock_rate / 1000000).toString();
+        clockRateInput.addEventListener('change', () => {
+            const mhz = parseFloat(clockRateInput.value);
+            if (mhz > 0) {
+                this.simulation.clock_rate = mhz * 1000000;
+            }
+            clockRateInput.value = (this.simulation.clock_rate / 1000000).toString();
+        });
+
+        const waitStatesInput = /** @type {HTMLInputElement} */ (this.getElement('waitStatesInput'));
+        waitStatesInput.value = this.simulation.wait_states.toString();
+        waitStatesInput.addEventListener('change', () => {
+            const count = parseInt(waitStatesInput.value, 10);
+            if (count >= 0) {
+                this.simulation.wait_states = count;
+            }
+            waitStatesInput.value = this.simulation.wait_states.toString();
+        });
+
+        // Machine snapshots, saved to and loaded from JSON files
+        this.getElement('saveSnapshotBtn').addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            try {
+                const json = this.simulationController.saveSnapshot();
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+                link.download = 'snapshot.json';
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                this.showError(`Failed to save snapshot: ${errorMessage}`);
+            }
+        });
+
+        const loadSnapshotInput = /** @type {HTMLInputElement} */ (this.getElement('loadSnapshotInput'));
+        loadSnapshotInput.addEventListener('change', () => {
+            const file = loadSnapshotInput.files ? loadSnapshotInput.files[0] : null;
+            if (!file) {
+                return;
+            }
+            file.text().then((json) => {
+                this.simulationController.restoreSnapshot(json);
+            }).catch(/** @param {any} error */ (error) => {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                this.showError(`Failed to load snapshot: ${errorMessage}`);
+            }).finally(() => {
+                // Let the same file be picked again
+                loadSnapshotInput.value = '';
+            });
+        });
     }
 
     setupControllerEventListeners() {
@@ -388,6 +500,18 @@ export class App {
             });
         });
 
+        // A snapshot brings its own settings, so the controls need to catch up
+        this.simulationController.addEventListener('snapshotRestored', () => {
+            const cpuProfileSelect = /** @type {HTMLSelectElement} */ (this.getElement('cpuProfileSelect'));
+            cpuProfileSelect.value = this.simulation.cpu_profile;
+            const clockRateInput = /** @type {HTMLInputElement} */ (this.getElement('clockRateInput'));
+            clockRateInput.value = (this.simulation.clock_rate / 1000000).toString();
+            const waitStatesInput = /** @type {HTMLInputElement} */ (this.getElement('waitStatesInput'));
+            waitStatesInput.value = this.simulation.wait_states.toString();
+            this.memoryChangedThisFrame = true;
+            this.updateAllSimulationDisplays(-1);
+        });
+
         this.simulationController.addEventListener('executionError', (event) => {
             const customEvent = /** @type {CustomEvent} */ (event);
             console.error('Simulation execution error:', customEvent.detail.error);
@@ -452,7 +576,7 @@ export class App {
     // === UI Update Methods ===
     updateSimulationState() {
         // Update running/stopped status, flow states
-        const executionState = /** @type {{running: boolean, slowMode: boolean, fastMode: boolean, fastModeSteps: number}} */ (this.simulationController.getExecutionState());
+        const executionState = /** @type {ExecutionStateView} */ (this.simulationController.getExecutionState());
         const simulation = this.simulationController.getSimulation();
 
         // Update running status
@@ -461,12 +585,17 @@ export class App {
         if (executionState.running) {
             if (executionState.fastMode) {
                 runningText = 'Yes (fast)';
+            } else if (executionState.realTimeMode) {
+                runningText = 'Yes (real time)';
             } else if (executionState.slowMode) {
                 runningText = 'Yes (slow)';
             } else {
                 runningText = 'Yes';
             }
         }
+        if (simulation.isIdle()) {
+            runningText = executionState.running ? 'Idle' : 'No (idle)';
+        }
         runningEl.textContent = runningText;
 
         // Update flow states
@@ -477,12 +606,24 @@ export class App {
         nextStateEl.textContent = simulation.flow.flow_state || '--';
 
         // Update performance metrics
-        const metrics = /** @type {{instructionCount: number, frameCount: number, fps: number, ips: number, runStartTime: number, elapsedTime: number}} */ (this.simulationController.getPerformanceMetrics());
+        const metrics = /** @type {PerformanceMetricsView} */ (this.simulationController.getPerformanceMetrics());
         const fpsEl = this.getElement('fpsEl');
         fpsEl.textContent = metrics.fps ? metrics.fps.toFixed(1) : '--';
 
         const ipsEl = this.getElement('ipsEl');
         ipsEl.textContent = metrics.ips ? metrics.ips.toFixed(0) : '--';
+
+        // Update the cycle count and how long that would have taken for real
+        const cyclesEl = this.getElement('cyclesEl');
+        cyclesEl.textContent = simulation.cycle_count.toString();
+
+        const simTimeEl = this.getElement('simTimeEl');
+        simTimeEl.textContent = simulation.elapsed_microseconds.toFixed(1);
+
+        // How far behind the wall clock real time mode has fallen
+        const realTimeLagEl = this.getElement('realTimeLagEl');
+        const showLag = executionState.running && executionState.realTimeMode;
+        realTimeLagEl.textContent = showLag ? metrics.realTimeLagMs.toFixed(1) : '--';
     }
 
     /**
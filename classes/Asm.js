@@ -199,7 +199,7 @@ class Asm {
 
             const f_instr = instr.opcode_def.name.padEnd(8, ' ');
             const f_params = [];
-            for (const param_name of instr.opcode_def.format_info.asm_param_order) {
+            for (const param_name of instr.opcode_def.asm_param_order) {
                 if (param_name == '_immediate_word_') {
                     const imword = number_to_hex(instr.getImmediateValue());
                     f_params.push(`>${imword}`);
@@ -693,14 +693,16 @@ class Asm {
         // Format 12 instructions are "interruptable" and store their state in a
         // specified register called the checkpoint register.  A default can be
         // be specified via the CKPT PI (done above).  If the third param in the
-        // instruction is blank or omitted, we need to swap it in.
+        // instruction is blank or omitted, we need to swap it in.  That's the
+        // fourth param, after S, D, and the byte count.
         // The spec says that this swap should not occur if there is no previous
         // defined CKPT, but we ignore that and define the default CKPT as R10.
         if (line.line_type == 'instruction' && OpInfo.opNameIsValid(line.instruction)) {
             const opcode_def = OpInfo.getFromOpName(line.instruction);
-            if (opcode_def.format == 12 && !looks_like_register(line.instruction_params[2])) {
+            const ckpt_param = line.instruction_params[3] ?? '';
+            if (opcode_def.format == 12 && !looks_like_register(ckpt_param)) {
                 /** @FIXME instruction_argument should **NEVER** be overwritten this way! */
-                line.instruction_params[2] = `R${this.#current_ckpt_default.toString()}`;
+                line.instruction_params[3] = `R${this.#current_ckpt_default.toString()}`;
                 line.instruction_argument = line.instruction_params.join(',');
                 line.parsed_params = this.#parseParams(line.instruction_argument, line.line_number).params;
                 line.instruction_params = line.parsed_params.map( (pp) => { return pp.value; } );
@@ -1243,7 +1245,7 @@ class Asm {
             throw new Error(`Illegal instruction (1) while parsing line ${line.line_number}`);
         }
         // These are the ones we see in the assembly text
-        const asm_param_list = inst.opcode_def.format_info.asm_param_order;
+        const asm_param_list = inst.opcode_def.asm_param_order;
         // These are the ones we put into the bytecode output
         const opcode_param_list = Object.keys(inst.opcode_def.args);
         // We're dealing with assembly-side things.
@@ -1257,7 +1259,7 @@ class Asm {
                 const res = this.#registerStringToAddressingModeHelper(this_param);
                 inst.setParam('Ts', res[0]);
                 inst.setParam('S', res[1]);
-                if (res[0] == 2 && res[1] == 0 && inst.opcode_def.has_possible_immediate_source) {
+                if (res[0] == 2 && inst.opcode_def.has_possible_immediate_source) {
                     inst.setImmediateSourceValue(res[2]);
                 }
                 continue;
@@ -1267,7 +1269,7 @@ class Asm {
                 const res = this.#registerStringToAddressingModeHelper(this_param);
                 inst.setParam('Td', res[0]);
                 inst.setParam('D', res[1]);
-                if (res[0] == 2 && res[1] == 0 && inst.opcode_def.has_possible_immediate_dest) {
+                if (res[0] == 2 && inst.opcode_def.has_possible_immediate_dest) {
                     inst.setImmediateDestValue(res[2]);
                 }
                 continue;
@@ -1366,7 +1368,7 @@ class Asm {
             const value_regex = /^@(0x|0b|>)?([0-9A-F]+)/;
             const value_test = register_string.match(value_regex);
             if (value_test) {
-                immediate_word = asm_number_format(value_test[2]);
+                immediate_word = asm_number_format((value_test[1] ?? '') + value_test[2]);
             } else {
                 throw new Error('Parse error extracting a Symbolic or Indexed (mode=2) immediate value');
             }
@@ -0,0 +1,87 @@
+// @ts-check
+
+/**
+ * @typedef {Object} AttachedProcessorRequest
+ * @property {number} opcode                The opcode word that was claimed
+ * @property {number} address               Where the opcode lives
+ * @property {number} workspace_pointer     The WP of the program that ran into it
+ * @property {import("./SimulationState.js").SimulationState} simstate
+ **/
+
+/**
+ * @typedef {Object} AttachedProcessor
+ * @property {function(number,number):boolean} claimsOpcode    Given a MID opcode and its address, do we want it?
+ * @property {function(AttachedProcessorRequest):void} begin   Start work on a claimed opcode
+ * @property {function():boolean} step                         Do some work, returning true while still busy
+ **/
+
+/**
+ * AttachedProcessorInterface: Where an attached processor plugs in.
+ *
+ * The 99000 family can hand MID opcodes off to another chip sitting on the
+ * bus, like a floating point unit.  The attached processor watches opcodes
+ * being fetched, and raises the APP signal when it sees one it wants.  The CPU
+ * then switches to the interrupt 2 workspace and waits for APP to drop again.
+ * See Flow states F and F2, and section 8 of the manual.
+ *
+ * Our attached processors are JS objects.  When a MID opcode is fetched, the
+ * processor is asked if it claims it.  If it does, it's told to begin once
+ * the Flow gets to state F, and then stepped once per Flow step until it says
+ * it's done.  The PC points at the claimed opcode when it begins, and it's up
+ * to the processor to leave the PC pointing at whatever should run next.
+ * Everything else it needs to find, like the program's registers, can be
+ * reached through the simstate and the workspace pointer in the request.
+ *
+ * Only one processor can be attached at a time.
+ **/
+export class AttachedProcessorInterface {
+    /** @type {AttachedProcessor|null} */
+    #processor = null;
+
+    /** @param {AttachedProcessor} processor */
+    attach(processor) {
+        this.#processor = processor;
+    }
+
+    detach() {
+        this.#processor = null;
+    }
+
+    get attached() { return this.#processor !== null; }
+
+    /**
+     * Would the attached processor raise APP for this opcode?
+     * @param {number} opcode
+     * @param {number} address
+     * @returns {boolean}
+     **/
+    claimsOpcode(opcode, address) {
+        if (!this.#processor) {
+            return false;
+        }
+        return !!this.#processor.claimsOpcode(opcode, address);
+    }
+
+    /**
+     * @param {AttachedProcessorRequest} request
+     **/
+    begin(request) {
+        if (!this.#processor) {
+            throw new Error('AttachedProcessorInterface.begin called without a processor, you have a bug.');
+        }
+        this.#processor.begin(request);
+    }
+
+    /**
+     * Is APP still being held after another step of work?
+     * @returns {boolean}
+     **/
+    step() {
+        if (!this.#processor) {
+            // Whoever was holding APP has gone away, so it's been dropped.
+            return false;
+        }
+        return !!this.#processor.step();
+    }
+
+}
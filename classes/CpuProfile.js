@@ -0,0 +1,139 @@
+// @ts-check
+
+/** @typedef {import("./OpDef.js").OpDef} OpDef */
+
+/**
+ * @typedef {Object} CpuProfileOptions
+ * @property {boolean} [has_mids]               Do illegal opcodes in the MID ranges become MIDs?
+ * @property {string[]} [mid_groups]            Platform groups that we only have as MIDs
+ * @property {boolean} [has_privileged_mode]    Can anything be off limits to user code?
+ * @property {boolean} [acts_like_990_12]       Same as turning on 990/12 compatibility
+ * @property {string} [cycle_table]             Which CycleTable numbers to go by
+ **/
+
+/**
+ * CpuProfile: Which member of the family are we pretending to be?
+ *
+ * Every OpDef has a platforms table saying which processors and computers in
+ * the family have that instruction.  A profile picks one of those columns, and
+ * opcodes without a check mark in it are treated like they don't exist.
+ *
+ * A check mark doesn't always mean the processor runs the instruction itself.
+ * The 9995 and the 99000s leave a lot of the 990/12 instruction set to MIDs,
+ * and the platform groups say which.  Those get treated like they don't exist
+ * too.  What happens next depends on the processor.  The 99000s turn the ones
+ * in the MID ranges into MIDs, for the macrostore or an attached processor to
+ * deal with.  Everyone else just has illegal opcodes.  The 9995 sends its MIDs
+ * through interrupt 2, which is what happens to illegal opcodes anyway.
+ *
+ * There's more to the differences than the instruction set, and we cover some
+ * of that too:
+ * - The 9900 and 9995, and the 990/4 built around the 9900, don't have a
+ *   privileged mode.  Nothing is off limits, so there are no PRIVOPs.
+ * - The 990/12 profile also turns on 990/12 compatibility.
+ * - The 99000s take far fewer cycles than the 9900 for the same instruction,
+ *   so they get their own CycleTable.  So does the default profile.
+ *
+ * The 99000 column is the 99105A.  The 99110A is the same chip with the single
+ * precision real instructions in its internal macrostore ROM.  We run those
+ * natively, so only the 99110A profile has them.
+ *
+ * The default profile doesn't pick a column.  Everything we know how to run
+ * gets run, which is how things worked before there were profiles.
+ *
+ * Profiles are settings, not state.  They survive a reset.
+ **/
+export class CpuProfile {
+    static get DEFAULT() { return 'any'; }
+
+    #name;
+    #label;
+    #platform;
+    #has_mids;
+    #mid_groups;
+    #has_privileged_mode;
+    #acts_like_990_12;
+    #cycle_table;
+
+    /**
+     * @param {string} name
+     * @param {string} label
+     * @param {string|null} platform        The OpDef platforms column, or null for all of them
+     * @param {CpuProfileOptions} options
+     **/
+    constructor(name, label, platform, options = {}) {
+        this.#name = name;
+        this.#label = label;
+        this.#platform = platform;
+        this.#has_mids = options.has_mids ?? false;
+        this.#mid_groups = options.mid_groups ?? [];
+        this.#has_privileged_mode = options.has_privileged_mode ?? true;
+        this.#acts_like_990_12 = options.acts_like_990_12 ?? false;
+        this.#cycle_table = options.cycle_table ?? '9900';
+    }
+
+    get name() { return this.#name; }
+    get label() { return this.#label; }
+    get platform() { return this.#platform; }
+    get has_mids() { return this.#has_mids; }
+    get has_privileged_mode() { return this.#has_privileged_mode; }
+    get acts_like_990_12() { return this.#acts_like_990_12; }
+    get cycle_table() { return this.#cycle_table; }
+
+    /**
+     * Does this processor have the instruction at all?
+     * @param {OpDef} opdef
+     * @returns {boolean}
+     **/
+    supports(opdef) {
+        if (this.#platform === null) {
+            return true;
+        }
+        if (this.#mid_groups.includes(opdef.platform_group)) {
+            return false;
+        }
+        return !!opdef.platforms[this.#platform];
+    }
+
+    /** @type {CpuProfile[]} */
+    static #profiles = [
+        new CpuProfile('any',       'Anything we can run',  null,       { has_mids: true, cycle_table: '99105' }),
+        new CpuProfile('9900',      'TMS9900',              '9900',     { has_privileged_mode: false }),
+        new CpuProfile('9995',      'TMS9995',              '9995',     {
+            has_privileged_mode: false,
+            mid_groups: ['C', 'D', 'E', 'F32', 'F64'],
+        }),
+        new CpuProfile('99000',     'TMS99105A',            '99000',    {
+            has_mids: true,
+            mid_groups: ['D', 'E', 'F32', 'F64'],
+            cycle_table: '99105',
+        }),
+        new CpuProfile('99110A',    'TMS99110A',            '99110A',   {
+            has_mids: true,
+            mid_groups: ['E', 'F64'],
+            cycle_table: '99105',
+        }),
+        new CpuProfile('990/4',     '990/4',                '990/4',    { has_privileged_mode: false }),
+        new CpuProfile('990/10',    '990/10',               '990/10'),
+        new CpuProfile('990/10A',   '990/10A',              '990/10A'),
+        new CpuProfile('990/12',    '990/12',               '990/12',   { acts_like_990_12: true }),
+    ];
+
+    /** @returns {CpuProfile[]} */
+    static getAll() {
+        return this.#profiles.slice();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {CpuProfile}
+     **/
+    static getFromName(name) {
+        const profile = this.#profiles.find( (p) => { return p.name == name; } );
+        if (!profile) {
+            throw new Error(`Invalid CPU profile: "${name}"`);
+        }
+        return profile;
+    }
+
+}
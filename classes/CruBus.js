@@ -0,0 +1,109 @@
+// @ts-check
+
+/**
+ * @typedef {Object} CruDevice
+ * @property {function(number):number} readCruBit           Given a bit offset from the device base, return 0 or 1
+ * @property {function(number,number):void} writeCruBit     Given a bit offset from the device base, set it to 0 or 1
+ **/
+
+/**
+ * @typedef {Object} CruDeviceRange
+ * @property {number} base
+ * @property {number} bit_count
+ * @property {CruDevice} device
+ **/
+
+/**
+ * CruBus: The Communications Register Unit, a serial bus for talking to devices.
+ *
+ * The CRU is a separate address space of single bits.  Programs pick a base
+ * address by putting it in R12, then use SBO, SBZ, and TB to poke at single
+ * bits relative to it, or LDCR and STCR to move up to 16 bits at once.
+ *
+ * The value in R12 is the "software base."  The CRU bit address is in bits
+ * 3-14 of R12, which is to say that it's R12 divided by two.  The manuals
+ * almost always describe things in terms of the software base, so devices
+ * are registered using that as well.  A device at software base 0x1FC0 has
+ * its first bit at CRU bit address 0x0FE0, and its second at 0x0FE1, which
+ * the manuals then call 0x1FC2.  Sigh.
+ *
+ * Devices are just objects with readCruBit and writeCruBit methods, each taking
+ * the bit offset from the start of the device.  Reads from addresses that no
+ * device has claimed come back as zero, and writes to them go nowhere, just
+ * like reading and writing an empty bus.
+ **/
+export class CruBus {
+    /** @type {CruDeviceRange[]} */
+    #devices = [];
+
+    /**
+     * Turn a software base address, the kind that goes in R12, into a bit address.
+     * @param {number} software_base
+     * @returns {number}
+     **/
+    static softwareBaseToBitAddress(software_base) {
+        return (software_base >> 1) & 0x7FFF;
+    }
+
+    /**
+     * @param {number} software_base
+     * @param {number} bit_count
+     * @param {CruDevice} device
+     **/
+    registerDevice(software_base, bit_count, device) {
+        const base = CruBus.softwareBaseToBitAddress(software_base);
+        for (const range of this.#devices) {
+            const overlaps = base < (range.base + range.bit_count) && range.base < (base + bit_count);
+            if (overlaps) {
+                const hex = software_base.toString(16).toUpperCase().padStart(4, '0');
+                throw new Error(`CRU device at >${hex} overlaps an existing device`);
+            }
+        }
+        this.#devices.push({ base, bit_count, device });
+    }
+
+    /** @param {CruDevice} device */
+    unregisterDevice(device) {
+        this.#devices = this.#devices.filter((range) => { return range.device !== device; });
+    }
+
+    /**
+     * @param {number} bit_address
+     * @returns {CruDeviceRange|null}
+     **/
+    #findDevice(bit_address) {
+        for (const range of this.#devices) {
+            if (bit_address >= range.base && bit_address < (range.base + range.bit_count)) {
+                return range;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} bit_address
+     * @returns {number}
+     **/
+    readBit(bit_address) {
+        bit_address &= 0x7FFF;
+        const range = this.#findDevice(bit_address);
+        if (!range) {
+            return 0;
+        }
+        return range.device.readCruBit(bit_address - range.base) ? 1 : 0;
+    }
+
+    /**
+     * @param {number} bit_address
+     * @param {number} value
+     **/
+    writeBit(bit_address, value) {
+        bit_address &= 0x7FFF;
+        const range = this.#findDevice(bit_address);
+        if (!range) {
+            return;
+        }
+        range.device.writeCruBit(bit_address - range.base, value ? 1 : 0);
+    }
+
+}
@@ -0,0 +1,293 @@
+// @ts-check
+
+/** @typedef {import("./Instruction.js").Instruction} Instruction */
+/** @typedef {import("./ExecutionUnit.js").ExecutionUnit} ExecutionUnit */
+/** @typedef {import("./CpuProfile.js").CpuProfile} CpuProfile */
+
+/**
+ * @typedef {Object} CycleCost
+ * @property {number} cycles            Clock cycles, not counting wait states
+ * @property {number} memory_accesses   Each one costs the wait states on top
+ **/
+
+/**
+ * @typedef {Object} CycleTableData
+ * @property {Object.<string, number[]>} instructions
+ * @property {number[]} default_cost        Anything not in the instructions
+ * @property {number[][]} address_modes     What a general address operand adds, by T field
+ * @property {number[]} indexed             Indexed, instead of symbolic
+ * @property {number[]} byte_autoincrement  *Rn+ on a byte operand
+ * @property {number[]} context_switch
+ * @property {number[]} idle_step
+ * @property {number} per_shift             Per bit shifted
+ * @property {number[]} shift_count_in_r0   On top, when the count comes from R0
+ * @property {number} per_cru_bit           LDCR, and STCR unless stcr_cycles says otherwise
+ * @property {((count: number) => number)|null} stcr_cycles
+ * @property {number[]} per_length          Per byte of a string or multiple precision operand
+ **/
+
+/**
+ * CycleTable: How long does an instruction take?
+ *
+ * The data manuals give instruction execution times as a table of clock
+ * cycles and memory accesses for each instruction, and a second table of
+ * what gets added on for each general address operand, depending on its
+ * addressing mode.  The time taken is then
+ *
+ *     cycles + (wait states * memory accesses)
+ *
+ * clock cycles, where the wait states are however many the memory adds to
+ * every access.  Fast memory adds none.
+ *
+ * There are two tables, and the CPU profile picks one.  The '9900' numbers are
+ * from Table 3 of the "TMS 9900 Microprocessor Data Manual."  The '99105'
+ * numbers are from the instruction execution time tables in the "TMS 99105A
+ * and TMS 99110A 16-Bit Microprocessors" data manual.  The 99000s get through
+ * most instructions in a third of the cycles or less.  The 9995 and the 990
+ * computers use the 9900 table, which is only an estimate for most of them.
+ *
+ * Neither manual has everything we can run.  The 9900 table has nothing for
+ * the 99000 and 990/12 additions, and the 99105 table has nothing for the ones
+ * it leaves to MIDs.  Those get the default_cost, which is what a register to
+ * register A costs.
+ *
+ * Some instructions take a different amount of time depending on what they
+ * do.  Shifts and LDCR/STCR depend on the count in the opcode, which we go
+ * by.  If the shift count comes from R0, we assume the worst, same for DIV.
+ * Jumps all count as taken.  String and multiple precision instructions take
+ * per_length on top for each byte they work through, which the ExecutionUnit
+ * knows.  X takes as long as the instruction it ran, on top of its own time.
+ **/
+export class CycleTable {
+    /** @type {Object.<string, CycleTableData>} */
+    static #tables = {
+        '9900': {
+            instructions: {
+                'A':    [14, 4],    'AB':   [14, 4],    'ABS':  [14, 4],    'AI':   [14, 4],
+                'ANDI': [14, 4],    'B':    [8, 2],     'BL':   [12, 3],    'BLWP': [26, 6],
+                'C':    [14, 3],    'CB':   [14, 3],    'CI':   [14, 3],    'CKOF': [12, 1],
+                'CKON': [12, 1],    'CLR':  [10, 3],    'COC':  [14, 3],    'CZC':  [14, 3],
+                'DEC':  [10, 3],    'DECT': [10, 3],    'DIV':  [124, 6],   'IDLE': [12, 1],
+                'INC':  [10, 3],    'INCT': [10, 3],    'INV':  [10, 3],    'JEQ':  [10, 1],
+                'JGT':  [10, 1],    'JH':   [10, 1],    'JHE':  [10, 1],    'JL':   [10, 1],
+                'JLE':  [10, 1],    'JLT':  [10, 1],    'JMP':  [10, 1],    'JNC':  [10, 1],
+                'JNE':  [10, 1],    'JNO':  [10, 1],    'JOC':  [10, 1],    'JOP':  [10, 1],
+                'LDCR': [20, 3],    'LI':   [12, 3],    'LIMI': [16, 2],    'LREX': [12, 1],
+                'LWPI': [10, 2],    'MOV':  [14, 4],    'MOVB': [14, 4],    'MPY':  [52, 5],
+                'NEG':  [12, 3],    'ORI':  [14, 4],    'RSET': [12, 1],    'RTWP': [14, 4],
+                'S':    [14, 4],    'SB':   [14, 4],    'SBO':  [12, 2],    'SBZ':  [12, 2],
+                'SETO': [10, 3],    'SLA':  [12, 3],    'SOC':  [14, 4],    'SOCB': [14, 4],
+                'SRA':  [12, 3],    'SRC':  [12, 3],    'SRL':  [12, 3],    'STCR': [42, 4],
+                'STST': [8, 2],     'STWP': [8, 2],     'SWPB': [10, 3],    'SZC':  [14, 4],
+                'SZCB': [14, 4],    'TB':   [12, 2],    'X':    [8, 2],     'XOP':  [36, 8],
+                'XOR':  [14, 4],
+            },
+            default_cost: [14, 4],
+            address_modes: [
+                [0, 0],     // Rn
+                [4, 1],     // *Rn
+                [8, 1],     // @LABEL
+                [8, 2],     // *Rn+
+            ],
+            indexed: [8, 2],
+            byte_autoincrement: [6, 2],
+            context_switch: [22, 5],
+            idle_step: [12, 1],
+            per_shift: 2,
+            shift_count_in_r0: [8, 1],
+            per_cru_bit: 2,
+            stcr_cycles: (count) => { return CycleTable.#stcr9900Cycles(count); },
+            per_length: [8, 2],
+        },
+        '99105': {
+            instructions: {
+                'A':    [4, 4],     'AB':   [4, 4],     'ABS':  [5, 3],     'AI':   [4, 4],
+                'AM':   [11, 4],    'ANDI': [4, 4],     'B':    [3, 2],     'BIND': [6, 3],
+                'BL':   [5, 3],     'BLSK': [8, 4],     'BLWP': [11, 6],    'C':    [4, 3],
+                'CB':   [4, 3],     'CI':   [4, 3],     'CKOF': [7, 1],     'CKON': [7, 1],
+                'CLR':  [3, 3],     'COC':  [4, 3],     'CZC':  [4, 3],     'DEC':  [3, 3],
+                'DECT': [3, 3],     'DIV':  [28, 6],    'DIVS': [33, 5],    'IDLE': [7, 1],
+                'INC':  [3, 3],     'INCT': [3, 3],     'INV':  [3, 3],     'JEQ':  [3, 1],
+                'JGT':  [3, 1],     'JH':   [3, 1],     'JHE':  [3, 1],     'JL':   [3, 1],
+                'JLE':  [3, 1],     'JLT':  [3, 1],     'JMP':  [3, 1],     'JNC':  [3, 1],
+                'JNE':  [3, 1],     'JNO':  [3, 1],     'JOC':  [3, 1],     'JOP':  [3, 1],
+                'LDCR': [9, 3],     'LI':   [3, 3],     'LIMI': [5, 2],     'LREX': [7, 1],
+                'LST':  [5, 2],     'LWP':  [5, 2],     'LWPI': [4, 2],     'MOV':  [4, 4],
+                'MOVB': [4, 4],     'MPY':  [23, 5],    'MPYS': [25, 4],    'NEG':  [3, 3],
+                'ORI':  [4, 4],     'RSET': [7, 1],     'RTWP': [6, 4],     'S':    [4, 4],
+                'SB':   [4, 4],     'SBO':  [8, 2],     'SBZ':  [8, 2],     'SETO': [3, 3],
+                'SLA':  [5, 3],     'SLAM': [9, 4],     'SM':   [11, 4],    'SOC':  [4, 4],
+                'SOCB': [4, 4],     'SRA':  [5, 3],     'SRAM': [9, 4],     'SRC':  [5, 3],
+                'SRL':  [5, 3],     'STCR': [9, 4],     'STST': [3, 2],     'STWP': [3, 2],
+                'SWPB': [3, 3],     'SZC':  [4, 4],     'SZCB': [4, 4],     'TB':   [8, 2],
+                'TCMB': [11, 3],    'TMB':  [11, 3],    'TSMB': [11, 3],    'X':    [2, 2],
+                'XOP':  [15, 8],    'XOR':  [4, 4],
+            },
+            default_cost: [4, 4],
+            address_modes: [
+                [0, 0],     // Rn
+                [1, 1],     // *Rn
+                [1, 1],     // @LABEL
+                [3, 2],     // *Rn+
+            ],
+            indexed: [3, 1],
+            byte_autoincrement: [3, 2],
+            context_switch: [9, 5],
+            idle_step: [7, 1],
+            per_shift: 1,
+            shift_count_in_r0: [2, 1],
+            per_cru_bit: 1,
+            stcr_cycles: null,
+            per_length: [2, 2],
+        },
+    };
+
+    static #shifts = ['SLA', 'SRA', 'SRC', 'SRL'];
+
+    /**
+     * @param {CpuProfile} cpu_profile
+     * @returns {CycleTableData}
+     **/
+    static #getTable(cpu_profile) {
+        return CycleTable.#tables[cpu_profile.cycle_table];
+    }
+
+    /**
+     * @param {number[]} pair
+     * @returns {CycleCost}
+     **/
+    static #toCost([cycles, memory_accesses]) {
+        return { cycles, memory_accesses };
+    }
+
+    /**
+     * The context switch into an interrupt handler, or out of a reset.
+     * @param {CpuProfile} cpu_profile
+     * @returns {CycleCost}
+     **/
+    static getContextSwitchCost(cpu_profile) {
+        return CycleTable.#toCost(CycleTable.#getTable(cpu_profile).context_switch);
+    }
+
+    /**
+     * Each step spent in the Idle state counts as long as the IDLE itself.
+     * @param {CpuProfile} cpu_profile
+     * @returns {CycleCost}
+     **/
+    static getIdleStepCost(cpu_profile) {
+        return CycleTable.#toCost(CycleTable.#getTable(cpu_profile).idle_step);
+    }
+
+    /**
+     * @param {Instruction} instruction
+     * @param {CpuProfile} cpu_profile
+     * @param {ExecutionUnit|null} unit     What ran it, if anything did
+     * @returns {CycleCost}
+     **/
+    static getCost(instruction, cpu_profile, unit = null) {
+        // Illegal opcodes, and the empty instruction that stateBegin leaves
+        // behind, don't take any time of their own.  Interrupt 2 does.
+        if (!instruction.isLegal()) {
+            return { cycles: 0, memory_accesses: 0 };
+        }
+        const table = CycleTable.#getTable(cpu_profile);
+        const opdef = instruction.opcode_def;
+        let cost = CycleTable.#toCost(table.default_cost);
+        if (Object.hasOwn(table.instructions, opdef.name)) {
+            cost = CycleTable.#toCost(table.instructions[opdef.name]);
+        }
+
+        const params = opdef.format_info.opcode_params;
+        if (CycleTable.#shifts.includes(opdef.name)) {
+            const count = instruction.getParam('count');
+            if (count == 0) {
+                cost.cycles += table.shift_count_in_r0[0] + (table.per_shift * 16);
+                cost.memory_accesses += table.shift_count_in_r0[1];
+            } else {
+                cost.cycles += table.per_shift * count;
+            }
+        } else if (opdef.name == 'LDCR') {
+            cost.cycles += table.per_cru_bit * (instruction.getParam('num') || 16);
+        } else if (opdef.name == 'STCR') {
+            if (table.stcr_cycles) {
+                cost.cycles = table.stcr_cycles(instruction.getParam('num'));
+            } else {
+                cost.cycles += table.per_cru_bit * (instruction.getParam('num') || 16);
+            }
+        }
+
+        const byte_operands = opdef.format == 1 && opdef.name.endsWith('B');
+        for (const field of ['S', 'D']) {
+            const mode_param = `T${field.toLowerCase()}`;
+            if (!Object.hasOwn(params, mode_param)) {
+                continue;
+            }
+            const [cycles, memory_accesses] = CycleTable.#addressModeCost(
+                table,
+                instruction.getParam(mode_param),
+                instruction.getParam(field),
+                byte_operands
+            );
+            cost.cycles += cycles;
+            cost.memory_accesses += memory_accesses;
+        }
+
+        if (unit !== null) {
+            const length = unit.getProcessedLength();
+            if (length !== null) {
+                cost.cycles += table.per_length[0] * length;
+                cost.memory_accesses += table.per_length[1] * length;
+            }
+            const target = unit.getTargetUnit();
+            if (target !== null) {
+                const target_cost = CycleTable.getCost(target.getInstruction(), cpu_profile, target);
+                cost.cycles += target_cost.cycles;
+                cost.memory_accesses += target_cost.memory_accesses;
+            }
+        }
+        return cost;
+    }
+
+    /**
+     * @param {CycleTableData} table
+     * @param {number} mode
+     * @param {number} reg
+     * @param {boolean} byte_operands
+     * @returns {number[]}
+     **/
+    static #addressModeCost(table, mode, reg, byte_operands) {
+        if (mode == 2 && reg != 0) {
+            return table.indexed;
+        }
+        if (mode == 3 && byte_operands) {
+            return table.byte_autoincrement;
+        }
+        return table.address_modes[mode];
+    }
+
+    /**
+     * The 9900's STCR takes longer for full bytes and words than for the bits
+     * in between.
+     * @param {number} count        Zero means 16
+     * @returns {number}
+     **/
+    static #stcr9900Cycles(count) {
+        if (count == 0) {
+            return 60;
+        }
+        if (count == 8) {
+            return 44;
+        }
+        return count < 8 ? 42 : 58;
+    }
+
+    /**
+     * @param {CycleCost} cost
+     * @param {number} wait_states
+     * @returns {number}
+     **/
+    static totalCycles(cost, wait_states) {
+        return cost.cycles + (wait_states * cost.memory_accesses);
+    }
+
+}
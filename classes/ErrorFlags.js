@@ -58,7 +58,8 @@
  * The docs also say that PRIVOP and ILLOP are set when setting 0x1FD3 or 0x1FD4.
  * We don't care about that either, for now.
  *
- * In the end we only care about the 99100 subset: 4, 13, and 14.
+ * In the end we only care about the 99100 subset: 4, 13, and 14.  Plus 11, for
+ * when there's a MemoryMapper installed and it runs into an address beyond the map.
  *
  * See section 4.4 starting on page 27 of "TMS99105A and TMS99110A 16-Bit Microprocessors Preliminary Data Manual"
  * <https://archive.org/details/bitsavers_tiTMS9900TA16BitMicroprocessorsPreliminaryDataManu_7820978>
@@ -70,6 +71,8 @@
  * <http://www.bitsavers.org/pdf/ti/990/assembler/2250077-9701A_-12asm_May79.pdf>
  **/
 export class ErrorFlags {
+    static get CRU_BASE() { return 0x1FC0; }
+
     /** @type {boolean[]} */
     #flags = [];
 
@@ -84,6 +87,9 @@ export class ErrorFlags {
         if (flag_id == 4) {
             return true;
         }
+        if (flag_id == 11) {
+            return true;
+        }
         if (flag_id == 13) {
             return true;
         }
@@ -129,4 +135,56 @@ export class ErrorFlags {
         this.#flags[flag_id] = false;
     }
 
+    /**
+     * CruDevice interface.  We live at CRU base 0x1FC0, so the offset is the
+     * flag number.  Bits we don't implement always read as zero.
+     * @param {number} offset
+     * @returns {number}
+     **/
+    readCruBit(offset) {
+        if (!this.#isLegalBit(offset)) {
+            return 0;
+        }
+        return this.getFlag(offset) ? 1 : 0;
+    }
+
+    /**
+     * CruDevice interface.  Programs clear flags with SBZ.  Writes to bits we
+     * don't implement go nowhere.
+     * @param {number} offset
+     * @param {number} value
+     **/
+    writeCruBit(offset, value) {
+        if (!this.#isLegalBit(offset)) {
+            return;
+        }
+        if (value) {
+            this.setFlag(offset);
+        } else {
+            this.resetFlag(offset);
+        }
+    }
+
+    /**
+     * For Snapshot.
+     * @returns {number[]}     The flags that are set
+     **/
+    toSnapshot() {
+        const set_flags = [];
+        for (let flag_id = 0; flag_id < this.#flags.length; flag_id++) {
+            if (this.#flags[flag_id]) {
+                set_flags.push(flag_id);
+            }
+        }
+        return set_flags;
+    }
+
+    /** @param {number[]} snapshot */
+    restoreSnapshot(snapshot) {
+        this.reset();
+        for (const flag_id of snapshot) {
+            this.setFlag(flag_id);
+        }
+    }
+
 }
@@ -7,6 +7,21 @@ import { ExecutionUnitMap } from "./ExecutionUnitMap.js";
 import { Instruction } from "./Instruction.js";
 import { SimulationState } from "./SimulationState.js";
 
+/**
+ * @typedef {Object} ExecutionProcessSnapshot
+ * @property {number} ni_pc
+ * @property {number|null} ni_opcode       Null for the empty Instruction
+ * @property {boolean} ni_is_illegal
+ * @property {boolean} ni_claimed_by_app
+ * @property {number} ci_pc
+ * @property {number|null} ci_opcode
+ * @property {boolean} ci_is_illegal
+ * @property {boolean} ci_claimed_by_app
+ * @property {boolean} ci_begun             Missing from version 1 snapshots
+ * @property {boolean} ci_fetched
+ * @property {Array<[number, number]>} ci_autoincrements
+ **/
+
 /**
  * Execution Process: An abstraction over Instruction operations.
  *
@@ -36,6 +51,12 @@ export class ExecutionProcess {
     /** @type {ExecutionUnit|null} */
     #eu = null;
 
+    #ni_is_illegal = false;
+    #ci_is_illegal = false;
+
+    #ni_claimed_by_app = false;
+    #ci_claimed_by_app = false;
+
     #finished_begin = false;
     #finished_fetch = false;
     #finished_exec = false;
@@ -56,6 +77,10 @@ export class ExecutionProcess {
         this.#ci_pc = 0;
         this.#ci = new Instruction(new OpDef());
         this.#eu = null;
+        this.#ni_is_illegal = false;
+        this.#ci_is_illegal = false;
+        this.#ni_claimed_by_app = false;
+        this.#ci_claimed_by_app = false;
     }
 
     getCurrentInstruction() {
@@ -70,8 +95,31 @@ export class ExecutionProcess {
         return this.#ci_pc;
     }
 
+    /**
+     * What's running the current instruction.  Null when nothing can.
+     * @returns {ExecutionUnit|null}
+     **/
+    getCurrentExecutionUnit() {
+        return this.#eu;
+    }
+
     fetchNextInstruction() {
         this.#ni_pc = this.#simstate.getPc();
+        const opcode = this.#simstate.getWord(this.#ni_pc);
+        // An attached processor watching the bus raises APP during the fetch
+        // of any MID it wants.  The Flow checks for this during state C2.
+        this.#ni_claimed_by_app = (
+            this.#simstate.cpu_profile.has_mids
+            && OpInfo.opcodeCouldBeMID(opcode)
+            && this.#simstate.attached_processor.claimsOpcode(opcode, this.#ni_pc)
+        );
+        // Opcodes we know nothing about get an empty Instruction.  The Flow
+        // turns them into an ILLOP once they're current.
+        this.#ni_is_illegal = !OpInfo.opcodeIsValid(opcode);
+        if (this.#ni_is_illegal) {
+            this.#ni = new Instruction(new OpDef());
+            return;
+        }
         // This does not advance the PC.  This is on purpose.
         this.#ni = this.#simstate.getInstructionAtPc();
     }
@@ -81,15 +129,24 @@ export class ExecutionProcess {
         this.#ci = this.#ni;
         //console.debug('Current Instruction is now ', this.#ci.opcode_def.name, this.#ci);
 
-        const eu_class = ExecutionUnitMap.getClassForOpName(this.#ci.opcode_def.name);
-        if (eu_class == false) {
-            throw new Error('Missing EU class for name = ' + this.#ci.opcode_def.name);
+        this.#ci_is_illegal = this.#ni_is_illegal;
+        this.#ci_claimed_by_app = this.#ni_claimed_by_app;
+        this.#eu = null;
+        this.#simstate.memory_mapper.beginInstruction();
+        if (!this.#ci_is_illegal) {
+            // Known opcodes that we can't run, yet or here, are just as illegal.
+            const eu_class = ExecutionUnitMap.getRunnableClass(this.#ci.opcode_def, this.#simstate);
+            if (eu_class == false) {
+                this.#ci_is_illegal = true;
+            } else {
+                this.#eu = new eu_class(this.#ci, this.#simstate);
+            }
         }
 
-        this.#eu = new eu_class(this.#ci, this.#simstate);
-
         this.#ni = new Instruction(new OpDef());
         this.#ni_pc = 0;
+        this.#ni_is_illegal = false;
+        this.#ni_claimed_by_app = false;
 
         this.#finished_begin = false;
         this.#finished_fetch = false;
@@ -99,6 +156,51 @@ export class ExecutionProcess {
         this.#pc_offset_for_addtl_words = 0;
     }
 
+    /**
+     * Is the current instruction one we can't execute?  The Flow needs to
+     * know so it can raise an ILLOP.  X can also find this out the hard way
+     * while executing.
+     *
+     * @returns {boolean}
+     **/
+    currentInstructionIsIllegal() {
+        return this.#ci_is_illegal || (this.#eu !== null && this.#eu.illegal_opcode);
+    }
+
+    /**
+     * Did X try to run a privileged instruction from user mode?  The Flow
+     * raises a PRIVOP for it, just like for one it fetched itself.
+     *
+     * @returns {boolean}
+     **/
+    currentInstructionWasPrivilegeViolation() {
+        return this.#eu !== null && this.#eu.privileged_opcode;
+    }
+
+    /**
+     * Is the current instruction a MID?  Those are the illegal ones that land
+     * in one of the MID ranges, and can be handed off to the macrostore.  Only
+     * the 99000s have MIDs, see CpuProfile.
+     *
+     * @returns {boolean}
+     **/
+    currentInstructionIsMID() {
+        if (!this.#simstate.cpu_profile.has_mids) {
+            return false;
+        }
+        return this.#ci_is_illegal && OpInfo.opcodeCouldBeMID(this.#simstate.getWord(this.#ci_pc));
+    }
+
+    /**
+     * Did the attached processor raise APP when the current instruction was
+     * fetched?  If so, it's the one that gets to deal with it.
+     *
+     * @returns {boolean}
+     **/
+    currentInstructionIsClaimedByAttachedProcessor() {
+        return this.#ci_claimed_by_app;
+    }
+
     getPCOffset() {
         return this.#pc_offset_for_addtl_words;
     }
@@ -175,6 +277,11 @@ export class ExecutionProcess {
         }
 
         const e = this.#eu.execute();
+        if (this.#eu.pc_was_replaced) {
+            // We branched.  There's no point in skipping past the rest of
+            // this instruction's words, because we aren't there any more.
+            this.#pc_offset_for_addtl_words = 0;
+        }
         this.#finished_exec = true;
         return e;
     }
@@ -195,4 +302,93 @@ export class ExecutionProcess {
         return f;
     }
 
+    /**
+     * For Snapshot.  Between instructions, all there is to the next and current
+     * instructions is where they came from and their first word.
+     *
+     * Once the current one has begun, its ExecutionUnit is holding on to its
+     * operands, and that's where it sits through state B, or while IDLE waits
+     * for an interrupt.  Beginning and fetching operands only ever read memory,
+     * other than for autoincrements.  We keep what those registers held before,
+     * so restoreSnapshot can put them back and do it all over again, ending up
+     * with the same operands.  Execution happens all at once in state B, so
+     * there's never a snapshot partway through that.
+     * @returns {ExecutionProcessSnapshot}
+     **/
+    toSnapshot() {
+        if (this.#finished_exec) {
+            throw new Error('Can not take a snapshot partway through executing an instruction, you have a bug.');
+        }
+        const autoincrements = this.#eu !== null ? this.#eu.autoincrements : [];
+        return {
+            ni_pc: this.#ni_pc,
+            ni_opcode: this.#ni.isLegal() ? this.#ni.getEffectiveOpcode() : null,
+            ni_is_illegal: this.#ni_is_illegal,
+            ni_claimed_by_app: this.#ni_claimed_by_app,
+            ci_pc: this.#ci_pc,
+            ci_opcode: this.#ci.isLegal() ? this.#ci.getEffectiveOpcode() : null,
+            ci_is_illegal: this.#ci_is_illegal,
+            ci_claimed_by_app: this.#ci_claimed_by_app,
+            ci_begun: this.#eu !== null && this.#finished_begin,
+            ci_fetched: this.#eu !== null && this.#finished_fetch,
+            ci_autoincrements: autoincrements.map( ([register_num, value]) => { return [register_num, value]; } ),
+        };
+    }
+
+    /**
+     * The SimulationState has to be restored first.  Whether the current
+     * instruction can run depends on its settings.
+     * @param {ExecutionProcessSnapshot} snapshot
+     **/
+    restoreSnapshot(snapshot) {
+        this.reset();
+        this.#ni_pc = snapshot.ni_pc;
+        this.#ni = ExecutionProcess.#instructionFromSnapshot(snapshot.ni_opcode);
+        this.#ni_is_illegal = !!snapshot.ni_is_illegal;
+        this.#ni_claimed_by_app = !!snapshot.ni_claimed_by_app;
+        this.#ci_pc = snapshot.ci_pc;
+        this.#ci = ExecutionProcess.#instructionFromSnapshot(snapshot.ci_opcode);
+        this.#ci_is_illegal = !!snapshot.ci_is_illegal;
+        this.#ci_claimed_by_app = !!snapshot.ci_claimed_by_app;
+
+        // Same as promoteNextInstructionToCurrentInstruction.  The empty
+        // Instruction left behind by reset doesn't get an ExecutionUnit.
+        if (!this.#ci_is_illegal && snapshot.ci_opcode !== null) {
+            const eu_class = ExecutionUnitMap.getRunnableClass(this.#ci.opcode_def, this.#simstate);
+            if (eu_class == false) {
+                this.#ci_is_illegal = true;
+            } else {
+                this.#eu = new eu_class(this.#ci, this.#simstate);
+            }
+        }
+
+        this.#finished_begin = false;
+        this.#finished_fetch = false;
+        this.#finished_exec = false;
+        this.#finished_write = false;
+        this.#pc_offset_for_addtl_words = 0;
+
+        // Then catch back up to where it was.  See toSnapshot.
+        if (this.#eu !== null && snapshot.ci_begun) {
+            for (const [register_num, value] of (snapshot.ci_autoincrements ?? []).slice().reverse()) {
+                this.#simstate.setRegisterWord(register_num, value);
+            }
+            this.begin();
+            if (snapshot.ci_fetched) {
+                this.fetchOperands();
+            }
+        }
+    }
+
+    /**
+     * @param {number|null} opcode
+     * @returns {Instruction}
+     **/
+    static #instructionFromSnapshot(opcode) {
+        if (opcode === null) {
+            return new Instruction(new OpDef());
+        }
+        return Instruction.newFromOpcode(opcode);
+    }
+
 }
@@ -3,8 +3,28 @@
 import { Instruction } from "./Instruction.js";
 import { SimulationState } from "./SimulationState.js";
 import { StatusRegister } from "./StatusRegister.js";
+import { CruBus } from "./CruBus.js";
+import { HexFloat } from "./HexFloat.js";
+import { MemoryMapper } from "./MemoryMapper.js";
 
-export { ExecutionUnit, Format1Unit, Format2Unit };
+export {
+    ExecutionUnit,
+    Format1Unit, Format1ByteUnit,
+    Format2Unit, Format2CruUnit,
+    Format4Unit,
+    Format5Unit,
+    Format6Unit, Format6LongDistanceUnit,
+    Format9Unit,
+    Format11Unit, Format11BitScanUnit,
+    Format12Unit,
+    Format13Unit,
+    Format14Unit,
+    Format16Unit,
+    RealUnit, Format6RealUnit,
+    DoubleRealUnit, Format6DoubleRealUnit,
+};
+
+/** @typedef {import("./HexFloat.js").HexFloatValue} HexFloatValue */
 
 /*global number_to_hex */
 
@@ -27,6 +47,31 @@ class ExecutionUnit {
      **/
     simstate;
 
+    /**
+     * Set when this instruction has put a brand new address into the PC.  See
+     * branchTo for why anyone cares.
+     **/
+    pc_was_replaced = false;
+
+    /**
+     * Set when this instruction turned out to be illegal while executing.  Only
+     * X can do this, when the instruction it's told to run doesn't exist.
+     **/
+    illegal_opcode = false;
+
+    /**
+     * Set when this instruction turned out to be privileged while executing.
+     * Again, only X, when told to run a privileged instruction in user mode.
+     **/
+    privileged_opcode = false;
+
+    /**
+     * Registers we've autoincremented, and what they held before that.  Needed
+     * to take it back, see undoAutoincrements.
+     * @type {Array<[number, number]>}
+     **/
+    autoincrements = [];
+
     /**
      * @param { Instruction } inst
      * @param { SimulationState } simstate
@@ -36,6 +81,15 @@ class ExecutionUnit {
         this.simstate = simstate;
     }
 
+    /**
+     * Can this instruction run at all, given how the simulation is set up?  If
+     * not, its opcode gets treated like it doesn't exist.
+     * @param {SimulationState} simstate
+     * @returns {boolean}
+     **/
+    /*eslint-disable-next-line no-unused-vars */
+    static isAvailable(simstate) { return true; }
+
     validateOpcode() { return false; }
     fetchOperands() { return false; }
     validateParams() { return false; }
@@ -43,6 +97,109 @@ class ExecutionUnit {
     execute() { throw new Error('ExecutionUnit execute fallthrough'); }
     writeResults() { return false; }
 
+    getInstruction() { return this.inst; }
+
+    /**
+     * For CycleTable.  How many bytes of a string or multiple precision operand
+     * we worked through, or null if how long we take doesn't depend on it.
+     * @returns {number|null}
+     **/
+    getProcessedLength() { return null; }
+
+    /**
+     * For CycleTable.  Only X runs another instruction, which takes as long as
+     * it takes on top of X's own time.
+     * @returns {ExecutionUnit|null}
+     **/
+    getTargetUnit() { return null; }
+
+    /**
+     * The address of the word after this entire instruction, which is where
+     * BL and friends need to return to.
+     *
+     * While we're executing, the PC points at the word after our first word.
+     * The Flow doesn't skip over any second opcode word or immediate operands
+     * until after we're done, so we need to count those up ourselves.
+     *
+     * @returns {number}
+     **/
+    getNextInstructionAddress() {
+        let address = this.simstate.getPc();
+        if (this.inst.hasSecondOpcodeWord()) {
+            address += 2;
+        }
+        if (this.inst.hasImmediateValue()) {
+            address += 2;
+        }
+        if (this.inst.hasImmediateSourceValue()) {
+            address += 2;
+        }
+        if (this.inst.hasImmediateDestValue()) {
+            address += 2;
+        }
+        return address & 0xFFFF;
+    }
+
+    /**
+     * Put a new address into the PC.
+     *
+     * Once we're done executing, the Flow moves the PC past any additional
+     * words in this instruction.  That's the wrong thing to do when we've just
+     * branched somewhere, so this also tells the ExecutionProcess to skip it.
+     *
+     * @param {number} new_pc
+     **/
+    branchTo(new_pc) {
+        this.simstate.setPc(new_pc & 0xFFFF);
+        this.pc_was_replaced = true;
+    }
+
+    /**
+     * Switch to a new workspace and PC, stashing the old WP, PC, and status in
+     * the new R13, R14, and R15.  This is BLWP, and it's what RTWP undoes.
+     * Flow.stateBegin does the same thing for interrupts.
+     *
+     * @param {number} new_wp
+     * @param {number} new_pc
+     **/
+    contextSwitch(new_wp, new_pc) {
+        const old_wp = this.simstate.workspace_pointer;
+        const old_pc = this.getNextInstructionAddress();
+        const old_st = this.simstate.status_register.getWord();
+
+        this.simstate.workspace_pointer = new_wp;
+        this.simstate.setRegisterWord(13, old_wp);
+        this.simstate.setRegisterWord(14, old_pc);
+        this.simstate.setRegisterWord(15, old_st);
+        this.branchTo(new_pc);
+    }
+
+    /**
+     * Load a whole new status word, as RTWP and LST do.  Out of privileged
+     * mode, only the ordinary status bits 0-5 can be changed, so that user
+     * code can't just flip itself back into privileged mode.
+     *
+     * @param {number} new_st
+     **/
+    loadStatusWord(new_st) {
+        const st = this.simstate.status_register;
+        if (st.getBit(StatusRegister.PRIVILEGED)) {
+            new_st = (new_st & 0xFC00) | (st.getWord() & 0x03FF);
+        }
+        st.setWord(new_st);
+    }
+
+    /**
+     * The CRU bit address that R12 points at, plus an optional displacement.
+     *
+     * @param {number} displacement
+     * @returns {number}
+     **/
+    getCruBitAddress(displacement = 0) {
+        const base = CruBus.softwareBaseToBitAddress(this.simstate.getRegisterWord(12));
+        return (base + displacement) & 0x7FFF;
+    }
+
     /**
      * @param {number} mode
      * @param {number} register_or_index
@@ -76,9 +233,10 @@ class ExecutionUnit {
             operand_value = this.simstate.getWord(register_value);
             if (mode == 3) {
                 // We're in autoinc mode, so autoinc here.  Yes, really, here.
-                // If we need to care about the previous value of this register,
-                // we're going to need to stash it away elsewhere.
-                /** @FIXME per _F 3.2.3 this is supposed to inc by 1 if it's a byte op */
+                // The previous value of this register is stashed away in
+                // autoincrements, for anyone that needs to take it back.
+                // Byte operands don't come through here, see resolveOperandAddress.
+                this.autoincrements.push([register_or_index, register_value]);
                 let next_value = register_value + 2;
                 while (next_value > 0xFFFF) {
                     // Nothing anywhere in the overflow register docs say that
@@ -122,7 +280,7 @@ class ExecutionUnit {
 
             // We'll already have autoinced at this point.  Unautoinc to get our
             // actual target address.
-            /** @FIXME per _F 3.2.3 this is supposed to have been inc'd by 1 if it's a byte op */
+            // Byte operands don't come through here, see resolveOperandAddress.
             if (mode == 3) {
                 register_value -= 2;
             }
@@ -154,6 +312,95 @@ class ExecutionUnit {
 
     }
 
+    /**
+     * Work out the memory address that an operand lives at.  Registers live in
+     * the workspace, so even direct register addressing ends up as an address.
+     *
+     * Autoincrement happens here, and it happens exactly once, so call this
+     * once per operand and hang on to the result.  Per _F 3.2.3, byte operands
+     * autoincrement by one and word operands autoincrement by two.  Reals
+     * autoincrement by their full size.
+     *
+     * Operands in memory also get pointed out to the memory mapper, in case
+     * the last instruction was LDS or LDD.
+     *
+     * @param {number} mode
+     * @param {number} register_or_index
+     * @param {number} immediate_word   The symbolic address or index base, if there is one
+     * @param {number} operand_size     1 for bytes, 2 for words, 4 or 8 for reals
+     * @param {'S'|'D'} field           Which operand this is
+     * @returns {number}
+     **/
+    resolveOperandAddress(mode, register_or_index, immediate_word, operand_size = 2, field = 'S') {
+        const is_indirect_mode = mode == 1 || mode == 3;
+        const is_symbolic_mode = mode == 2 && register_or_index == 0;
+        const is_indexed_mode = mode == 2 && register_or_index > 0;
+
+        if (is_symbolic_mode) {
+            // The immediate word is the address.
+            const address = immediate_word & 0xFFFF;
+            this.simstate.memory_mapper.noteOperand(field, address, operand_size);
+            return address;
+        }
+
+        const register_value = this.simstate.getRegisterWord(register_or_index);
+        if (is_indexed_mode) {
+            // The immediate word plus the register is the address.
+            const address = (immediate_word + register_value) & 0xFFFF;
+            this.simstate.memory_mapper.noteOperand(field, address, operand_size);
+            return address;
+        }
+
+        if (is_indirect_mode) {
+            // The register holds the address.
+            if (mode == 3) {
+                this.autoincrements.push([register_or_index, register_value]);
+                this.simstate.setRegisterWord(register_or_index, (register_value + operand_size) & 0xFFFF);
+            }
+            this.simstate.memory_mapper.noteOperand(field, register_value, operand_size);
+            return register_value;
+        }
+
+        // Direct mode.  The register *is* the operand, and it's in the workspace.
+        return (this.simstate.workspace_pointer + (register_or_index * 2)) & 0xFFFF;
+    }
+
+    /**
+     * Put every autoincremented register back the way it was, last one first
+     * in case the same register went up twice.
+     **/
+    undoAutoincrements() {
+        for (const [register_num, value] of this.autoincrements.slice().reverse()) {
+            this.simstate.setRegisterWord(register_num, value);
+        }
+        this.autoincrements = [];
+    }
+
+    /**
+     * @param {number} address
+     * @param {number} operand_size     1 for bytes, 2 for words
+     * @returns {number}
+     **/
+    getOperandValue(address, operand_size = 2) {
+        if (operand_size == 1) {
+            return this.simstate.getByte(address);
+        }
+        return this.simstate.getWord(address);
+    }
+
+    /**
+     * @param {number} address
+     * @param {number} new_value
+     * @param {number} operand_size     1 for bytes, 2 for words
+     **/
+    setOperandValue(address, new_value, operand_size = 2) {
+        if (operand_size == 1) {
+            this.simstate.setByte(address, new_value & 0xFF);
+            return;
+        }
+        this.simstate.setWord(address, new_value & 0xFFFF);
+    }
+
     /**
      * @param {number} new_value
      * @param {number} bits
@@ -196,6 +443,80 @@ class ExecutionUnit {
         return new_value;
     }
 
+    /**
+     * Add two unsigned values the way the ALU does it.  Carry is the carry out
+     * of the most significant bit.  Overflow is a change of sign that the signs
+     * of the operands can't account for.
+     *
+     * @param {number} left_value
+     * @param {number} right_value
+     * @param {number} bits
+     * @returns {number}
+     **/
+    addAndUpdateCarryAndOverflow(left_value, right_value, bits = 16) {
+        const mask = (2 ** bits) - 1;
+        const sign_mask = 2 ** (bits - 1);
+        const sum = left_value + right_value;
+        const result = sum & mask;
+
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        if (sum > mask) {
+            this.simstate.status_register.setBit(StatusRegister.CARRY);
+        }
+
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        const same_sign_in = (left_value & sign_mask) == (right_value & sign_mask);
+        if (same_sign_in && (result & sign_mask) != (left_value & sign_mask)) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+        return result;
+    }
+
+    /**
+     * Subtract right_value from left_value the way the ALU does it, which is by
+     * adding the two's complement.  That means Carry is set when there was *no*
+     * borrow, not when there was one.
+     *
+     * @param {number} left_value
+     * @param {number} right_value
+     * @param {number} bits
+     * @returns {number}
+     **/
+    subtractAndUpdateCarryAndOverflow(left_value, right_value, bits = 16) {
+        const mask = (2 ** bits) - 1;
+        const sign_mask = 2 ** (bits - 1);
+        const result = (left_value - right_value) & mask;
+
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        if (left_value >= right_value) {
+            this.simstate.status_register.setBit(StatusRegister.CARRY);
+        }
+
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        const differing_sign_in = (left_value & sign_mask) != (right_value & sign_mask);
+        if (differing_sign_in && (result & sign_mask) != (left_value & sign_mask)) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+        return result;
+    }
+
+    /**
+     * Parity is odd parity: the bit is set when the byte has an odd number of
+     * bits set.  Only byte instructions care about it.
+     *
+     * @param {number} byte_value
+     **/
+    updateParity(byte_value) {
+        let bits_set = 0;
+        for (let i = 0; i < 8; i++) {
+            bits_set += (byte_value >>> i) & 1;
+        }
+        this.simstate.status_register.resetBit(StatusRegister.PARITY);
+        if (bits_set % 2 == 1) {
+            this.simstate.status_register.setBit(StatusRegister.PARITY);
+        }
+    }
+
     /**
      * @param {number} left_value
      * @param {number} right_value
@@ -219,9 +540,10 @@ class ExecutionUnit {
             this.simstate.status_register.setBit(StatusRegister.LGT);
         }
 
-        const sign_mask = 1 << (bits - 1);
-        const left_signed = left_value & sign_mask ? left_value - (1 << bits) : left_value;
-        const right_signed = right_value & sign_mask ? right_value - (1 << bits) : right_value;
+        // Not bit shifts, those would go negative at 32 bits.
+        const sign_mask = 2 ** (bits - 1);
+        const left_signed = left_value >= sign_mask ? left_value - (2 ** bits) : left_value;
+        const right_signed = right_value >= sign_mask ? right_value - (2 ** bits) : right_value;
 
         this.simstate.status_register.resetBit(StatusRegister.AGT);
         if (left_signed > right_signed) {
@@ -233,24 +555,27 @@ class ExecutionUnit {
 
 
 class Format1Unit extends ExecutionUnit {
+    /** Word instructions work two bytes at a time, byte instructions one. */
+    operand_size = 2;
+    source_address = 0;
     source_value = 0;
+    dest_address = 0;
+    dest_value = 0;
     target_value = 0;
     fetchOperands() {
         const ts = this.inst.getParam('Ts');
         const s = this.inst.getParam('S');
         //console.debug([ts, s]);
-        this.source_value = this.resolveAddressingModeAndGet(ts, s);
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), this.operand_size);
+        this.source_value = this.getOperandValue(this.source_address, this.operand_size);
 
-        if (ts == 3) {
-            /** @TODO when copying this, don't forget to set this to 1 instead of 2 for byte instructions instead of word! */
-            let next_value = this.simstate.getRegisterWord(s) + 2;
-            while (next_value > 0xFFFF) {
-                // Nothing anywhere in the overflow register docs say that
-                // this operation triggers an overflow, so not doing that.
-                next_value -= 0xFFFF;
-            }
-            this.simstate.setRegisterWord(s, next_value);
-        }
+        // The destination gets resolved now too, so that any autoincrement
+        // happens in the right order and happens only once.
+        const td = this.inst.getParam('Td');
+        const d = this.inst.getParam('D');
+        //console.debug([td, d]);
+        this.dest_address = this.resolveOperandAddress(td, d, this.inst.getImmediateDestValue(), this.operand_size, 'D');
+        this.dest_value = this.getOperandValue(this.dest_address, this.operand_size);
         return true;
     }
 
@@ -262,26 +587,34 @@ class Format1Unit extends ExecutionUnit {
     }
 
     writeResults() {
-        const td = this.inst.getParam('Td');
-        const d = this.inst.getParam('D');
-        //console.debug([td, d]);
-        this.resolveAddressingModeAndSet(td, d, this.target_value);
-
-        if (td == 3) {
-            /** @TODO when copying this, don't forget to set this to 1 instead of 2 for byte instructions instead of word! */
-            let next_value = this.simstate.getRegisterWord(d) + 2;
-            while (next_value > 0xFFFF) {
-                // Nothing anywhere in the overflow register docs say that
-                // this operation triggers an overflow, so not doing that.
-                next_value -= 0xFFFF;
-            }
-            this.simstate.setRegisterWord(d, next_value);
-        }
+        this.setOperandValue(this.dest_address, this.target_value, this.operand_size);
         return true;
     }
 }
 
 
+/**
+ * Byte instructions address a single byte instead of a word.  In memory, even
+ * addresses are the high byte of a word and odd addresses are the low byte.
+ * In direct register mode, the byte is the high byte of the register.
+ **/
+class Format1ByteUnit extends Format1Unit {
+    operand_size = 1;
+
+    /**
+     * Every byte instruction sets the three comparison bits and Parity from
+     * its result the same way.
+     *
+     * @param {number} byte_value
+     **/
+    updateByteStatusBits(byte_value) {
+        this.updateEq(byte_value, 0);
+        this.updateGt(byte_value, 0, 8);
+        this.updateParity(byte_value);
+    }
+}
+
+
 class Format2Unit extends ExecutionUnit {
     run = false;
     execute() {
@@ -300,3 +633,785 @@ class Format2Unit extends ExecutionUnit {
         return true;
     }
 }
+
+
+/**
+ * SBO, SBZ, and TB share the jump format, but the displacement is a signed bit
+ * offset from the CRU base in R12 instead of a place to go.
+ **/
+class Format2CruUnit extends ExecutionUnit {
+    bit_address = 0;
+    fetchOperands() {
+        let disp = this.inst.getParam('disp');
+        if (disp > 127) {
+            disp -= 256;
+        }
+        this.bit_address = this.getCruBitAddress(disp);
+        return true;
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+}
+
+
+/**
+ * Format 4 instructions move between 1 and 16 bits between memory and the CRU,
+ * starting at the CRU base in R12 and working up from the least significant
+ * bit.  A count of zero means 16.  Counts of eight or less work on a byte
+ * operand, anything bigger on a word.
+ **/
+class Format4Unit extends ExecutionUnit {
+    count = 0;
+    operand_size = 2;
+    source_address = 0;
+    fetchOperands() {
+        this.count = this.inst.getParam('num');
+        if (this.count == 0) {
+            this.count = 16;
+        }
+        this.operand_size = this.count <= 8 ? 1 : 2;
+
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), this.operand_size);
+        return true;
+    }
+
+    /**
+     * Both directions set the same status bits based on the value moved.
+     * @param {number} value
+     **/
+    updateTransferStatusBits(value) {
+        const bits = this.operand_size * 8;
+        this.updateEq(value, 0);
+        this.updateGt(value, 0, bits);
+        if (this.operand_size == 1) {
+            this.updateParity(value);
+        }
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+}
+
+/**
+ * Format 5 instructions shift a register by a count.  A count of zero means the
+ * count comes from the low four bits of R0 instead, and a zero there means 16.
+ * Each shift moves one bit at a time, leaving the last bit out in Carry.
+ **/
+class Format5Unit extends ExecutionUnit {
+    register_num = 0;
+    count = 0;
+    source_value = 0;
+    target_value = 0;
+    last_bit_out = 0;
+    fetchOperands() {
+        this.register_num = this.inst.getParam('reg');
+        this.count = this.inst.getParam('count');
+        if (this.count == 0) {
+            this.count = this.simstate.getRegisterWord(0) & 0xF;
+        }
+        if (this.count == 0) {
+            this.count = 16;
+        }
+        this.source_value = this.simstate.getRegisterWord(this.register_num);
+        return true;
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        this.updateEq(this.target_value, 0);
+        this.updateGt(this.target_value, 0);
+
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        if (this.last_bit_out) {
+            this.simstate.status_register.setBit(StatusRegister.CARRY);
+        }
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(this.register_num, this.target_value);
+        return true;
+    }
+}
+
+/**
+ * Format 6 instructions have a single general-addressing operand.  Most of them
+ * read it, change it, and write it back in place.  The branches only care about
+ * where it is.
+ **/
+class Format6Unit extends ExecutionUnit {
+    operand_size = 2;
+    source_address = 0;
+    source_value = 0;
+    target_value = 0;
+    fetchOperands() {
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), this.operand_size);
+        this.source_value = this.getOperandValue(this.source_address, this.operand_size);
+        return true;
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+
+    writeResults() {
+        this.setOperandValue(this.source_address, this.target_value, this.operand_size);
+        return true;
+    }
+}
+
+
+/**
+ * Format 9 instructions have a general-addressing source word and a register
+ * number in the O field.  MPY and DIV work on the register pair starting there,
+ * and XOP uses it as the operation number instead.
+ **/
+class Format9Unit extends ExecutionUnit {
+    register_num = 0;
+    source_address = 0;
+    source_value = 0;
+    fetchOperands() {
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        this.register_num = this.inst.getParam('O');
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue());
+        this.source_value = this.getOperandValue(this.source_address);
+        return true;
+    }
+
+    /**
+     * The second register of the pair.  When the first is R15 this is the
+     * word right after the workspace, which is what the hardware does too.
+     *
+     * @returns {number}
+     **/
+    getSecondRegisterAddress() {
+        return (this.simstate.workspace_pointer + (this.register_num * 2) + 2) & 0xFFFF;
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+}
+
+
+/**
+ * Format 11 instructions work on multiple precision operands, a byte count
+ * long, with the most significant byte first.  A byte count of zero means the
+ * count comes from the low four bits of R0 instead, and a zero there means 16.
+ * Autoincrement skips over the whole operand.
+ *
+ * Operands are handed around as unsigned BigInts, since they can be up to 128
+ * bits wide.
+ **/
+class Format11Unit extends ExecutionUnit {
+    byte_count = 0;
+    /** The bit scanning instructions only want a word as the destination. */
+    dest_is_word = false;
+    source_address = 0;
+    /** @type {bigint} */
+    source_value = 0n;
+    dest_address = 0;
+    fetchOperands() {
+        this.byte_count = this.inst.getParam('bc');
+        if (this.byte_count == 0) {
+            this.byte_count = this.simstate.getRegisterWord(0) & 0xF;
+        }
+        if (this.byte_count == 0) {
+            this.byte_count = 16;
+        }
+
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), this.byte_count);
+        this.source_value = this.readMultiple(this.source_address, this.byte_count);
+
+        const td = this.inst.getParam('Td');
+        const d = this.inst.getParam('D');
+        const dest_size = this.dest_is_word ? 2 : this.byte_count;
+        this.dest_address = this.resolveOperandAddress(td, d, this.inst.getImmediateDestValue(), dest_size, 'D');
+        return true;
+    }
+
+    getProcessedLength() { return this.byte_count; }
+
+    /**
+     * @param {number} address
+     * @param {number} byte_count
+     * @returns {bigint}
+     **/
+    readMultiple(address, byte_count) {
+        let value = 0n;
+        for (let i = 0; i < byte_count; i++) {
+            value = (value << 8n) | BigInt(this.simstate.getByte((address + i) & 0xFFFF));
+        }
+        return value;
+    }
+
+    /**
+     * @param {number} address
+     * @param {bigint} value
+     * @param {number} byte_count
+     **/
+    writeMultiple(address, value, byte_count) {
+        for (let i = byte_count - 1; i >= 0; i--) {
+            this.simstate.setByte((address + i) & 0xFFFF, Number(value & 0xFFn));
+            value >>= 8n;
+        }
+    }
+
+    /**
+     * L>, A>, and EQ for a multiple precision result compared to zero.
+     * @param {bigint} value
+     * @param {number} bits
+     **/
+    updateMultipleCompareBits(value, bits) {
+        const is_negative = ((value >> BigInt(bits - 1)) & 1n) == 1n;
+        this.simstate.status_register.resetBit(StatusRegister.LGT);
+        this.simstate.status_register.resetBit(StatusRegister.AGT);
+        this.simstate.status_register.resetBit(StatusRegister.EQUAL);
+        if (value == 0n) {
+            this.simstate.status_register.setBit(StatusRegister.EQUAL);
+            return;
+        }
+        this.simstate.status_register.setBit(StatusRegister.LGT);
+        if (!is_negative) {
+            this.simstate.status_register.setBit(StatusRegister.AGT);
+        }
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+}
+
+
+/**
+ * CNTO, LTO, and RTO look at the bits of the source operand and leave a count
+ * or a bit position in the destination word.  Bits are numbered from the left
+ * of the operand, starting at zero, like everything else here.  These are
+ * 990/12 instructions that the 99000 leaves to MIDs.
+ **/
+class Format11BitScanUnit extends Format11Unit {
+    dest_is_word = true;
+    dest_value = 0;
+    target_value = 0;
+
+    /** @param {SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.acts_like_990_12; }
+
+    fetchOperands() {
+        super.fetchOperands();
+        this.dest_value = this.getOperandValue(this.dest_address);
+        this.target_value = this.dest_value;
+        return true;
+    }
+
+    get bit_count() { return this.byte_count * 8; }
+
+    /**
+     * @param {number} bit_num     Counting from the left
+     * @returns {boolean}
+     **/
+    isSourceBitSet(bit_num) {
+        return ((this.source_value >> BigInt(this.bit_count - 1 - bit_num)) & 1n) == 1n;
+    }
+
+    writeResults() {
+        this.setOperandValue(this.dest_address, this.target_value);
+        return true;
+    }
+}
+
+
+/**
+ * Format 12 instructions work on byte strings, one byte at a time, and can be
+ * interrupted partway through.  These are 990/12 instructions that the 99000
+ * leaves to MIDs.
+ *
+ * The source operand is always the string.  What the destination is depends on
+ * the instruction.  A byte count of zero means the count is all of R0 instead.
+ * Autoincrement skips over the whole string.
+ *
+ * Progress lives in the checkpoint register, which holds the index of the next
+ * byte to work on.  Programs set it to -1 before starting, meaning "from the
+ * top."  Each byte takes a tick of the clock, and if an interrupt that the mask
+ * lets through shows up before the last byte, we stop.  The checkpoint register
+ * keeps our place, any autoincrements get undone, and the PC is pointed back
+ * at us.  The interrupt gets taken, and once the handler does its RTWP we run
+ * again and pick up where we left off.  At least one byte gets done every time,
+ * so we always get somewhere.
+ *
+ * When the whole string is done, the checkpoint register goes back to -1.  The
+ * instructions that can stop early leave it holding the index they stopped at.
+ **/
+class Format12Unit extends ExecutionUnit {
+    ckpt_register = 0;
+    byte_count = 0;
+    /**
+     * How big the destination operand is for autoincrement, null for the
+     * same as the string.
+     * @type {number|null}
+     **/
+    dest_size = null;
+    source_address = 0;
+    dest_address = 0;
+    /** Where to pick up, and after execute, where we got to. */
+    index = 0;
+    /** Set by execute when we stopped because of an interrupt. */
+    suspended = false;
+    /** What goes into the checkpoint register once we're done. */
+    final_checkpoint = 0xFFFF;
+    /** The last byte handled, for the status bits. */
+    last_byte = 0;
+    /** How many bytes this run got through, whether or not it finished. */
+    bytes_handled = 0;
+
+    /** @param {SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.acts_like_990_12; }
+
+    fetchOperands() {
+        this.ckpt_register = this.inst.getParam('ckpt');
+        this.byte_count = this.inst.getParam('bc');
+        if (this.byte_count == 0) {
+            this.byte_count = this.simstate.getRegisterWord(0);
+        }
+        const checkpoint = this.simstate.getRegisterWord(this.ckpt_register);
+        this.index = checkpoint == 0xFFFF ? 0 : checkpoint;
+
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        this.source_address = this.resolveOperandAddress(
+            ts, s, this.inst.getImmediateSourceValue(), this.byte_count
+        );
+
+        const td = this.inst.getParam('Td');
+        const d = this.inst.getParam('D');
+        this.dest_address = this.resolveOperandAddress(
+            td, d, this.inst.getImmediateDestValue(), this.dest_size ?? this.byte_count, 'D'
+        );
+        return true;
+    }
+
+    /**
+     * Do something with the byte at the given index into the string.  Return
+     * false to stop early.
+     * @param {number} index
+     * @returns {boolean}
+     **/
+    /*eslint-disable-next-line no-unused-vars */
+    doTheThing(index) { throw new Error('You are supposed to implement this.'); }
+
+    /**
+     * Set the status bits once the string is done.  Most of these compare the
+     * last byte they handled to zero, like MOVB does.
+     **/
+    updateStringStatusBits() {
+        this.updateEq(this.last_byte, 0);
+        this.updateGt(this.last_byte, 0, 8);
+    }
+
+    #isInterruptWaiting() {
+        const mask = this.simstate.status_register.getInterruptMask();
+        return this.simstate.interrupt_list.hasPossibleInterrupts(mask);
+    }
+
+    execute() {
+        while (this.index < this.byte_count) {
+            const keep_going = this.doTheThing(this.index);
+            this.bytes_handled++;
+            this.simstate.advanceClock(1);
+            if (!keep_going) {
+                this.final_checkpoint = this.index;
+                break;
+            }
+            this.index++;
+            if (this.index < this.byte_count && this.#isInterruptWaiting()) {
+                this.suspended = true;
+                this.undoAutoincrements();
+                // The PC points at the word after our first one.
+                this.branchTo(this.simstate.getPc() - 2);
+                return true;
+            }
+        }
+        this.updateStringStatusBits();
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(this.ckpt_register, this.suspended ? this.index : this.final_checkpoint);
+        return true;
+    }
+
+    getProcessedLength() { return this.bytes_handled; }
+}
+
+/**
+ * Format 13 instructions shift a multiple precision operand, s_len bytes long,
+ * by a count of bits.  Both work like they do elsewhere: zero means the low four
+ * bits of R0, and a zero there means 16.  Like the Format 5 shifts, the last
+ * bit shifted out ends up in Carry.
+ **/
+class Format13Unit extends Format11Unit {
+    count = 0;
+    /** @type {bigint} */
+    target_value = 0n;
+    last_bit_out = 0n;
+    fetchOperands() {
+        this.byte_count = this.inst.getParam('s_len');
+        if (this.byte_count == 0) {
+            this.byte_count = this.simstate.getRegisterWord(0) & 0xF;
+        }
+        if (this.byte_count == 0) {
+            this.byte_count = 16;
+        }
+        this.count = this.inst.getParam('count');
+        if (this.count == 0) {
+            this.count = this.simstate.getRegisterWord(0) & 0xF;
+        }
+        if (this.count == 0) {
+            this.count = 16;
+        }
+
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), this.byte_count);
+        this.source_value = this.readMultiple(this.source_address, this.byte_count);
+        return true;
+    }
+
+    execute() {
+        this.doTheThing();
+        this.updateMultipleCompareBits(this.target_value, this.byte_count * 8);
+
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        if (this.last_bit_out) {
+            this.simstate.status_register.setBit(StatusRegister.CARRY);
+        }
+        return true;
+    }
+
+    writeResults() {
+        this.writeMultiple(this.source_address, this.target_value, this.byte_count);
+        return true;
+    }
+}
+
+/**
+ * Format 14 instructions test and change a single bit, bpos bits into the
+ * source operand.  Bit zero is the leftmost bit of the byte at the operand's
+ * address, and bpos can reach up to 1023 bits past that, so it's free to
+ * wander across word boundaries.  EQ gets the value the bit had before we
+ * touched it.
+ **/
+class Format14Unit extends ExecutionUnit {
+    source_address = 0;
+    /** The byte the bit is in. */
+    byte_address = 0;
+    /** The bit within that byte, as a mask. */
+    bit_mask = 0;
+    fetchOperands() {
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        const bpos = this.inst.getParam('bpos');
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue());
+        this.byte_address = (this.source_address + (bpos >> 3)) & 0xFFFF;
+        this.bit_mask = 0x80 >> (bpos & 7);
+        return true;
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        const byte_value = this.simstate.getByte(this.byte_address);
+        this.simstate.status_register.resetBit(StatusRegister.EQUAL);
+        if (byte_value & this.bit_mask) {
+            this.simstate.status_register.setBit(StatusRegister.EQUAL);
+        }
+        this.doTheThing();
+        return true;
+    }
+}
+
+
+/**
+ * Format 16 instructions work on a field of bits within a word, starting pos
+ * bits from the left and width bits wide.  A width of zero means 16.  Fields
+ * that run off the right end of the word carry on into the next one, so the
+ * operand holding the field is really two words whenever that happens, and
+ * autoincrement skips both.
+ *
+ * These are 990/12 instructions that the 99000 leaves to MIDs.
+ **/
+class Format16Unit extends ExecutionUnit {
+    pos = 0;
+    width = 0;
+    source_address = 0;
+    dest_address = 0;
+    /** Does the field need the word after the operand too? */
+    field_crosses_word = false;
+    target_value = 0;
+
+    /** @param {SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.acts_like_990_12; }
+
+    /**
+     * Which of our operands holds the field?  The other is a plain word.
+     * @returns {'S'|'D'}
+     **/
+    get field_operand() { return 'S'; }
+
+    fetchOperands() {
+        this.pos = this.inst.getParam('pos');
+        this.width = this.inst.getParam('width');
+        if (this.width == 0) {
+            this.width = 16;
+        }
+        this.field_crosses_word = (this.pos + this.width) > 16;
+        const field_size = this.field_crosses_word ? 4 : 2;
+
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        const source_size = this.field_operand == 'S' ? field_size : 2;
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), source_size);
+
+        const td = this.inst.getParam('Td');
+        const d = this.inst.getParam('D');
+        const dest_size = this.field_operand == 'D' ? field_size : 2;
+        this.dest_address = this.resolveOperandAddress(td, d, this.inst.getImmediateDestValue(), dest_size, 'D');
+        return true;
+    }
+
+    /**
+     * The field lives somewhere in these 32 bits.
+     * @param {number} address
+     * @returns {number}
+     **/
+    #readFieldWords(address) {
+        const high = this.simstate.getWord(address);
+        const low = this.field_crosses_word ? this.simstate.getWord((address + 2) & 0xFFFF) : 0;
+        return ((high << 16) | low) >>> 0;
+    }
+
+    get #field_shift() { return 32 - this.pos - this.width; }
+    get #field_mask() { return (2 ** this.width) - 1; }
+
+    /**
+     * The field, right justified.
+     * @param {number} address
+     * @returns {number}
+     **/
+    readField(address) {
+        return Math.floor(this.#readFieldWords(address) / (2 ** this.#field_shift)) & this.#field_mask;
+    }
+
+    /**
+     * Put a right justified value into the field, leaving every other bit of
+     * the word or words alone.
+     * @param {number} address
+     * @param {number} value
+     **/
+    writeField(address, value) {
+        const shift = 2 ** this.#field_shift;
+        const field_bits = (this.#field_mask * shift) >>> 0;
+        const words = this.#readFieldWords(address);
+        const new_words = ((words & ~field_bits) | (((value & this.#field_mask) * shift) & field_bits)) >>> 0;
+        this.simstate.setWord(address, new_words >>> 16);
+        if (this.field_crosses_word) {
+            this.simstate.setWord((address + 2) & 0xFFFF, new_words & 0xFFFF);
+        }
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+}
+
+/**
+ * The floating point instructions work on the floating point accumulator,
+ * which for single precision reals is R0 and R1.  See HexFloat for the format.
+ *
+ * Real results are compared against zero for L>, A>, and EQ.  Running out of
+ * exponent sets OV, and if it ran out on the small end, C as well.
+ **/
+class RealUnit extends ExecutionUnit {
+    real_words = HexFloat.SINGLE_WORDS;
+    /**
+     * Whatever's headed for the accumulator, if anything.
+     * @type {number[]|null}
+     **/
+    result_words = null;
+
+    /** @returns {HexFloatValue} */
+    getAccumulator() {
+        const words = [];
+        for (let i = 0; i < this.real_words; i++) {
+            words.push(this.simstate.getRegisterWord(i));
+        }
+        return HexFloat.unpack(words);
+    }
+
+    /**
+     * @param {number} address
+     * @returns {HexFloatValue}
+     **/
+    readReal(address) {
+        const words = [];
+        for (let i = 0; i < this.real_words; i++) {
+            words.push(this.simstate.getWord((address + (i * 2)) & 0xFFFF));
+        }
+        return HexFloat.unpack(words);
+    }
+
+    /**
+     * Pack up a result for the accumulator and set every status bit for it.
+     * @param {HexFloatValue} value
+     **/
+    setRealResult(value) {
+        const packed = HexFloat.pack(value, this.real_words);
+        this.result_words = packed.words;
+        this.updateRealCompareBits(packed.words);
+
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (packed.overflow || packed.underflow) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+        if (packed.underflow) {
+            this.simstate.status_register.setBit(StatusRegister.CARRY);
+        }
+    }
+
+    /**
+     * L>, A>, and EQ for a real compared to zero.  Reals are sign and magnitude,
+     * so every nonzero one is logically greater.
+     * @param {number[]} words
+     **/
+    updateRealCompareBits(words) {
+        const is_zero = words.every((word) => { return word == 0; });
+        this.simstate.status_register.resetBit(StatusRegister.LGT);
+        this.simstate.status_register.resetBit(StatusRegister.AGT);
+        this.simstate.status_register.resetBit(StatusRegister.EQUAL);
+        if (is_zero) {
+            this.simstate.status_register.setBit(StatusRegister.EQUAL);
+            return;
+        }
+        this.simstate.status_register.setBit(StatusRegister.LGT);
+        if ((words[0] & 0x8000) == 0) {
+            this.simstate.status_register.setBit(StatusRegister.AGT);
+        }
+    }
+
+    writeResults() {
+        if (this.result_words) {
+            for (let i = 0; i < this.result_words.length; i++) {
+                this.simstate.setRegisterWord(i, this.result_words[i]);
+            }
+        }
+        return true;
+    }
+}
+
+
+/**
+ * Format 6 floating point instructions take a real from a general address.
+ * Register direct mode means the register and the ones after it.
+ **/
+class Format6RealUnit extends RealUnit {
+    source_address = 0;
+    /** @type {HexFloatValue} */
+    source_value = HexFloat.zero();
+    fetchOperands() {
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        const operand_size = this.real_words * 2;
+        this.source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue(), operand_size);
+        this.source_value = this.readReal(this.source_address);
+        return true;
+    }
+
+    doTheThing() { throw new Error('You are supposed to implement this.'); }
+
+    execute() {
+        this.doTheThing();
+        return true;
+    }
+}
+
+
+/**
+ * Double precision reals are the same thing with four words, so the accumulator
+ * is R0 through R3.  They're a 990/12 thing that the 99000 leaves to MIDs, so
+ * they only run when the simulation has been told to be 990/12 compatible.
+ **/
+class DoubleRealUnit extends RealUnit {
+    real_words = HexFloat.DOUBLE_WORDS;
+
+    /** @param {SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.acts_like_990_12; }
+}
+
+
+class Format6DoubleRealUnit extends Format6RealUnit {
+    real_words = HexFloat.DOUBLE_WORDS;
+
+    /** @param {SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.acts_like_990_12; }
+}
+
+
+/**
+ * LDS and LDD load map file 2 from the six words at their operand, then let
+ * the memory mapper know that the next instruction gets to use it.  There has
+ * to be a memory mapper for that to mean anything.  See MemoryMapper.
+ **/
+class Format6LongDistanceUnit extends Format6Unit {
+    operand_size = MemoryMapper.MAP_FILE_WORDS * 2;
+    /** @type {'S'|'D'} */
+    long_distance_field = 'S';
+    /** @type {number[]} */
+    map_file_words = [];
+
+    /** @param {SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.mapper_installed; }
+
+    doTheThing() {
+        this.map_file_words = [];
+        for (let i = 0; i < MemoryMapper.MAP_FILE_WORDS; i++) {
+            this.map_file_words.push(this.simstate.getWord((this.source_address + (i * 2)) & 0xFFFF));
+        }
+    }
+
+    writeResults() {
+        this.simstate.memory_mapper.loadMapFile(MemoryMapper.LONG_DISTANCE_MAP_FILE, this.map_file_words);
+        this.simstate.memory_mapper.useLongDistanceNext(this.long_distance_field);
+        return true;
+    }
+}
@@ -3,11 +3,42 @@
 import { ExecutionUnit } from "./ExecutionUnit.js";
 
 import { ExecutionUnit_A } from "./instructions/A.js";
+import { ExecutionUnit_AB } from "./instructions/AB.js";
+import { ExecutionUnit_ABS } from "./instructions/ABS.js";
+import { ExecutionUnit_AD } from "./instructions/AD.js";
+import { ExecutionUnit_AI } from "./instructions/AI.js";
+import { ExecutionUnit_AM } from "./instructions/AM.js";
+import { ExecutionUnit_ANDI } from "./instructions/ANDI.js";
+import { ExecutionUnit_AR } from "./instructions/AR.js";
+import { ExecutionUnit_B } from "./instructions/B.js";
+import { ExecutionUnit_BL } from "./instructions/BL.js";
+import { ExecutionUnit_BLWP } from "./instructions/BLWP.js";
 import { ExecutionUnit_C } from "./instructions/C.js";
+import { ExecutionUnit_CB } from "./instructions/CB.js";
+import { ExecutionUnit_CDE } from "./instructions/CDE.js";
+import { ExecutionUnit_CDI } from "./instructions/CDI.js";
+import { ExecutionUnit_CED } from "./instructions/CED.js";
+import { ExecutionUnit_CER } from "./instructions/CER.js";
+import { ExecutionUnit_CI } from "./instructions/CI.js";
+import { ExecutionUnit_CID } from "./instructions/CID.js";
+import { ExecutionUnit_CIR } from "./instructions/CIR.js";
+import { ExecutionUnit_CLR } from "./instructions/CLR.js";
+import { ExecutionUnit_CNTO } from "./instructions/CNTO.js";
+import { ExecutionUnit_CRC } from "./instructions/CRC.js";
+import { ExecutionUnit_CRE } from "./instructions/CRE.js";
+import { ExecutionUnit_CRI } from "./instructions/CRI.js";
+import { ExecutionUnit_CS } from "./instructions/CS.js";
+import { ExecutionUnit_DD } from "./instructions/DD.js";
 import { ExecutionUnit_DEC } from "./instructions/DEC.js";
 import { ExecutionUnit_DECT } from "./instructions/DECT.js";
+import { ExecutionUnit_DIV } from "./instructions/DIV.js";
+import { ExecutionUnit_DIVS } from "./instructions/DIVS.js";
+import { ExecutionUnit_DR } from "./instructions/DR.js";
+import { ExecutionUnit_IDLE } from "./instructions/IDLE.js";
 import { ExecutionUnit_INC } from "./instructions/INC.js";
 import { ExecutionUnit_INCT } from "./instructions/INCT.js";
+import { ExecutionUnit_INSF } from "./instructions/INSF.js";
+import { ExecutionUnit_INV } from "./instructions/INV.js";
 import { ExecutionUnit_JEQ } from "./instructions/JEQ.js";
 import { ExecutionUnit_JGT } from "./instructions/JGT.js";
 import { ExecutionUnit_JH } from "./instructions/JH.js";
@@ -20,48 +51,227 @@ import { ExecutionUnit_JNC } from "./instructions/JNC.js";
 import { ExecutionUnit_JNE } from "./instructions/JNE.js";
 import { ExecutionUnit_JNO } from "./instructions/JNO.js";
 import { ExecutionUnit_JOC } from "./instructions/JOC.js";
+import { ExecutionUnit_LD } from "./instructions/LD.js";
+import { ExecutionUnit_LDCR } from "./instructions/LDCR.js";
+import { ExecutionUnit_LDD } from "./instructions/LDD.js";
+import { ExecutionUnit_LDS } from "./instructions/LDS.js";
 import { ExecutionUnit_LI } from "./instructions/LI.js";
+import { ExecutionUnit_LIMI } from "./instructions/LIMI.js";
+import { ExecutionUnit_LMF } from "./instructions/LMF.js";
+import { ExecutionUnit_LR } from "./instructions/LR.js";
+import { ExecutionUnit_LST } from "./instructions/LST.js";
+import { ExecutionUnit_LTO } from "./instructions/LTO.js";
+import { ExecutionUnit_LWP } from "./instructions/LWP.js";
+import { ExecutionUnit_LWPI } from "./instructions/LWPI.js";
+import { ExecutionUnit_MD } from "./instructions/MD.js";
 import { ExecutionUnit_MOV } from "./instructions/MOV.js";
+import { ExecutionUnit_MOVB } from "./instructions/MOVB.js";
+import { ExecutionUnit_MOVS } from "./instructions/MOVS.js";
+import { ExecutionUnit_MPY } from "./instructions/MPY.js";
+import { ExecutionUnit_MPYS } from "./instructions/MPYS.js";
+import { ExecutionUnit_MR } from "./instructions/MR.js";
+import { ExecutionUnit_MVSK } from "./instructions/MVSK.js";
+import { ExecutionUnit_MVSR } from "./instructions/MVSR.js";
+import { ExecutionUnit_NEG } from "./instructions/NEG.js";
+import { ExecutionUnit_NEGD } from "./instructions/NEGD.js";
+import { ExecutionUnit_NEGR } from "./instructions/NEGR.js";
+import { ExecutionUnit_ORI } from "./instructions/ORI.js";
+import { ExecutionUnit_POPS } from "./instructions/POPS.js";
+import { ExecutionUnit_PSHS } from "./instructions/PSHS.js";
+import { ExecutionUnit_RTO } from "./instructions/RTO.js";
+import { ExecutionUnit_RTWP } from "./instructions/RTWP.js";
 import { ExecutionUnit_S } from "./instructions/S.js";
+import { ExecutionUnit_SB } from "./instructions/SB.js";
+import { ExecutionUnit_SBO } from "./instructions/SBO.js";
+import { ExecutionUnit_SBZ } from "./instructions/SBZ.js";
+import { ExecutionUnit_SD } from "./instructions/SD.js";
+import { ExecutionUnit_SEQB } from "./instructions/SEQB.js";
+import { ExecutionUnit_SETO } from "./instructions/SETO.js";
+import { ExecutionUnit_SLA } from "./instructions/SLA.js";
+import { ExecutionUnit_SLAM } from "./instructions/SLAM.js";
+import { ExecutionUnit_SM } from "./instructions/SM.js";
+import { ExecutionUnit_SNEB } from "./instructions/SNEB.js";
+import { ExecutionUnit_SOCB } from "./instructions/SOCB.js";
+import { ExecutionUnit_SR } from "./instructions/SR.js";
+import { ExecutionUnit_SRA } from "./instructions/SRA.js";
+import { ExecutionUnit_SRAM } from "./instructions/SRAM.js";
+import { ExecutionUnit_SRC } from "./instructions/SRC.js";
+import { ExecutionUnit_SRL } from "./instructions/SRL.js";
+import { ExecutionUnit_STCR } from "./instructions/STCR.js";
+import { ExecutionUnit_STD } from "./instructions/STD.js";
+import { ExecutionUnit_STR } from "./instructions/STR.js";
+import { ExecutionUnit_STST } from "./instructions/STST.js";
+import { ExecutionUnit_STWP } from "./instructions/STWP.js";
+import { ExecutionUnit_SWPB } from "./instructions/SWPB.js";
+import { ExecutionUnit_SZCB } from "./instructions/SZCB.js";
+import { ExecutionUnit_TB } from "./instructions/TB.js";
+import { ExecutionUnit_TCMB } from "./instructions/TCMB.js";
+import { ExecutionUnit_TMB } from "./instructions/TMB.js";
+import { ExecutionUnit_TS } from "./instructions/TS.js";
+import { ExecutionUnit_TSMB } from "./instructions/TSMB.js";
+import { ExecutionUnit_X } from "./instructions/X.js";
+import { ExecutionUnit_XF } from "./instructions/XF.js";
+import { ExecutionUnit_XOP } from "./instructions/XOP.js";
+import { ExecutionUnit_XV } from "./instructions/XV.js";
 
 export class ExecutionUnitMap {
 
     /** @typedef {typeof ExecutionUnit} AnonymousExecutionUnit */
-    /** @type Object<string,AnonymousExecutionUnit> */
-    static #units = {
-        'A': ExecutionUnit_A,
-        'C': ExecutionUnit_C,
-        'DEC': ExecutionUnit_DEC,
-        'DECT': ExecutionUnit_DECT,
-        'INC': ExecutionUnit_INC,
-        'INCT': ExecutionUnit_INCT,
-        'JEQ': ExecutionUnit_JEQ,
-        'JGT': ExecutionUnit_JGT,
-        'JH': ExecutionUnit_JH,
-        'JHE': ExecutionUnit_JHE,
-        'JL': ExecutionUnit_JL,
-        'JLE': ExecutionUnit_JLE,
-        'JLT': ExecutionUnit_JLT,
-        'JMP': ExecutionUnit_JMP,
-        'JNC': ExecutionUnit_JNC,
-        'JNE': ExecutionUnit_JNE,
-        'JNO': ExecutionUnit_JNO,
-        'JOC': ExecutionUnit_JOC,
-        'LI': ExecutionUnit_LI,
-        'MOV': ExecutionUnit_MOV,
-        'S': ExecutionUnit_S,
-    };
+    /**
+     * This gets built on first use instead of at load time.  X looks up other
+     * units through us, which makes the imports circular, and the instruction
+     * modules may not have finished loading by the time we do.
+     * @type Object<string,AnonymousExecutionUnit>|null
+     **/
+    static #units = null;
+
+    static #populateUnits() {
+        if (this.#units) {
+            return;
+        }
+        this.#units = {
+            'A': ExecutionUnit_A,
+            'AB': ExecutionUnit_AB,
+            'ABS': ExecutionUnit_ABS,
+            'AD': ExecutionUnit_AD,
+            'AI': ExecutionUnit_AI,
+            'AM': ExecutionUnit_AM,
+            'ANDI': ExecutionUnit_ANDI,
+            'AR': ExecutionUnit_AR,
+            'B': ExecutionUnit_B,
+            'BL': ExecutionUnit_BL,
+            'BLWP': ExecutionUnit_BLWP,
+            'C': ExecutionUnit_C,
+            'CB': ExecutionUnit_CB,
+            'CDE': ExecutionUnit_CDE,
+            'CDI': ExecutionUnit_CDI,
+            'CED': ExecutionUnit_CED,
+            'CER': ExecutionUnit_CER,
+            'CI': ExecutionUnit_CI,
+            'CID': ExecutionUnit_CID,
+            'CIR': ExecutionUnit_CIR,
+            'CLR': ExecutionUnit_CLR,
+            'CNTO': ExecutionUnit_CNTO,
+            'CRC': ExecutionUnit_CRC,
+            'CRE': ExecutionUnit_CRE,
+            'CRI': ExecutionUnit_CRI,
+            'CS': ExecutionUnit_CS,
+            'DD': ExecutionUnit_DD,
+            'DEC': ExecutionUnit_DEC,
+            'DECT': ExecutionUnit_DECT,
+            'DIV': ExecutionUnit_DIV,
+            'DIVS': ExecutionUnit_DIVS,
+            'DR': ExecutionUnit_DR,
+            'IDLE': ExecutionUnit_IDLE,
+            'INC': ExecutionUnit_INC,
+            'INCT': ExecutionUnit_INCT,
+            'INSF': ExecutionUnit_INSF,
+            'INV': ExecutionUnit_INV,
+            'JEQ': ExecutionUnit_JEQ,
+            'JGT': ExecutionUnit_JGT,
+            'JH': ExecutionUnit_JH,
+            'JHE': ExecutionUnit_JHE,
+            'JL': ExecutionUnit_JL,
+            'JLE': ExecutionUnit_JLE,
+            'JLT': ExecutionUnit_JLT,
+            'JMP': ExecutionUnit_JMP,
+            'JNC': ExecutionUnit_JNC,
+            'JNE': ExecutionUnit_JNE,
+            'JNO': ExecutionUnit_JNO,
+            'JOC': ExecutionUnit_JOC,
+            'LD': ExecutionUnit_LD,
+            'LDCR': ExecutionUnit_LDCR,
+            'LDD': ExecutionUnit_LDD,
+            'LDS': ExecutionUnit_LDS,
+            'LI': ExecutionUnit_LI,
+            'LIMI': ExecutionUnit_LIMI,
+            'LMF': ExecutionUnit_LMF,
+            'LR': ExecutionUnit_LR,
+            'LST': ExecutionUnit_LST,
+            'LTO': ExecutionUnit_LTO,
+            'LWP': ExecutionUnit_LWP,
+            'LWPI': ExecutionUnit_LWPI,
+            'MD': ExecutionUnit_MD,
+            'MOV': ExecutionUnit_MOV,
+            'MOVB': ExecutionUnit_MOVB,
+            'MOVS': ExecutionUnit_MOVS,
+            'MPY': ExecutionUnit_MPY,
+            'MPYS': ExecutionUnit_MPYS,
+            'MR': ExecutionUnit_MR,
+            'MVSK': ExecutionUnit_MVSK,
+            'MVSR': ExecutionUnit_MVSR,
+            'NEG': ExecutionUnit_NEG,
+            'NEGD': ExecutionUnit_NEGD,
+            'NEGR': ExecutionUnit_NEGR,
+            'ORI': ExecutionUnit_ORI,
+            'POPS': ExecutionUnit_POPS,
+            'PSHS': ExecutionUnit_PSHS,
+            'RTO': ExecutionUnit_RTO,
+            'RTWP': ExecutionUnit_RTWP,
+            'S': ExecutionUnit_S,
+            'SB': ExecutionUnit_SB,
+            'SBO': ExecutionUnit_SBO,
+            'SBZ': ExecutionUnit_SBZ,
+            'SD': ExecutionUnit_SD,
+            'SEQB': ExecutionUnit_SEQB,
+            'SETO': ExecutionUnit_SETO,
+            'SLA': ExecutionUnit_SLA,
+            'SLAM': ExecutionUnit_SLAM,
+            'SM': ExecutionUnit_SM,
+            'SNEB': ExecutionUnit_SNEB,
+            'SOCB': ExecutionUnit_SOCB,
+            'SR': ExecutionUnit_SR,
+            'SRA': ExecutionUnit_SRA,
+            'SRAM': ExecutionUnit_SRAM,
+            'SRC': ExecutionUnit_SRC,
+            'SRL': ExecutionUnit_SRL,
+            'STCR': ExecutionUnit_STCR,
+            'STD': ExecutionUnit_STD,
+            'STR': ExecutionUnit_STR,
+            'STST': ExecutionUnit_STST,
+            'STWP': ExecutionUnit_STWP,
+            'SWPB': ExecutionUnit_SWPB,
+            'SZCB': ExecutionUnit_SZCB,
+            'TB': ExecutionUnit_TB,
+            'TCMB': ExecutionUnit_TCMB,
+            'TMB': ExecutionUnit_TMB,
+            'TS': ExecutionUnit_TS,
+            'TSMB': ExecutionUnit_TSMB,
+            'X': ExecutionUnit_X,
+            'XF': ExecutionUnit_XF,
+            'XOP': ExecutionUnit_XOP,
+            'XV': ExecutionUnit_XV,
+        };
+    }
 
     /**
      * @param {string|false} op_name
      * @returns AnonymousExecutionUnit
      **/
     static getClassForOpName(op_name) {
+        this.#populateUnits();
+        const units = /** @type Object<string,AnonymousExecutionUnit> */ (this.#units);
         const processed_name = op_name.toString().toUpperCase();
-        if ( !(processed_name in this.#units)) {
+        if ( !(processed_name in units)) {
+            return false;
+        }
+        return units[processed_name];
+    }
+
+    /**
+     * Like getClassForOpName, but also false when the simulation isn't set up
+     * to run the instruction, because of the CPU profile or missing hardware.
+     * Either way, the opcode is an illegal one.
+     * @param {import("./OpDef.js").OpDef} opdef
+     * @param {import("./SimulationState.js").SimulationState} simstate
+     * @returns AnonymousExecutionUnit
+     **/
+    static getRunnableClass(opdef, simstate) {
+        const eu_class = this.getClassForOpName(opdef.name);
+        if (eu_class == false || !eu_class.isAvailable(simstate) || !simstate.cpu_profile.supports(opdef)) {
             return false;
         }
-        return this.#units[processed_name];
+        return eu_class;
     }
 
 
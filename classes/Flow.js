@@ -2,6 +2,25 @@
 
 import { ExecutionProcess } from "./ExecutionProcess.js";
 import { SimulationState } from "./SimulationState.js";
+import { StatusRegister } from "./StatusRegister.js";
+import { Macrostore } from "./Macrostore.js";
+import { CycleTable } from "./CycleTable.js";
+
+/**
+ * @typedef {Object} FlowSnapshot
+ * @property {string} flow_state
+ * @property {string} prev_flow_state
+ * @property {boolean} running_interrupt
+ * @property {string} internal_interrupt_pending
+ * @property {string} last_trap
+ * @property {boolean} illop_during_execution
+ * @property {boolean} privop_during_execution
+ * @property {string} macrostore_exit
+ * @property {number} app_saved_wp
+ * @property {number} reset_vector_wp
+ * @property {number} reset_vector_pc
+ * @property {number} reset_vector_mask
+ **/
 
 /**
  * Flow: A state machine built from the operation flowchart in the manual.
@@ -64,6 +83,29 @@ export class Flow {
 
     #actual_running_interrupt = false;
 
+    /**
+     * Set when an instruction has tripped one of the internal interrupts that
+     * are processed through interrupt 2: 'ILLOP', 'PRIVOP', 'AF', or 'MAPERR'.
+     * State E picks it up from here and moves it to #last_trap.
+     **/
+    #internal_interrupt_pending = '';
+
+    /** The internal interrupt that state E most recently took, if any. */
+    #last_trap = '';
+
+    /** Set when the instruction in state B turned out to be illegal. */
+    #illop_during_execution = false;
+    #privop_during_execution = false;
+
+    /**
+     * Set when the instruction in state B was the macrostore leaving with one
+     * of the special RTWPs: 'ILLOP' for 0x0382, or 'NOCHECK' for 0x0384.
+     **/
+    #macrostore_exit = '';
+
+    /** The WP we had before state F switched to the interrupt 2 workspace. */
+    #app_saved_wp = 0;
+
     #reset_vector_pc = 0;
     #reset_vector_wp = 0;
     #reset_vector_mask = 0;
@@ -98,11 +140,22 @@ export class Flow {
         }
         while (this.prev_flow_state != 'B') {
             this.run(1);
+            // There's no next instruction until something wakes us up, or
+            // until the attached processor lets go.
+            if (this.isIdle() || this.flow_state == 'F2') {
+                return;
+            }
         }
     }
 
     reset() {
         this.flow_state = 'Reset';
+        this.#internal_interrupt_pending = '';
+        this.#last_trap = '';
+        this.#illop_during_execution = false;
+        this.#privop_during_execution = false;
+        this.#macrostore_exit = '';
+        this.#app_saved_wp = 0;
         this.#reset_vector_wp = 0;
         this.#reset_vector_pc = 2;
         this.#reset_vector_mask = 0;
@@ -142,6 +195,7 @@ export class Flow {
             'Begin': this.stateBegin,
             'A': this.stateA,
             'A2': this.stateA2,
+            'Idle': this.stateIdle,
             'B': this.stateB,
             'C': this.stateC,
             'C2': this.stateC2,
@@ -203,24 +257,33 @@ export class Flow {
      * the Reset state or the E state and need to pick up execution there.
      */
     stateBegin() {
-        // Manual context switch!  Stash away our WP, our PC, and our interrupt mask.
+        // Manual context switch!  Stash away our WP, our PC, and our status.
         const old_wp = this.simstate.workspace_pointer;
         const old_pc = this.simstate.getPc();
-        const old_mask = this.simstate.status_register.getInterruptMask();
+        const old_st = this.simstate.status_register.getWord();
         // Then load the new ones in...
         this.simstate.workspace_pointer = this.#reset_vector_wp;
         this.simstate.setPc(this.#reset_vector_pc);
         this.simstate.status_register.setInterruptMask(this.#reset_vector_mask);
-        // ... and save where we were.
-        this.simstate.setRegisterWord(13, old_wp);
-        this.simstate.setRegisterWord(14, old_pc);
-        this.simstate.setRegisterWord(15, old_mask);
 
-        // Clear out status bits 7-12
+        // Clear out status bits 7-12.  This has to happen before touching the
+        // new workspace, because it also turns off memory mapping.
         for (let i = 7; i < 12; i++) {
             this.simstate.status_register.resetBit(i);
         }
 
+        // ... and save where we were.
+        this.simstate.setRegisterWord(13, old_wp);
+        this.simstate.setRegisterWord(14, old_pc);
+        this.simstate.setRegisterWord(15, old_st);
+        this.simstate.addCycles(CycleTable.getContextSwitchCost(this.simstate.cpu_profile));
+
+        // Whatever instruction was lined up is abandoned.  It'll be fetched
+        // again when we return to the PC we just saved.
+        this.ep.reset();
+        this.simstate.memory_mapper.cancelLongDistance();
+        this.#macrostore_exit = '';
+
         /** @TODO need to manually track the Internal interrupts */
         if (this.#_Begin_NYI_checkLastTrapWasRESET()) {
             this.simstate.status_register.reset();
@@ -232,7 +295,6 @@ export class Flow {
             return this.enterState('C');
         }
 
-        /** @TODO need to manually track the Internal interrupts */
         if (this.#_Begin_NYI_checkLastTrapWasILLOP()) {
             if (this.simstate.interrupt_list.hasRaisedNMI()) {
                 return this.enterState('B');
@@ -250,10 +312,10 @@ export class Flow {
     }
 
     /**
-     * @TODO implement
+     * Did state E just send us to the interrupt 2 handler because of an ILLOP?
      **/
     #_Begin_NYI_checkLastTrapWasILLOP() {
-        return false;
+        return this.#last_trap == 'ILLOP';
     }
 
     // #region State A+A2
@@ -268,10 +330,11 @@ export class Flow {
      * is for the current instruction, not the immediately preceding one.
      * @TODO Did the error checking tense split happen before this stage?
      *
-     * @TODO make this paragraph true:
      * The second route here is by way of G, in which case we just came out of
      * the Macrostore.  Macrostore can raise ILLOP (internal interrupt), and
-     * also can optionally skip interrupt checks.
+     * also can optionally skip interrupt checks.  Our macrostore runs as normal
+     * instructions, so it leaves through B and D like anything else, and the
+     * ILLOP is dealt with in D.
      *
      * We'll check for interrupts and then eventually fall through to state B.
      */
@@ -295,7 +358,8 @@ export class Flow {
             this.enterState('B');
         }
 
-        // XOP, BLWP, and X are allowed to ignore the NMI until completion.
+        // XOP, BLWP, and X don't let anything but the NMI in before they're
+        // done, so they skip straight past the interrupt checks.
         if (!this.simstate.interrupt_list.hasRaisedNMI()) {
             const exclude = (
                 this.#checkInstructionIs('XOP')
@@ -303,7 +367,7 @@ export class Flow {
                 || this.#checkInstructionIs('X')
             );
             if (exclude) {
-                this.enterState('B');
+                return this.enterState('B');
             }
         }
 
@@ -314,11 +378,8 @@ export class Flow {
      * State A2: The IDLE busywait
      *
      * The IDLE instruction is handled here instead of inside the instruction exec.
-     * This flow works only in hardware-land, where busywaiting on an interrupt
-     * makes sense.  Here in Flow it'd put us in a loop we can't escape from,
-     * so instead we crash.
-     *
-     * @TODO Make handling of IDLE recoverable.
+     * In hardware-land the chip just busywaits on an interrupt.  We can't do that
+     * without locking up, so we park in the Idle state instead, and wait there.
      **/
     stateA2() {
         if (this.#_A_NYI_hasAnyPendingInterruptRequestIgnoringMask()) {
@@ -329,19 +390,47 @@ export class Flow {
         }
 
         if (this.#checkInstructionIs('IDLE')) {
-            return null;
+            return this.enterState('Idle');
         }
         return this.enterState('B');
     }
 
+    /**
+     * State Idle: Waiting for an interrupt
+     *
+     * This isn't on the flowchart, it's the busywait at the bottom of page 7.
+     * Every step spent here is time passing with nothing happening.  Once the
+     * NMI or an interrupt that the mask lets through is raised, we leave
+     * through state E.  The PC already points past the IDLE, so that's where
+     * the interrupt handler will return to.
+     *
+     * Running the flow while we're here just spins in place.  Use isIdle to
+     * find out that's what's going on.
+     **/
+    stateIdle() {
+        this.simstate.advanceClock(1);
+        this.simstate.addCycles(CycleTable.getIdleStepCost(this.simstate.cpu_profile));
+        const mask = this.simstate.status_register.getInterruptMask();
+        if (this.simstate.interrupt_list.hasPossibleInterrupts(mask)) {
+            return this.enterState('E');
+        }
+        return this.enterState('Idle');
+    }
+
+    isIdle() {
+        return this.flow_state == 'Idle';
+    }
+
     /**
      * State A, second shape down on page 7.  We came out of state G after doing
      * a MID emulation and expressly not checking for interrupts.  This is done
      * by executing an RTWP with the special opcode 0x0384.
-     *
-     * @TODO Need to have macrostore support and RTWP special opcode support
      **/
-    #_A_NYI_isExitMacrostoreWithoutCheckingInterrupts() { return false; }
+    #_A_NYI_isExitMacrostoreWithoutCheckingInterrupts() {
+        const skip_checks = this.#macrostore_exit == 'NOCHECK';
+        this.#macrostore_exit = '';
+        return skip_checks;
+    }
 
     /**
      * State A, third shape down on page 7.  We came out of state G after trying
@@ -349,7 +438,9 @@ export class Flow {
      * the macrostore balked at the instruction.  The ILLOP error flag has
      * been set, but interrupt 2 has NOT been raised - remember, ILLOP is INTERNAL!
      *
-     * @TODO Need to have macrostore support and internal ILLOP support
+     * Both of those cases are already taken care of by the time we'd get here.
+     * State G raises the ILLOP itself when there's no macrostore, and state D
+     * raises it when the macrostore balks.
      **/
     #_A_NYI_isExitMacrostoreWithILLOP() { return false; }
 
@@ -390,8 +481,21 @@ export class Flow {
      * Doing it in that order anyway.
      */
     stateB() {
+        // Interrupt handlers running on top of the macrostore use RTWP too, so
+        // only the ones out of the macrostore's own workspace count as leaving.
+        const is_leaving_macrostore = (
+            this.simstate.macrostore.active
+            && this.simstate.workspace_pointer == Macrostore.WORKSPACE
+            && this.#checkInstructionIs('RTWP')
+        );
         /** @TODO this returns a value, what do? */
         this.ep.execute();
+        if (is_leaving_macrostore) {
+            this.simstate.macrostore.exit();
+            this.#macrostore_exit = this.#getMacrostoreExitType();
+        }
+        this.#illop_during_execution = this.ep.currentInstructionIsIllegal();
+        this.#privop_during_execution = this.ep.currentInstructionWasPrivilegeViolation();
         // Two-word instructions and instructions with the various kinds of
         // immediate operands have been fetched by the ExecutionProcess
         // (with two-word instructions being done in begin() and operands fetched
@@ -411,11 +515,22 @@ export class Flow {
         // Fetch the next instruction, but do not execute it yet.
         // This call automatically uses and stashes the PC but does NOT advance it.
         this.ep.fetchNextInstruction();
-        this.#recordStateOfAppSignal(); // For a check during state C2
         this.simstate.advancePc();
 
         /** @TODO this returns a value, what do? */
         this.ep.writeResults();
+        this.simstate.advanceClock(1);
+        const cost = CycleTable.getCost(
+            this.ep.getCurrentInstruction(), this.simstate.cpu_profile, this.ep.getCurrentExecutionUnit()
+        );
+        this.simstate.addCycles(cost);
+
+        // If that was the first instruction of an interrupt handler, it's done
+        // and we can be interrupted again.  The empty instruction left behind
+        // by stateBegin doesn't count.
+        if (this.#areActiveInterruptsRaised() && this.ep.getCurrentInstruction().isLegal()) {
+            this.#running_interrupt = false;
+        }
 
         // This instruction is now complete.  We can move on to the next one.
         this.ep.promoteNextInstructionToCurrentInstruction();
@@ -423,6 +538,20 @@ export class Flow {
         return this.enterState('D');
     }
 
+    /**
+     * Which of the RTWPs did the macrostore leave with?
+     **/
+    #getMacrostoreExitType() {
+        const opcode = this.ep.getCurrentInstruction().getEffectiveOpcode();
+        if (opcode == 0x0382) {
+            return 'ILLOP';
+        }
+        if (opcode == 0x0384) {
+            return 'NOCHECK';
+        }
+        return '';
+    }
+
     // #endregion State B
 
     // #region State C+C2
@@ -431,8 +560,8 @@ export class Flow {
      * State C: No Interrupts?  Fetch next instruction.
      *
      * State C starts in the top right of the flowchart on page 6.  We enter this
-     * state only and exclusively out of the Begin state.  We know at this time
-     * that NMI is not being held.  We may have active internal RESET or ILLOP
+     * state out of the Begin state, or out of state G after switching into the
+     * macrostore.  We know at this time that NMI is not being held.  We may have active internal RESET or ILLOP
      * signals, but we're going to ignore them right now.
      *
      * We always move to state C2 next.
@@ -441,7 +570,6 @@ export class Flow {
         // Fetch the next instruction, but do not execute it yet.
         // This automatically uses and stashes the PC but does NOT advance it.
         this.ep.fetchNextInstruction();
-        this.#recordStateOfAppSignal(); // For a check during state C2
         /** @FIXME why did commenting this out work?  the docs say to inc PC here... */
         //this.simstate.advancePc();
 
@@ -461,33 +589,50 @@ export class Flow {
     stateC2() {
         if (this.#_C2_NYI_isPrivilegedOpcodeViolation()) {
             this.simstate.error_flags.setFlag(14); // "EIST14"
-            if ( !(this.simstate.status_register.getInterruptMask() <= 2)) {
+            if (this.#isInterruptLevelEnabled(2)) {
+                // The handler gets to see the offending instruction.
+                this.#internal_interrupt_pending = 'PRIVOP';
+                this.simstate.reducePc();
                 return this.enterState('E');
             }
         }
         if (this.#_C2_NYI_isMIDOrWasAppSignalHighDuringInstructionFetch()) {
             return this.enterState('F');
         }
+        // Opcodes we can't execute at all trap here, before they get anywhere.
+        if (this.ep.currentInstructionIsIllegal()) {
+            this.simstate.error_flags.setFlag(13); // "EIST13"
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'ILLOP';
+                this.simstate.reducePc();
+                return this.enterState('E');
+            }
+        }
         return this.enterState('A');
     }
 
     /**
      * State C2, second to last shape in the bottom right column.  We've recently
-     * executed an instruction and are now checking to see if it raised a PRIVOP
+     * fetched an instruction and are now checking to see if it raises a PRIVOP
      * violation.  If so, the next steps in the state set the correct error flag
      * and see if it can be processed.
      *
-     * @TODO need to detect and raise PRIVOP, at the right time  Where's that?
+     * X does the same check on the instruction it's told to run, see state D.
      **/
-    #_C2_NYI_isPrivilegedOpcodeViolation() { return false; }
+    #_C2_NYI_isPrivilegedOpcodeViolation() {
+        return this.simstate.isPrivilegedOpcodeViolation(this.ep.getCurrentInstruction().opcode_def);
+    }
 
     /**
      * Stage C2, final shape in the bottom right column.  We've recently fetched
      * a new instruction and need to determine to offload it to APP or MID.
+     * We do this before our own check for illegal opcodes, because all of the
+     * MIDs look illegal to us.
      *
-     * @TODO We'll never have APP but MID'll be a thing, fix this when adding MID
      **/
-    #_C2_NYI_isMIDOrWasAppSignalHighDuringInstructionFetch() { return false; }
+    #_C2_NYI_isMIDOrWasAppSignalHighDuringInstructionFetch() {
+        return this.ep.currentInstructionIsMID() || this.ep.currentInstructionIsClaimedByAttachedProcessor();
+    }
 
     // #endregion State C+C2
 
@@ -509,14 +654,65 @@ export class Flow {
         const do_raise_af = this.simstate.status_register.getBit(10);
         if (is_overflow && do_raise_af) {
             this.simstate.error_flags.setFlag(4); // "EIST4"
-            /** @TODO is this where the interrupt is actually raised? */
-            if ( !(this.simstate.status_register.getInterruptMask() <= 2)) {
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'AF';
                 this.simstate.reducePc();
                 return this.enterState('E');
             }
         }
 
-        if (this.#areActiveInterruptsRaised()) {
+        // The memory mapper turned away one of the addresses the instruction
+        // wanted.  The handler gets the address after it.
+        if (this.simstate.memory_mapper.takeFault()) {
+            this.simstate.error_flags.setFlag(11); // "EIST11"
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'MAPERR';
+                this.simstate.reducePc();
+                return this.enterState('E');
+            }
+        }
+
+        // X was handed a privileged instruction in user mode.  It's the same
+        // PRIVOP state C2 raises, but the handler gets the address after the X.
+        if (this.#privop_during_execution) {
+            this.#privop_during_execution = false;
+            this.simstate.error_flags.setFlag(14); // "EIST14"
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'PRIVOP';
+                this.simstate.reducePc();
+                return this.enterState('E');
+            }
+        }
+
+        // This one happens when X is handed an illegal instruction.  The
+        // handler gets the address after the X.
+        if (this.#illop_during_execution) {
+            this.#illop_during_execution = false;
+            this.simstate.error_flags.setFlag(13); // "EIST13"
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'ILLOP';
+                this.simstate.reducePc();
+                return this.enterState('E');
+            }
+        }
+
+        // The macrostore didn't know what to do with the MID.  As with X,
+        // the handler gets the address after it.
+        if (this.#macrostore_exit == 'ILLOP') {
+            this.#macrostore_exit = '';
+            this.simstate.error_flags.setFlag(13); // "EIST13"
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'ILLOP';
+                this.simstate.reducePc();
+                return this.enterState('E');
+            }
+        }
+
+        // The macrostore can ask that the next instruction run before any
+        // interrupts get a look in.  So can LDS and LDD, which would be no
+        // use at all if the handler ended up with their mapping.
+        const skip_interrupts = this.#macrostore_exit == 'NOCHECK' || this.simstate.memory_mapper.long_distance_pending;
+        if (!skip_interrupts && this.#_D_NYI_isInterruptRequestPending()) {
             this.simstate.reducePc();
             return this.enterState('E');
         }
@@ -524,6 +720,14 @@ export class Flow {
         return this.enterState('C2');
     }
 
+    /**
+     * State D, third shape down on the left of page 6.  Is there an enabled
+     * external interrupt waiting for us?  The NMI counts, and ignores the mask.
+     **/
+    #_D_NYI_isInterruptRequestPending() {
+        const mask = this.simstate.status_register.getInterruptMask();
+        return this.simstate.interrupt_list.hasPossibleInterrupts(mask);
+    }
 
     // #endregion State D
 
@@ -546,56 +750,66 @@ export class Flow {
      * instruction is always completed before these can be handled.  See description
      * of the interrupt handler in section 4.1 starting on page 23.
      *
-     * This state pulls the trap IVs into the WP and PC
+     * This state pulls the trap IVs into the WP and PC.  They're read straight
+     * from memory, as the handler will be starting out unmapped.
      */
     stateE() {
 
         // We are now an Active Interrupt Request!
         /** @TODO are we? */
         this.#running_interrupt = true;
+        this.#last_trap = '';
 
         if (this.simstate.interrupt_list.hasRaisedNMI()) {
+            this.simstate.interrupt_list.acknowledgeNMI();
             // The NMI vectors are at the end of memory space.
-            this.#reset_vector_pc = this.simstate.getWord(0xFFFC);
-            this.#reset_vector_wp = this.simstate.getWord(0xFFFE);
+            this.#reset_vector_wp = this.simstate.getPhysicalWord(0xFFFC);
+            this.#reset_vector_pc = this.simstate.getPhysicalWord(0xFFFE);
             this.#reset_vector_mask = 0b000;
             return this.enterState('Begin');
         }
 
         if (this.#_E_NYI_isEnabledInternalInterrupt()) {
+            this.#last_trap = this.#internal_interrupt_pending;
+            this.#internal_interrupt_pending = '';
             // Internals are always dealt with through interrupt 2
-            this.#reset_vector_wp = this.simstate.getWord(0x0008);
-            this.#reset_vector_pc = this.simstate.getWord(0x000A);
+            this.#reset_vector_wp = this.simstate.getPhysicalWord(0x0008);
+            this.#reset_vector_pc = this.simstate.getPhysicalWord(0x000A);
             this.#reset_vector_mask = 0b001; // thus permitting only 0 and 1
             return this.enterState('Begin');
         }
 
         if (this.#_E_NYI_isLevel0InterruptExternal()) {
-            this.#reset_vector_wp = this.simstate.getWord(0x0000);
-            this.#reset_vector_pc = this.simstate.getWord(0x0002);
+            this.#reset_vector_wp = this.simstate.getPhysicalWord(0x0000);
+            this.#reset_vector_pc = this.simstate.getPhysicalWord(0x0002);
             this.#reset_vector_mask = 0b000;
             return this.enterState('Begin');
         }
 
         // Therefore this must be a normal interrupt.
-        const int_level = this.simstate.interrupt_list.getLowestRaisedInterrupt();
+        const mask = this.simstate.status_register.getInterruptMask();
+        const int_level = this.simstate.interrupt_list.getLowestRaisedInterrupt(mask);
         if (int_level == 0) {
             throw new Error('Bottom of state E reached without a raised interrupt, look for bugs!');
         }
-        this.#reset_vector_wp = this.simstate.getWord(0x0000 + (int_level * 4));
-        this.#reset_vector_pc = this.simstate.getWord(0x0002 + (int_level * 4));
+        this.simstate.interrupt_list.acknowledgeInterrupt(int_level);
+        this.#reset_vector_wp = this.simstate.getPhysicalWord(0x0000 + (int_level * 4));
+        this.#reset_vector_pc = this.simstate.getPhysicalWord(0x0002 + (int_level * 4));
         this.#reset_vector_mask = int_level - 1;
         return this.enterState('Begin');
     }
 
     /**
      * State E, second check in the left column of page 5.  We're entering an
-     * interrupt handler.  The two internal interrupts, RESET and ILLOP, get
-     * special treatment, but we still act like they're a level 2 interrupt.
+     * interrupt handler.  The internal interrupts get special treatment, but we
+     * still act like they're a level 2 interrupt.  Whoever raised it has
+     * already checked the mask.
      *
      * @TODO make this work when RESET and ILLOP are implemented.
      **/
-    #_E_NYI_isEnabledInternalInterrupt() { return false; }
+    #_E_NYI_isEnabledInternalInterrupt() {
+        return this.#internal_interrupt_pending !== '';
+    }
 
     /**
      * State E, third check in the left column of page 5.  We're entering an
@@ -620,67 +834,99 @@ export class Flow {
      * state C2, where it's been established that the currently processing opcode
      * is MID, or that APP was being held during the opcode fetch.
      *
-     * Because this simulation does not implement APP, and this entire block of
-     * logic depends entirely on APP existing and being raised, entering state F
-     * is effectively just a punt to state G.
+     * If there's no attached processor holding APP, this is a MID for the
+     * macrostore, so we punt to state G.  Otherwise we back the PC up to the
+     * opcode, switch to the interrupt 2 workspace, and let the attached
+     * processor get to work while we wait in F2.
      *
      * See section 8 of the manual starting on page 47, though the useful things
      * for the purpose of this state are in the paragraphs at the bottom of 50.
+     * See also AttachedProcessorInterface.
      */
     stateF() {
         if (!this.#_F_NYI_isAppActiveNow()) {
             return this.enterState('G');
         }
-        throw new Error('Entered unreachable point in state F.  nice bug!');
 
-        // The remainder of this code is unreachable.
-        /*
         if (this.#_F_NYI_wasAppActiveAtInstructionFetch()) {
             this.simstate.reducePc();
         }
 
         this.#_F_NYI_doSwitchToInterrupt2WP();
+        this.#beginAttachedProcessor();
 
         return this.enterState('F2');
-        */
     }
 
-    #_F_NYI_isAppActiveNow() { return false; }
-    /*
-    #_F_NYI_wasAppActiveAtInstructionFetch() { return false; }
-    #_F_NYI_doSwitchToInterrupt2WP() { return false; }
-    */
+    /**
+     * Our attached processors only ever raise APP while the opcode is being
+     * fetched, and then hold it until they're done.
+     **/
+    #_F_NYI_isAppActiveNow() {
+        return this.ep.currentInstructionIsClaimedByAttachedProcessor();
+    }
+
+    #_F_NYI_wasAppActiveAtInstructionFetch() {
+        return this.ep.currentInstructionIsClaimedByAttachedProcessor();
+    }
+
+    #_F_NYI_doSwitchToInterrupt2WP() {
+        this.#app_saved_wp = this.simstate.workspace_pointer;
+        this.simstate.workspace_pointer = this.simstate.getWord(0x0008);
+    }
+
+    #beginAttachedProcessor() {
+        const address = this.simstate.getPc();
+        this.simstate.attached_processor.begin({
+            opcode: this.simstate.getWord(address),
+            address,
+            workspace_pointer: this.#app_saved_wp,
+            simstate: this.simstate,
+        });
+    }
 
     /**
      * State F2: Busywait for an interrupt while APP does stuff.
      *
-     * We can only come here through state F. Like the IDLE loop, this is broken.
-     * Unlike the IDLE loop, this code is entirely unreachable and will probably
-     * never be made reachable.  The skeleton is here for funsies.
+     * We can only come here through state F.  Like the IDLE loop, each step
+     * spent here is time passing.  The attached processor gets a step of work
+     * done each time through.  Once it lets go of APP, we switch back to the
+     * program's workspace and pick up from wherever it left the PC.
+     *
+     * Interrupts that come in while we wait are held.  The flowchart locks
+     * them in here, but state D is next and will take them anyway.
      **/
     stateF2() {
-        throw new Error('Entered unreachable state F2.  nice bug!');
-        /*
+        this.simstate.advanceClock(1);
         if (!this.#_F2_NYI_isAppOrHoldActive()) {
             this.#_F2_NYI_doSwitchBackFromInterrupt2WP();
             this.#_F2_NYI_doFetchNextInstructionAndAdvancePC();
             return this.enterState('D');
         }
 
-        if (this.#_F2_NYI_isNMIOrUnmaskedInterruptRaised()) {
-            this.#_F2_NYI_doLockInActiveInterruptRequest();
-        }
-
         return this.enterState('F2');
-        */
     }
-    /*
-    #_F2_NYI_isAppOrHoldActive() { return false; }
-    #_F2_NYI_doSwitchBackFromInterrupt2WP() { return false; }
-    #_F2_NYI_isNMIOrUnmaskedInterruptRaised() { return false; }
-    #_F2_NYI_doLockInActiveInterruptRequest() { return false; }
-    #_F2_NYI_doFetchNextInstructionAndAdvancePC() { return false; }
-    */
+
+    /**
+     * Give the attached processor its step, then see if it's still busy.
+     * We don't have a HOLD signal.
+     **/
+    #_F2_NYI_isAppOrHoldActive() {
+        return this.simstate.attached_processor.step();
+    }
+
+    #_F2_NYI_doSwitchBackFromInterrupt2WP() {
+        this.simstate.workspace_pointer = this.#app_saved_wp;
+    }
+
+    /**
+     * This is the tail end of state B, without anything to execute.
+     **/
+    #_F2_NYI_doFetchNextInstructionAndAdvancePC() {
+        this.ep.fetchNextInstruction();
+        this.simstate.advancePc();
+        this.ep.promoteNextInstructionToCurrentInstruction();
+    }
 
     // #endregion State F+F2
 
@@ -692,6 +938,12 @@ export class Flow {
      * State G starts at the top of the flowchart on page 9.  We get here only
      * through state F, after which it's been determined that this is a MID
      * instruction and APP is not being held.
+     *
+     * The flowchart does the whole emulation in here.  We can't, because the
+     * emulation is just more code to run.  Instead we switch into the macrostore
+     * and go fetch its first instruction.  Recognizing the opcode, emulating it,
+     * and picking which RTWP to leave with are all up to the emulation code.
+     * Leaving is noticed in state B and dealt with in D and A.  See Macrostore.
      */
     stateG() {
         if (this.#_G_NYI_isSecondWordOfTwoWordOpcodeIllegal()) {
@@ -699,37 +951,18 @@ export class Flow {
         }
 
         if (this.#_G_NYI_isMacrostoreDisabled()) {
-            /** @TODO make sure to denote the ILLOP internal interrupt */
-            this.simstate.error_flags.setFlag(13);
-            this.#_G_NYI_doExitMacrostore();
+            // Nobody is around to emulate it, so it's an ILLOP like any other.
+            this.simstate.error_flags.setFlag(13); // "EIST13"
+            if (this.#isInterruptLevelEnabled(2)) {
+                this.#internal_interrupt_pending = 'ILLOP';
+                this.simstate.reducePc();
+                return this.enterState('E');
+            }
             return this.enterState('A');
         }
 
-        throw new Error('Entered unreachable point in state G.  nice bug!');
-
-        // The remainder of this code is unreachable.
-        /*
         this.#_G_NYI_doEnterMacrostore();
-
-        if (!this.#_G_NYI_isOpcodeRecognizedByMacrostore()) {
-            this.#_G_NYI_doReturnFromMacrostoreUsingRTWP0x0382();
-            this.#_G_NYI_doSetILLOPFlag();
-            this.#_G_NYI_doExitMacrostore();
-            return this.enterState('A');
-        }
-
-        this.#_G_NYI_doEmulateOpcode();
-
-        if (this.#_G_NYI_doesEmulatedOpcodeCheckForInterrupts()) {
-            this.#_G_NYI_doReturnFromMacrostoreUsingRTWP0x0380();
-        } else {
-            this.#_G_NYI_doReturnFromMacrostoreUsingRTWP0x0384();
-        }
-
-        this.#_G_NYI_doExitMacrostore();
-
-        return this.enterState('A');
-        */
+        return this.enterState('C');
     }
 
     /**
@@ -740,28 +973,32 @@ export class Flow {
     }
 
     /**
-     * @TODO implement macrostore lol
+     * There has to be an image loaded.  The emulation code also can't run MIDs
+     * of its own, as there's only the one macrostore workspace to go around.
      **/
     #_G_NYI_isMacrostoreDisabled() {
-        return true;
+        return !this.simstate.macrostore.enabled || this.simstate.macrostore.active;
     }
 
     /**
-    * Being inside macrostore has some Implications.
-    * @TODO document the implications and what exiting means.
-    **/
-    #_G_NYI_doExitMacrostore() { return false; }
-
-    /*
-    // These are unreachable.
-    #_G_NYI_doEnterMacrostore() { return false; }
-    #_G_NYI_isOpcodeRecognizedByMacrostore() { return false; }
-    #_G_NYI_doReturnFromMacrostoreUsingRTWP0x0382() {}
-    #_G_NYI_doEmulateOpcode() { return false; }
-    #_G_NYI_doesEmulatedOpcodeCheckForInterrupts() { return false; }
-    #_G_NYI_doReturnFromMacrostoreUsingRTWP0x0380() { return false; }
-    #_G_NYI_doReturnFromMacrostoreUsingRTWP0x0384() { return false; }
-    */
+     * Another manual context switch, this time into the macrostore workspace.
+     * The emulation code runs privileged, so that its RTWP can put back all
+     * of the status bits, including the privileged bit itself.
+     **/
+    #_G_NYI_doEnterMacrostore() {
+        const old_wp = this.simstate.workspace_pointer;
+        const old_pc = this.simstate.getPc();
+        const old_st = this.simstate.status_register.getWord();
+        this.simstate.workspace_pointer = Macrostore.WORKSPACE;
+        this.simstate.setPc(this.simstate.macrostore.entry_point);
+        this.simstate.status_register.resetBit(StatusRegister.PRIVILEGED);
+        this.simstate.setRegisterWord(13, old_wp);
+        this.simstate.setRegisterWord(14, old_pc);
+        this.simstate.setRegisterWord(15, old_st);
+        // The MID is done with as far as we're concerned.
+        this.ep.reset();
+        this.simstate.macrostore.enter();
+    }
 
     // #endregion State G
 
@@ -779,6 +1016,15 @@ export class Flow {
         return this.#running_interrupt;
     }
 
+    /**
+     * The interrupt mask is a limit, not a mask.  Interrupts at the level of
+     * the mask or lower in number are let in.
+     * @param {number} level
+     **/
+    #isInterruptLevelEnabled(level) {
+        return level <= this.simstate.status_register.getInterruptMask();
+    }
+
     /**
      * Given an Op name, check to see if our current instruction is that instruction.
      * @param {string} op_name
@@ -787,9 +1033,45 @@ export class Flow {
         return this.ep.getCurrentInstruction().opcode_def.name == op_name.toUpperCase();
     }
 
-    #recordStateOfAppSignal() {
-        // There is never an APP signal to process.
-        return false;
+    /**
+     * For Snapshot.  Where we are in the flowchart, and everything we're
+     * holding on to between states.
+     * @returns {FlowSnapshot}
+     **/
+    toSnapshot() {
+        return {
+            flow_state: this.flow_state,
+            prev_flow_state: this.prev_flow_state,
+            running_interrupt: this.#actual_running_interrupt,
+            internal_interrupt_pending: this.#internal_interrupt_pending,
+            last_trap: this.#last_trap,
+            illop_during_execution: this.#illop_during_execution,
+            privop_during_execution: this.#privop_during_execution,
+            macrostore_exit: this.#macrostore_exit,
+            app_saved_wp: this.#app_saved_wp,
+            reset_vector_wp: this.#reset_vector_wp,
+            reset_vector_pc: this.#reset_vector_pc,
+            reset_vector_mask: this.#reset_vector_mask,
+        };
+    }
+
+    /** @param {FlowSnapshot} snapshot */
+    restoreSnapshot(snapshot) {
+        if (this.#getStateFunction(snapshot.flow_state) === null) {
+            throw new Error(`Snapshot has unknown flow state "${snapshot.flow_state}"`);
+        }
+        this.flow_state = snapshot.flow_state;
+        this.prev_flow_state = snapshot.prev_flow_state;
+        this.#actual_running_interrupt = !!snapshot.running_interrupt;
+        this.#internal_interrupt_pending = snapshot.internal_interrupt_pending;
+        this.#last_trap = snapshot.last_trap;
+        this.#illop_during_execution = !!snapshot.illop_during_execution;
+        this.#privop_during_execution = !!snapshot.privop_during_execution;
+        this.#macrostore_exit = snapshot.macrostore_exit;
+        this.#app_saved_wp = snapshot.app_saved_wp;
+        this.#reset_vector_wp = snapshot.reset_vector_wp;
+        this.#reset_vector_pc = snapshot.reset_vector_pc;
+        this.#reset_vector_mask = snapshot.reset_vector_mask;
     }
 
 }
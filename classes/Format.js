@@ -8,7 +8,7 @@ class FormatInfo {
     get has_immediate_operand() {           return this.format_number == 8; }
     get has_possible_immediate_source() {   return this.asm_param_order.includes('Ts'); }
     get has_possible_immediate_dest() {     return this.asm_param_order.includes('Td'); }
-    get has_second_opcode_word() {          return (this.format_number > 11) && (this.format_number != 18); }
+    get has_second_opcode_word() {          return (this.format_number >= 11) && (this.format_number != 18); }
 
     // Overridden
     get format_number() {                   return 0; }
@@ -56,7 +56,7 @@ class FormatInfo {
             get format_number() {                   return 5; }
             get opcode_param_start_bit() {          return 8; }
             get opcode_params() {                   return { 'count': 4, 'reg': 4 }; }
-            get asm_param_order() {                 return ['count', 'reg']; }
+            get asm_param_order() {                 return ['reg', 'count']; }
         },
         6: new class Format6Info extends FormatInfo {
             get format_number() {                   return 6; }
@@ -115,7 +115,7 @@ class FormatInfo {
             // 14, 15, and 16 all have a "position" param, but the others are
             // 4 bits while this one is 10 bits.  It gets a different name.
             get opcode_params() {                   return { 'bpos': 10, 'Ts': 2, 'S': 4 }; }
-            get asm_param_order() {                 return ['S', 'pos']; }
+            get asm_param_order() {                 return ['S', 'bpos']; }
         },
         15: new class Format15Info extends FormatInfo {
             get format_number() {                   return 15; }
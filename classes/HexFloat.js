@@ -0,0 +1,282 @@
+// @ts-check
+
+/**
+ * @typedef {Object} HexFloatValue
+ * @property {boolean} negative
+ * @property {bigint} mantissa      Never negative.  Zero means the value is zero.
+ * @property {number} exponent      The power of 16 that the mantissa gets multiplied by
+ **/
+
+/**
+ * @typedef {Object} PackedHexFloat
+ * @property {number[]} words
+ * @property {boolean} overflow     The exponent was too big to fit
+ * @property {boolean} underflow    The exponent was too small to fit
+ **/
+
+/**
+ * HexFloat: The 990's floating point format.
+ *
+ * This isn't IEEE 754, it's the same hexadecimal format as the IBM 360:
+ * - Bit 0 is the sign.  The rest of the number is the magnitude, it is NOT
+ *   two's complement.
+ * - Bits 1-7 are the exponent, a power of 16, in excess-64 notation.
+ * - The rest is the fraction, a number of hex digits with the radix point
+ *   before the first one.  The first digit can't be zero, unless the whole
+ *   number is zero.  That's what normalized means around here.
+ *
+ * Single precision reals are two words, leaving six hex digits of fraction.
+ * Double precision reals are four words, with fourteen.  Zero is all zeros.
+ *
+ * Unpacked values are kept as a sign, an unbounded integer mantissa, and a
+ * hex exponent to go with it.  Doing math on those is exact, so the only
+ * place anything gets rounded is on the way back into words.  Rounding is to
+ * the nearest, with halfway going away from zero.
+ **/
+export class HexFloat {
+    static get SINGLE_WORDS() { return 2; }
+    static get DOUBLE_WORDS() { return 4; }
+
+    /**
+     * How many hex digits of fraction fit?  The first byte is sign and exponent.
+     * @param {number} word_count
+     * @returns {number}
+     **/
+    static #fractionDigits(word_count) {
+        return (word_count * 4) - 2;
+    }
+
+    /**
+     * @param {bigint} value
+     * @returns {number}
+     **/
+    static #hexLength(value) {
+        return value.toString(16).length;
+    }
+
+    /** @returns {HexFloatValue} */
+    static zero() {
+        return { negative: false, mantissa: 0n, exponent: 0 };
+    }
+
+    /**
+     * @param {HexFloatValue} value
+     * @returns {boolean}
+     **/
+    static isZero(value) {
+        return value.mantissa == 0n;
+    }
+
+    /**
+     * @param {number[]} words
+     * @returns {HexFloatValue}
+     **/
+    static unpack(words) {
+        const digits = HexFloat.#fractionDigits(words.length);
+        const negative = (words[0] & 0x8000) != 0;
+        const biased_exponent = (words[0] >> 8) & 0x7F;
+        let mantissa = BigInt(words[0] & 0xFF);
+        for (let i = 1; i < words.length; i++) {
+            mantissa = (mantissa << 16n) | BigInt(words[i] & 0xFFFF);
+        }
+        if (mantissa == 0n) {
+            return HexFloat.zero();
+        }
+        return { negative, mantissa, exponent: biased_exponent - 64 - digits };
+    }
+
+    /**
+     * Normalize, round, and squeeze a value back into words.  If the exponent
+     * won't fit, we hand back the biggest number there is for overflow, or zero
+     * for underflow.
+     *
+     * @param {HexFloatValue} value
+     * @param {number} word_count
+     * @returns {PackedHexFloat}
+     **/
+    static pack(value, word_count) {
+        const digits = HexFloat.#fractionDigits(word_count);
+        const words = new Array(word_count).fill(0);
+        let mantissa = value.mantissa;
+        let exponent = value.exponent;
+        if (mantissa == 0n) {
+            return { words, overflow: false, underflow: false };
+        }
+
+        const length = HexFloat.#hexLength(mantissa);
+        if (length > digits) {
+            const shift = BigInt((length - digits) * 4);
+            mantissa = (mantissa + (1n << (shift - 1n))) >> shift;
+            exponent += length - digits;
+            // Rounding up can carry into a brand new digit.
+            if (HexFloat.#hexLength(mantissa) > digits) {
+                mantissa >>= 4n;
+                exponent++;
+            }
+        } else if (length < digits) {
+            mantissa <<= BigInt((digits - length) * 4);
+            exponent -= digits - length;
+        }
+
+        const biased_exponent = exponent + digits + 64;
+        if (biased_exponent < 0) {
+            return { words, overflow: false, underflow: true };
+        }
+        if (biased_exponent > 0x7F) {
+            words.fill(0xFFFF);
+            words[0] = value.negative ? 0xFFFF : 0x7FFF;
+            return { words, overflow: true, underflow: false };
+        }
+
+        for (let i = word_count - 1; i > 0; i--) {
+            words[i] = Number(mantissa & 0xFFFFn);
+            mantissa >>= 16n;
+        }
+        words[0] = (value.negative ? 0x8000 : 0) | (biased_exponent << 8) | Number(mantissa & 0xFFn);
+        return { words, overflow: false, underflow: false };
+    }
+
+    /**
+     * @param {HexFloatValue} value
+     * @returns {HexFloatValue}
+     **/
+    static negate(value) {
+        if (HexFloat.isZero(value)) {
+            return value;
+        }
+        return { negative: !value.negative, mantissa: value.mantissa, exponent: value.exponent };
+    }
+
+    /**
+     * @param {HexFloatValue} left
+     * @param {HexFloatValue} right
+     * @returns {HexFloatValue}
+     **/
+    static add(left, right) {
+        if (HexFloat.isZero(left)) {
+            return right;
+        }
+        if (HexFloat.isZero(right)) {
+            return left;
+        }
+        // Line them up on the smaller exponent, then it's just integer math.
+        const exponent = Math.min(left.exponent, right.exponent);
+        let left_mantissa = left.mantissa << BigInt((left.exponent - exponent) * 4);
+        let right_mantissa = right.mantissa << BigInt((right.exponent - exponent) * 4);
+        if (left.negative) {
+            left_mantissa = -left_mantissa;
+        }
+        if (right.negative) {
+            right_mantissa = -right_mantissa;
+        }
+        const sum = left_mantissa + right_mantissa;
+        if (sum == 0n) {
+            return HexFloat.zero();
+        }
+        return { negative: sum < 0n, mantissa: sum < 0n ? -sum : sum, exponent };
+    }
+
+    /**
+     * @param {HexFloatValue} left
+     * @param {HexFloatValue} right
+     * @returns {HexFloatValue}
+     **/
+    static subtract(left, right) {
+        return HexFloat.add(left, HexFloat.negate(right));
+    }
+
+    /**
+     * @param {HexFloatValue} left
+     * @param {HexFloatValue} right
+     * @returns {HexFloatValue}
+     **/
+    static multiply(left, right) {
+        if (HexFloat.isZero(left) || HexFloat.isZero(right)) {
+            return HexFloat.zero();
+        }
+        return {
+            negative: left.negative != right.negative,
+            mantissa: left.mantissa * right.mantissa,
+            exponent: left.exponent + right.exponent,
+        };
+    }
+
+    /**
+     * Division can't be exact, so we keep more digits than anyone will ever
+     * want, plus a sticky digit so pack can tell "exactly half" from "a bit
+     * more than half."  Dividing by zero is the caller's problem.
+     *
+     * @param {HexFloatValue} left
+     * @param {HexFloatValue} right
+     * @returns {HexFloatValue}
+     **/
+    static divide(left, right) {
+        if (HexFloat.isZero(right)) {
+            throw new Error('HexFloat.divide: division by zero, check before calling');
+        }
+        if (HexFloat.isZero(left)) {
+            return HexFloat.zero();
+        }
+        const extra_digits = 32;
+        const numerator = left.mantissa << BigInt(extra_digits * 4);
+        let mantissa = numerator / right.mantissa;
+        let exponent = left.exponent - right.exponent - extra_digits;
+        if (numerator % right.mantissa != 0n) {
+            mantissa = (mantissa << 4n) | 1n;
+            exponent--;
+        }
+        return { negative: left.negative != right.negative, mantissa, exponent };
+    }
+
+    /**
+     * @param {HexFloatValue} left
+     * @param {HexFloatValue} right
+     * @returns {number}    -1, 0, or 1, like a sort callback
+     **/
+    static compare(left, right) {
+        const difference = HexFloat.subtract(left, right);
+        if (HexFloat.isZero(difference)) {
+            return 0;
+        }
+        return difference.negative ? -1 : 1;
+    }
+
+    /**
+     * @param {bigint} integer
+     * @returns {HexFloatValue}
+     **/
+    static fromInteger(integer) {
+        if (integer == 0n) {
+            return HexFloat.zero();
+        }
+        return { negative: integer < 0n, mantissa: integer < 0n ? -integer : integer, exponent: 0 };
+    }
+
+    /**
+     * Round to the nearest integer.  Range checking is the caller's problem.
+     * @param {HexFloatValue} value
+     * @returns {bigint}
+     **/
+    static toInteger(value) {
+        let magnitude = value.mantissa;
+        if (value.exponent >= 0) {
+            magnitude <<= BigInt(value.exponent * 4);
+        } else {
+            const shift = BigInt(-value.exponent * 4);
+            magnitude = (magnitude + (1n << (shift - 1n))) >> shift;
+        }
+        return value.negative ? -magnitude : magnitude;
+    }
+
+    /**
+     * For humans.  Doubles can't hold every double precision real exactly,
+     * so don't go doing math with this.
+     * @param {HexFloatValue} value
+     * @returns {number}
+     **/
+    static toNumber(value) {
+        const magnitude = Number(value.mantissa) * (16 ** value.exponent);
+        return value.negative ? -magnitude : magnitude;
+    }
+
+}
@@ -217,6 +217,9 @@ export class Instruction {
     /** @param {number} word */
     setSecondOpcodeWord(word) {
         this.#second_word = word;
+        // The addressing modes might live in here, so we might have just found
+        // out about some immediate operands.
+        this.#refreshImmediateOperandState();
     }
 
     getSecondOpcodeWord() {
@@ -33,7 +33,7 @@ class InstructionDecode {
         if (inst.hasImmediateDestValue()) {
             const imd = new ImmediateWord(true);
             imd.value = inst.getImmediateDestValue();
-            enc.immediate_source_word = imd;
+            enc.immediate_dest_word = imd;
         }
 
         /** @TODO This should be unnecessary, make sure of that and then nuke it. */
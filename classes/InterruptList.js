@@ -1,34 +1,66 @@
 // @ts-check
 
+/**
+ * @typedef {function(number):void} InterruptAcknowledgeHandler  Given the level that was just taken
+ **/
+
+/**
+ * @typedef {Object} InterruptListSnapshot
+ * @property {number} pending
+ * @property {boolean} nmi
+ **/
+
 /**
  * InterruptList: Hold state information for our active interrupts.
  *
  * An interrupt that is raised is kept raised until cleared.  Hardware-wise,
  * a raised interrupt continuously asserts itself on pins IC0 through IC3 on
  * every single cycle.  The interrupt handler code is responsible for solving
- * the situation that causes the interrupt.  This also applies for the NMI and
- * the NMI pin.
+ * the situation that causes the interrupt.  This is what the manual calls
+ * level triggering, and it's what every line does unless told otherwise.
+ *
+ * Some devices just want to say "hey, something happened" and then walk away.
+ * Lines can be switched to edge triggering for them.  A raised edge triggered
+ * interrupt is latched until the Flow takes it, and is then forgotten.  The
+ * NMI always works this way, otherwise we'd take it again right after the
+ * first instruction of its handler.
  *
  * Interrupt states continuously come in and are continuously probed by the flow
  * state machine.  The state machine will jump into the appropriate service routine
  * when it is next able to and then set the "mask" to the interrupt number minus 1.
  * This jump looks like a BLWP and returning from it looks like an RTWP.
- * The "mask" is not a bitmask, but instead a *limit* above which all subsequent
- * interrupts are measured against.  Only interrupts of higher priority than the
- * "mask", that is, *lower in number* are processed.  An interrupt that interrupts
- * another interrupt is held until the first instruction of the current service
- * routine has been executed.
+ * The "mask" is not a bitmask, but instead a *limit* against which all subsequent
+ * interrupts are measured.  Only interrupts at or below the "mask" in number,
+ * that is, of *equal or higher priority*, are processed.  An interrupt that
+ * interrupts another interrupt is held until the first instruction of the
+ * current service routine has been executed.
+ *
+ * When the Flow takes an interrupt, it acknowledges it here.  That's when edge
+ * triggered lines are cleared.  Devices that care about being serviced can
+ * register an acknowledge handler to find out.
  *
  * See "Flow" for the state machine logic.
  *
  * Because we don't have hardware, and aren't seeking to emulate hardware, we
  * present an interface that just lets the interrupts be raised and cleared as
  * needed.  This is fine.  We just need to hold some numbers.
+ *
+ * Level 0 is RESET, which isn't a line that anyone can raise here.
  **/
 export class InterruptList {
+    /** Bit n is set when line n is raised. */
     #pending = 0;
+    /** Bit n is set when line n is edge triggered. */
+    #edge_triggered = 0;
     #nmi = false;
 
+    /** @type {InterruptAcknowledgeHandler[]} */
+    #ack_handlers = [];
+
+    /**
+     * Forget about every raised interrupt.  How the lines are triggered and who
+     * wants to hear about acknowledgments is wiring, so it survives.
+     **/
     reset() {
         this.#pending = 0;
         this.#nmi = false;
@@ -38,7 +70,10 @@ export class InterruptList {
      * @param {number} interrupt_num
      **/
     #isLegalInterrupt(interrupt_num) {
-        if (interrupt_num < 2) {
+        if (!Number.isInteger(interrupt_num)) {
+            return false;
+        }
+        if (interrupt_num < 1) {
             return false;
         }
         if (interrupt_num > 15) {
@@ -55,11 +90,9 @@ export class InterruptList {
             console.error(`Tried to raiseInterrupt with illegal interrupt ${interrupt_num}.  This is a bug in the calling code!`);
             return false;
         }
-        if (interrupt_num < 0 || interrupt_num > 15) {
-            interrupt_num = 0;
-        }
-        console.log(`Raising Interrupt ${interrupt_num}`);
-        this.pending = this.pending | (1 >> interrupt_num);
+        //console.debug(`Raising Interrupt ${interrupt_num}`);
+        this.#pending |= (1 << interrupt_num);
+        return true;
     }
 
     /**
@@ -70,10 +103,48 @@ export class InterruptList {
             console.error(`Tried to clearInterrupt with illegal interrupt ${interrupt_num}.  This is a bug in the calling code!`);
             return false;
         }
-        console.debug(`Clearing Interrupt ${interrupt_num}`);
-        if (this.pending & (1 >> interrupt_num)) {
-            this.pending = this.pending & ~(1 >> interrupt_num);
+        //console.debug(`Clearing Interrupt ${interrupt_num}`);
+        this.#pending &= ~(1 << interrupt_num);
+        return true;
+    }
+
+    /**
+     * @param {number} interrupt_num
+     * @returns {boolean}
+     **/
+    isInterruptRaised(interrupt_num) {
+        if (!this.#isLegalInterrupt(interrupt_num)) {
+            return false;
         }
+        return (this.#pending & (1 << interrupt_num)) != 0;
+    }
+
+    /**
+     * @param {number} interrupt_num
+     * @param {boolean} edge_triggered
+     **/
+    setEdgeTriggered(interrupt_num, edge_triggered) {
+        if (!this.#isLegalInterrupt(interrupt_num)) {
+            console.error(`Tried to setEdgeTriggered with illegal interrupt ${interrupt_num}.  This is a bug in the calling code!`);
+            return false;
+        }
+        if (edge_triggered) {
+            this.#edge_triggered |= (1 << interrupt_num);
+        } else {
+            this.#edge_triggered &= ~(1 << interrupt_num);
+        }
+        return true;
+    }
+
+    /**
+     * @param {number} interrupt_num
+     * @returns {boolean}
+     **/
+    isEdgeTriggered(interrupt_num) {
+        if (!this.#isLegalInterrupt(interrupt_num)) {
+            return false;
+        }
+        return (this.#edge_triggered & (1 << interrupt_num)) != 0;
     }
 
     raiseNMI() {
@@ -90,29 +161,89 @@ export class InterruptList {
         return this.#nmi;
     }
 
+    /**
+     * Is there anything raised that the given mask will let through?
+     * @param {number} mask
+     * @returns {boolean}
+     **/
     hasPossibleInterrupts(mask = 15) {
         return this.#nmi || (this.getLowestRaisedInterrupt(mask) > 0);
     }
 
-    /** @returns {number} */
+    /**
+     * Find the most important raised interrupt that the mask lets through.
+     * Zero means that there isn't one.
+     * @param {number} mask
+     * @returns {number}
+     **/
     getLowestRaisedInterrupt(mask = 15) {
-        // We track all raised interrupts in the 16 bits of a uint16, from 0-15.
-        // We need to know the location of the MSB-most bit.  That index is
-        // our lowest raised interrupt.
-        /** @TODO Why use a bitfield?  It just makes this operation hard. */
-        var lri = this.#pending.toString(2).padStart(8, "0").indexOf('1');
-        if ( !Number.isInteger(lri) ) {
-            lri = 0;
-        }
         // The mask value is expected to be an unsigned 4-bit integer, range 0-15.
-        // It's not really a mask, but a limit.  If our lowest (MOST IMPORTANT)
-        // interrupt is below the limit, it can be triggered.  If our lowest is
-        // above or equal to the limit, it can NOT be triggered.
-        if (lri >= mask) {
-            // And thus we must say we have nothing.
-            lri = 0;
+        // It's not really a mask, but a limit.  Anything at or below the limit
+        // can be triggered.  Anything above it can NOT be triggered.
+        const limit = Math.min(mask & 0xF, 15);
+        for (let level = 1; level <= limit; level++) {
+            if (this.#pending & (1 << level)) {
+                return level;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * @param {InterruptAcknowledgeHandler} handler
+     **/
+    addAcknowledgeHandler(handler) {
+        this.#ack_handlers.push(handler);
+    }
+
+    /**
+     * @param {InterruptAcknowledgeHandler} handler
+     **/
+    removeAcknowledgeHandler(handler) {
+        this.#ack_handlers = this.#ack_handlers.filter((h) => { return h !== handler; });
+    }
+
+    /**
+     * The Flow is taking this interrupt.  Edge triggered lines are done now.
+     * Level triggered lines stay raised until whoever raised them says otherwise.
+     * @param {number} interrupt_num
+     **/
+    acknowledgeInterrupt(interrupt_num) {
+        if (!this.#isLegalInterrupt(interrupt_num)) {
+            console.error(`Tried to acknowledgeInterrupt with illegal interrupt ${interrupt_num}.  This is a bug in the calling code!`);
+            return false;
         }
-        return lri;
+        //console.debug(`Acknowledging Interrupt ${interrupt_num}`);
+        if (this.isEdgeTriggered(interrupt_num)) {
+            this.#pending &= ~(1 << interrupt_num);
+        }
+        for (const handler of this.#ack_handlers) {
+            handler(interrupt_num);
+        }
+        return true;
+    }
+
+    /**
+     * The Flow is taking the NMI.  It's always edge triggered.
+     **/
+    acknowledgeNMI() {
+        //console.debug('Acknowledging NMI');
+        this.#nmi = false;
+    }
+
+    /**
+     * For Snapshot.  Only what's been raised.  The wiring belongs to whoever
+     * set it up, same as with reset.
+     * @returns {InterruptListSnapshot}
+     **/
+    toSnapshot() {
+        return { pending: this.#pending, nmi: this.#nmi };
+    }
+
+    /** @param {InterruptListSnapshot} snapshot */
+    restoreSnapshot(snapshot) {
+        this.#pending = snapshot.pending & 0xFFFF;
+        this.#nmi = !!snapshot.nmi;
     }
 
 }
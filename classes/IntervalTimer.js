@@ -0,0 +1,234 @@
+// @ts-check
+
+/** @typedef {import("./InterruptList.js").InterruptList} InterruptList */
+
+/**
+ * @typedef {Object} IntervalTimerSnapshot
+ * @property {number} interrupt_level
+ * @property {number} ticks_per_count
+ * @property {boolean} clock_mode
+ * @property {number} clock_register
+ * @property {number} decrementer
+ * @property {number} read_latch
+ * @property {number} ticks
+ * @property {boolean} interrupt_enabled
+ * @property {boolean} expired
+ **/
+
+/**
+ * IntervalTimer: A decrementer that raises an interrupt every time it runs out.
+ *
+ * This is the clock half of the TMS9901 Programmable Systems Interface, talked
+ * to over the CRU the same way.  Programs pick a 14-bit interval, and every
+ * time the decrementer counts down from it to zero, the timer interrupt is
+ * raised and the count starts over.
+ *
+ * The 9901 has two modes, picked by writing CRU bit 0.  In interrupt mode, the
+ * default, the rest of the bits are interrupt lines and their masks.  We only
+ * have the one interrupt, and it lives at bit 3, just like the real chip:
+ * - Writing bit 3 clears any expired interrupt, and enables (1) or disables (0)
+ *   raising it in the future.
+ * - Reading bit 3 returns 1 if the timer has expired and is waiting on us.
+ *   The real chip has its interrupt inputs active low.  We don't bother.
+ *
+ * In clock mode, bits 1-14 are the clock register, bit 1 being the LSB:
+ * - Writing them sets the interval and restarts the decrementer.  An interval
+ *   of zero stops the timer.
+ * - Reading them returns the count at the moment clock mode was entered, so
+ *   that a multi-bit STCR doesn't see the number change under it.
+ * - Reading bit 15 returns 1 if the timer has expired.
+ *
+ * So, with R12 pointing at the timer, `LDCR` with a count of 15 of the word
+ * `(interval << 1) | 1` will set it up, followed by `SBZ 0` and `SBO 3` to get
+ * back to interrupt mode and turn on the interrupt.  The handler does `SBO 3`
+ * to clear it again.
+ *
+ * There isn't a real clock.  The timer counts ticks, which the simulation
+ * hands to it one per instruction executed (or spent idle), so the same program
+ * will always be interrupted at the same places.  Every `ticks_per_count`
+ * ticks take one off the decrementer.  The 9901 takes one off every 64 clock
+ * cycles.  We do count cycles now, see CycleTable, but the timer sticks with
+ * ticks so that changing the wait states doesn't move the interrupts around.
+ **/
+export class IntervalTimer {
+    static get CRU_BASE() { return 0x0000; }
+    static get CRU_BIT_COUNT() { return 16; }
+
+    /** @type {InterruptList} */
+    #il;
+    #interrupt_level = 3;
+    #ticks_per_count = 1;
+
+    #clock_mode = false;
+    #clock_register = 0;
+    #decrementer = 0;
+    #read_latch = 0;
+    #ticks = 0;
+    #interrupt_enabled = false;
+    #expired = false;
+
+    /**
+     * @param {InterruptList} interrupt_list
+     * @param {number} interrupt_level      The line we raise when we run out
+     * @param {number} ticks_per_count      How many ticks it takes to decrement once
+     **/
+    constructor(interrupt_list, interrupt_level = 3, ticks_per_count = 1) {
+        this.#il = interrupt_list;
+        this.#interrupt_level = interrupt_level;
+        this.#ticks_per_count = Math.max(1, ticks_per_count);
+    }
+
+    reset() {
+        this.#clock_mode = false;
+        this.#clock_register = 0;
+        this.#decrementer = 0;
+        this.#read_latch = 0;
+        this.#ticks = 0;
+        this.#interrupt_enabled = false;
+        this.#expired = false;
+    }
+
+    get interrupt_level() { return this.#interrupt_level; }
+
+    /** @param {number} level */
+    set interrupt_level(level) {
+        // Anything already raised moves with us.
+        const is_raised = this.#expired && this.#interrupt_enabled;
+        if (is_raised) {
+            this.#il.clearInterrupt(this.#interrupt_level);
+        }
+        this.#interrupt_level = level;
+        if (is_raised) {
+            this.#il.raiseInterrupt(this.#interrupt_level);
+        }
+    }
+
+    get ticks_per_count() { return this.#ticks_per_count; }
+
+    /** @param {number} ticks */
+    set ticks_per_count(ticks) { this.#ticks_per_count = Math.max(1, ticks); }
+
+    get interval() { return this.#clock_register; }
+    get count() { return this.#decrementer; }
+    get expired() { return this.#expired; }
+
+    /**
+     * Let some time pass.
+     * @param {number} ticks
+     **/
+    tick(ticks = 1) {
+        if (this.#clock_register == 0) {
+            return;
+        }
+        this.#ticks += ticks;
+        let counts = Math.floor(this.#ticks / this.#ticks_per_count);
+        this.#ticks -= counts * this.#ticks_per_count;
+        if (counts < this.#decrementer) {
+            this.#decrementer -= counts;
+            return;
+        }
+        // We ran out at least once.  Going around more than once doesn't
+        // matter, there's only the one interrupt to raise.
+        counts -= this.#decrementer;
+        this.#decrementer = this.#clock_register - (counts % this.#clock_register);
+        this.#expire();
+    }
+
+    #expire() {
+        this.#expired = true;
+        if (this.#interrupt_enabled) {
+            this.#il.raiseInterrupt(this.#interrupt_level);
+        }
+    }
+
+    #clearExpired() {
+        if (this.#expired && this.#interrupt_enabled) {
+            this.#il.clearInterrupt(this.#interrupt_level);
+        }
+        this.#expired = false;
+    }
+
+    /**
+     * CruDevice interface.
+     * @param {number} offset
+     * @returns {number}
+     **/
+    readCruBit(offset) {
+        if (offset == 0) {
+            return this.#clock_mode ? 1 : 0;
+        }
+        if (!this.#clock_mode) {
+            return (offset == 3 && this.#expired) ? 1 : 0;
+        }
+        if (offset == 15) {
+            return this.#expired ? 1 : 0;
+        }
+        return (this.#read_latch >> (offset - 1)) & 1;
+    }
+
+    /**
+     * CruDevice interface.
+     * @param {number} offset
+     * @param {number} value
+     **/
+    writeCruBit(offset, value) {
+        if (offset == 0) {
+            this.#clock_mode = !!value;
+            if (this.#clock_mode) {
+                this.#read_latch = this.#decrementer;
+            }
+            return;
+        }
+        if (!this.#clock_mode) {
+            if (offset == 3) {
+                this.#clearExpired();
+                this.#interrupt_enabled = !!value;
+            }
+            return;
+        }
+        if (offset > 14) {
+            return;
+        }
+        const bit = 1 << (offset - 1);
+        if (value) {
+            this.#clock_register |= bit;
+        } else {
+            this.#clock_register &= ~bit;
+        }
+        this.#decrementer = this.#clock_register;
+        this.#ticks = 0;
+    }
+
+    /**
+     * For Snapshot.  Whatever interrupt we've raised is in the InterruptList's
+     * snapshot, so it isn't raised again here.
+     * @returns {IntervalTimerSnapshot}
+     **/
+    toSnapshot() {
+        return {
+            interrupt_level: this.#interrupt_level,
+            ticks_per_count: this.#ticks_per_count,
+            clock_mode: this.#clock_mode,
+            clock_register: this.#clock_register,
+            decrementer: this.#decrementer,
+            read_latch: this.#read_latch,
+            ticks: this.#ticks,
+            interrupt_enabled: this.#interrupt_enabled,
+            expired: this.#expired,
+        };
+    }
+
+    /** @param {IntervalTimerSnapshot} snapshot */
+    restoreSnapshot(snapshot) {
+        this.#interrupt_level = snapshot.interrupt_level;
+        this.ticks_per_count = snapshot.ticks_per_count;
+        this.#clock_mode = !!snapshot.clock_mode;
+        this.#clock_register = snapshot.clock_register;
+        this.#decrementer = snapshot.decrementer;
+        this.#read_latch = snapshot.read_latch;
+        this.#ticks = snapshot.ticks;
+        this.#interrupt_enabled = !!snapshot.interrupt_enabled;
+        this.#expired = !!snapshot.expired;
+    }
+
+}
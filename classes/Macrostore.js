@@ -0,0 +1,106 @@
+// @ts-check
+
+/**
+ * @typedef {Object} MacrostoreSnapshot
+ * @property {Uint8Array} image
+ * @property {number} base_address
+ * @property {number} entry_point
+ * @property {boolean} active
+ **/
+
+/**
+ * Macrostore: Somewhere for MID opcodes to go other than straight to ILLOP.
+ *
+ * The 99000 family treats every Macro Instruction Detect opcode as a chance
+ * to run emulation code.  When one comes up and there's a macrostore, the
+ * Flow does a context switch into it, then lets the emulation code work out
+ * what to do about the opcode.  See Flow state G.
+ *
+ * The real chip keeps the macrostore in its own address space.  We don't
+ * bother with that.  The image is a chunk of normal memory that we hold on to
+ * like a ROM, so it survives being reset along with everything else.
+ *
+ * The emulation code always runs with its workspace at 0x0800, starting at the
+ * entry point given with the image.  The old WP, PC, and ST are in R13, R14, and
+ * R15, with R14 pointing at the word after the MID opcode, so the opcode itself
+ * is the word before it.  Once done, the emulation code leaves with one of the
+ * special RTWP encodings:
+ * - 0x0380, a plain RTWP, returns and lets pending interrupts in.
+ * - 0x0382 returns and says the opcode wasn't recognized, raising an ILLOP.
+ * - 0x0384 returns and runs the next instruction before checking for interrupts.
+ *
+ * MIDs inside the emulation code can't be emulated, there's only the one
+ * workspace.  They're ILLOPs.
+ **/
+export class Macrostore {
+    static get WORKSPACE() { return 0x0800; }
+
+    #image = new Uint8Array(0);
+    #base_address = 0;
+    #entry_point = 0;
+    #active = false;
+
+    /**
+     * We've been reset.  Our image stays put, but we're no longer running it.
+     **/
+    reset() {
+        this.#active = false;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} base_address        Where in memory the image goes
+     * @param {number} entry_point         Where the emulation code starts
+     **/
+    setImage(bytes, base_address, entry_point) {
+        this.#image = bytes.slice();
+        this.#base_address = base_address & 0xFFFF;
+        this.#entry_point = entry_point & 0xFFFE;
+        this.#active = false;
+    }
+
+    clearImage() {
+        this.#image = new Uint8Array(0);
+        this.#base_address = 0;
+        this.#entry_point = 0;
+        this.#active = false;
+    }
+
+    get image() { return this.#image; }
+    get base_address() { return this.#base_address; }
+    get entry_point() { return this.#entry_point; }
+
+    /** Is there anything to hand MIDs to? */
+    get enabled() { return this.#image.length > 0; }
+
+    /** Are we currently running the emulation code? */
+    get active() { return this.#active; }
+
+    enter() {
+        this.#active = true;
+    }
+
+    exit() {
+        this.#active = false;
+    }
+
+    /**
+     * For Snapshot.
+     * @returns {MacrostoreSnapshot}
+     **/
+    toSnapshot() {
+        return {
+            image: this.#image.slice(),
+            base_address: this.#base_address,
+            entry_point: this.#entry_point,
+            active: this.#active,
+        };
+    }
+
+    /** @param {MacrostoreSnapshot} snapshot */
+    restoreSnapshot(snapshot) {
+        this.setImage(snapshot.image, snapshot.base_address, snapshot.entry_point);
+        this.#active = !!snapshot.active;
+    }
+
+}
@@ -6,20 +6,56 @@
  * Memory: Byte and Word access simulation in Big Endian format.
  *
  * Nothing fancy here.  Update events are dispatched for UI update purposes.
+ *
+ * Offsets are physical addresses.  Without a MemoryMapper, that's 64K worth.
  **/
 export class Memory {
     #buffer;
+    #size;
 
-    constructor() {
-        this.#buffer = new DataView(new ArrayBuffer(2 ** 16));
+    /** @param {number} size    In bytes */
+    constructor(size = 2 ** 16) {
+        this.#size = size;
+        this.#buffer = new DataView(new ArrayBuffer(size));
     }
 
     reset() {
-        this.#buffer = new DataView(new ArrayBuffer(2 ** 16));
+        this.#buffer = new DataView(new ArrayBuffer(this.#size));
     }
 
     getDV() { return this.#buffer; }
 
+    get size() { return this.#size; }
+
+    /**
+     * Grow or shrink, keeping whatever still fits.
+     * @param {number} size     In bytes
+     **/
+    resize(size) {
+        const old_bytes = new Uint8Array(this.#buffer.buffer);
+        const new_bytes = new Uint8Array(size);
+        new_bytes.set(old_bytes.subarray(0, Math.min(old_bytes.length, size)));
+        this.#size = size;
+        this.#buffer = new DataView(new_bytes.buffer);
+    }
+
+    /** @returns {Uint8Array}   A copy of everything */
+    getBytes() {
+        return new Uint8Array(this.#buffer.buffer).slice();
+    }
+
+    /**
+     * Replace everything.  There has to be exactly enough of it.
+     * @param {Uint8Array} bytes
+     **/
+    setBytes(bytes) {
+        if (bytes.length != this.#size) {
+            throw new Error(`setBytes got ${bytes.length} bytes for ${this.#size} bytes of memory.  There be bugs!`);
+        }
+        this.#buffer = new DataView(bytes.slice().buffer);
+        window.dispatchEvent(new CustomEvent('memory_updated'));
+    }
+
     /** @param {number} offset */
     getByte(offset) {
         const val = this.#buffer.getUint8(offset);
@@ -63,7 +99,8 @@ export class Memory {
             }
         }
 
-        const clamped_offset = offset > 0xFFFF ? offset - 0xFFFF : (offset < 0 ? offset + 0xFFFF : offset);
+        const max_offset = this.#size - 1;
+        const clamped_offset = offset > max_offset ? offset - max_offset : (offset < 0 ? offset + max_offset : offset);
         if (offset != clamped_offset) {
             if (offset !== undefined) {
                 console.error(`setWord out of range OFFSET 0x${number_to_hex(value)}, clamped to 0x${number_to_hex(clamped_offset)}`, offset, clamped_offset);
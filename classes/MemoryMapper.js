@@ -0,0 +1,213 @@
+// @ts-check
+
+/**
+ * @typedef {Object} MemoryMapperSnapshot
+ * @property {number[][]} map_files
+ * @property {boolean} fault
+ * @property {''|'S'|'D'} long_distance_next
+ * @property {''|'S'|'D'} long_distance_field
+ * @property {number} long_distance_start
+ * @property {number} long_distance_length
+ **/
+
+/**
+ * MemoryMapper: More than 64K of memory, seen through a 64K window.
+ *
+ * This is the mapper from the 990/10 and 990/12.  Programs still only have
+ * 16-bit addresses, but those are logical addresses.  The mapper turns them
+ * into 21-bit physical addresses, so that there can be 2MB of memory and each
+ * task can have its own 64K of it.  It's optional hardware, so it has to be
+ * installed through SimulationState.mapper_installed first.
+ *
+ * There are three map files.  Map file 0 is for the operating system, map file
+ * 1 is for whatever task it's running, and map file 2 is for LDS and LDD.  Each
+ * map file splits logical memory into three segments using a limit and a bias
+ * for each, six words in all, in the order L1 B1 L2 B2 L3 B3:
+ * - A logical address belongs to the first segment whose limit it doesn't go
+ *   past.  Only the top 11 bits of addresses and limits are compared, so
+ *   segments come in 32 byte pieces.
+ * - Limits are written the way the hardware takes them, as the one's
+ *   complement of the highest logical address in the segment.  A limit word
+ *   of >E000 ends its segment at >1FFF, and a limit word of zero runs it all
+ *   the way to >FFFF.
+ * - The physical address is the logical address plus the bias times 32.
+ * - Logical addresses past L3 aren't mapped at all.  That's a fault, "address
+ *   beyond map," which sets error flag 11 and raises interrupt 2.  See Flow
+ *   state D.  Reads of the missing memory come back zero, writes go nowhere.
+ *
+ * Two status bits are in charge.  Mapping happens only while MEMORY_MAPPED is
+ * set, otherwise logical and physical addresses are the same thing, and only
+ * the first 64K can be reached.  MAPFILE_ENABLED picks map file 1 over map
+ * file 0.  Interrupts clear both, along with the privileged bit, so handlers
+ * always start unmapped and in privileged mode.
+ *
+ * LMF loads map file 0 or 1.  LDS and LDD load map file 2, then have the next
+ * instruction reach its source or destination operand through it, which is
+ * how the operating system copies things in and out of a task's memory.  This
+ * works even while mapping is otherwise off.  Only operands in memory count,
+ * workspace registers are always found through the current map.  Interrupts
+ * wait until that next instruction is done.
+ *
+ * LMF, LDS, and LDD are described in "2250077-9701 990/12 Assembly Language Programmer's Guide"
+ * <http://www.bitsavers.org/pdf/ti/990/assembler/2250077-9701A_-12asm_May79.pdf>
+ **/
+export class MemoryMapper {
+    static get PHYSICAL_SIZE() { return 2 ** 21; }
+    static get MAP_FILE_WORDS() { return 6; }
+    static get LONG_DISTANCE_MAP_FILE() { return 2; }
+
+    /** @type {number[][]} */
+    #map_files = [];
+    #fault = false;
+
+    /** @type {''|'S'|'D'} */
+    #long_distance_next = '';
+    /** @type {''|'S'|'D'} */
+    #long_distance_field = '';
+    #long_distance_start = 0;
+    #long_distance_length = 0;
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.#map_files = [];
+        for (let i = 0; i <= MemoryMapper.LONG_DISTANCE_MAP_FILE; i++) {
+            this.#map_files.push(new Array(MemoryMapper.MAP_FILE_WORDS).fill(0));
+        }
+        this.#fault = false;
+        this.cancelLongDistance();
+    }
+
+    /**
+     * @param {number} map_file
+     * @returns {number[]}
+     **/
+    getMapFile(map_file) {
+        return this.#map_files[map_file].slice();
+    }
+
+    /**
+     * @param {number} map_file
+     * @param {number[]} words      L1 B1 L2 B2 L3 B3
+     **/
+    loadMapFile(map_file, words) {
+        if (!Object.hasOwn(this.#map_files, map_file) || words.length != MemoryMapper.MAP_FILE_WORDS) {
+            throw new Error(`loadMapFile called with map file ${map_file} and ${words.length} words.  Calling code has a bug!`);
+        }
+        this.#map_files[map_file] = words.map( (word) => { return word & 0xFFFF; } );
+    }
+
+    /**
+     * Turn a logical address into a physical one.  Addresses beyond the map
+     * come back as -1, and the fault is remembered until takeFault.
+     * @param {number} address
+     * @param {number} map_file
+     * @returns {number}
+     **/
+    translate(address, map_file) {
+        const map = this.#map_files[map_file];
+        const block = address & 0xFFE0;
+        for (let i = 0; i < map.length; i += 2) {
+            const limit = ~map[i] & 0xFFE0;
+            if (block <= limit) {
+                return ((map[i + 1] << 5) + (address & 0xFFFF)) % MemoryMapper.PHYSICAL_SIZE;
+            }
+        }
+        this.#fault = true;
+        return -1;
+    }
+
+    get fault() { return this.#fault; }
+
+    /**
+     * Was there a fault since the last time anyone asked?
+     * @returns {boolean}
+     **/
+    takeFault() {
+        const fault = this.#fault;
+        this.#fault = false;
+        return fault;
+    }
+
+    /**
+     * LDS and LDD.  The next instruction gets its source or destination
+     * operand through map file 2.
+     * @param {'S'|'D'} field
+     **/
+    useLongDistanceNext(field) {
+        this.#long_distance_next = field;
+    }
+
+    /** Is LDS or LDD still waiting on the instruction after it to finish? */
+    get long_distance_pending() { return this.#long_distance_next != '' || this.#long_distance_field != ''; }
+
+    /**
+     * A new instruction is about to run.  If the last one was LDS or LDD,
+     * this is the one it was talking about.
+     **/
+    beginInstruction() {
+        this.#long_distance_field = this.#long_distance_next;
+        this.#long_distance_next = '';
+        this.#long_distance_start = 0;
+        this.#long_distance_length = 0;
+    }
+
+    cancelLongDistance() {
+        this.#long_distance_next = '';
+        this.beginInstruction();
+    }
+
+    /**
+     * The running instruction has worked out where one of its operands lives
+     * in memory.  If it's the one LDS or LDD asked about, it goes through map
+     * file 2 for the rest of the instruction.
+     * @param {'S'|'D'} field
+     * @param {number} address
+     * @param {number} length       In bytes
+     **/
+    noteOperand(field, address, length) {
+        if (field != this.#long_distance_field) {
+            return;
+        }
+        this.#long_distance_start = address & 0xFFFF;
+        this.#long_distance_length = length;
+    }
+
+    /**
+     * @param {number} address
+     * @returns {boolean}
+     **/
+    usesLongDistanceMap(address) {
+        const offset = ((address & 0xFFFF) - this.#long_distance_start) & 0xFFFF;
+        return offset < this.#long_distance_length;
+    }
+
+    /**
+     * For Snapshot.
+     * @returns {MemoryMapperSnapshot}
+     **/
+    toSnapshot() {
+        return {
+            map_files: this.#map_files.map( (words) => { return words.slice(); } ),
+            fault: this.#fault,
+            long_distance_next: this.#long_distance_next,
+            long_distance_field: this.#long_distance_field,
+            long_distance_start: this.#long_distance_start,
+            long_distance_length: this.#long_distance_length,
+        };
+    }
+
+    /** @param {MemoryMapperSnapshot} snapshot */
+    restoreSnapshot(snapshot) {
+        this.reset();
+        snapshot.map_files.forEach( (words, map_file) => { this.loadMapFile(map_file, words); } );
+        this.#fault = !!snapshot.fault;
+        this.#long_distance_next = snapshot.long_distance_next;
+        this.#long_distance_field = snapshot.long_distance_field;
+        this.#long_distance_start = snapshot.long_distance_start;
+        this.#long_distance_length = snapshot.long_distance_length;
+    }
+
+}
@@ -9,8 +9,9 @@ export class OpDef {
     get has_immediate_operand() {           return this.format == 8; }
     get has_possible_immediate_source() {   return !!this.args['Ts']; }
     get has_possible_immediate_dest() {     return !!this.args['Td']; }
-    get has_second_opcode_word() {          return (this.format > 11) && (this.format != 18); }
+    get has_second_opcode_word() {          return (this.format >= 11) && (this.format != 18); }
     get format_info() {                     return FormatInfo.getFormat(this.format); }
+    get asm_param_order() {                 return this.format_info.asm_param_order; }
 
     get minimum_instruction_words() {
         return 1 + (this.has_immediate_operand ? 1 : 0) + (this.has_second_opcode_word ? 1 : 0);
@@ -45,6 +46,11 @@ export class OpDef {
         };
     }
 
+    /**
+     * The platform group from the comment in platforms, so that CpuProfile can
+     * tell which of the checked off platforms only have it as a MID.
+     **/
+    get platform_group() {              return 'base'; }
     get format() {                      return 0; }
     get format_var() {                  return 0; }
     get performs_privilege_check() {    return false; }
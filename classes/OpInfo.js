@@ -3,11 +3,42 @@
 import { OpDef } from "./OpDef.js";
 
 import { OpDef_A } from "./instructions/A.js";
+import { OpDef_AB } from "./instructions/AB.js";
+import { OpDef_ABS } from "./instructions/ABS.js";
+import { OpDef_AD } from "./instructions/AD.js";
+import { OpDef_AI } from "./instructions/AI.js";
+import { OpDef_AM } from "./instructions/AM.js";
+import { OpDef_ANDI } from "./instructions/ANDI.js";
+import { OpDef_AR } from "./instructions/AR.js";
+import { OpDef_B } from "./instructions/B.js";
+import { OpDef_BL } from "./instructions/BL.js";
+import { OpDef_BLWP } from "./instructions/BLWP.js";
 import { OpDef_C } from "./instructions/C.js";
+import { OpDef_CB } from "./instructions/CB.js";
+import { OpDef_CDE } from "./instructions/CDE.js";
+import { OpDef_CDI } from "./instructions/CDI.js";
+import { OpDef_CED } from "./instructions/CED.js";
+import { OpDef_CER } from "./instructions/CER.js";
+import { OpDef_CI } from "./instructions/CI.js";
+import { OpDef_CID } from "./instructions/CID.js";
+import { OpDef_CIR } from "./instructions/CIR.js";
+import { OpDef_CLR } from "./instructions/CLR.js";
+import { OpDef_CNTO } from "./instructions/CNTO.js";
+import { OpDef_CRC } from "./instructions/CRC.js";
+import { OpDef_CRE } from "./instructions/CRE.js";
+import { OpDef_CRI } from "./instructions/CRI.js";
+import { OpDef_CS } from "./instructions/CS.js";
+import { OpDef_DD } from "./instructions/DD.js";
 import { OpDef_DEC } from "./instructions/DEC.js";
 import { OpDef_DECT } from "./instructions/DECT.js";
+import { OpDef_DIV } from "./instructions/DIV.js";
+import { OpDef_DIVS } from "./instructions/DIVS.js";
+import { OpDef_DR } from "./instructions/DR.js";
+import { OpDef_IDLE } from "./instructions/IDLE.js";
 import { OpDef_INC } from "./instructions/INC.js";
 import { OpDef_INCT } from "./instructions/INCT.js";
+import { OpDef_INSF } from "./instructions/INSF.js";
+import { OpDef_INV } from "./instructions/INV.js";
 import { OpDef_JEQ } from "./instructions/JEQ.js";
 import { OpDef_JGT } from "./instructions/JGT.js";
 import { OpDef_JH } from "./instructions/JH.js";
@@ -20,9 +51,68 @@ import { OpDef_JNC } from "./instructions/JNC.js";
 import { OpDef_JNE } from "./instructions/JNE.js";
 import { OpDef_JNO } from "./instructions/JNO.js";
 import { OpDef_JOC } from "./instructions/JOC.js";
+import { OpDef_LD } from "./instructions/LD.js";
+import { OpDef_LDCR } from "./instructions/LDCR.js";
+import { OpDef_LDD } from "./instructions/LDD.js";
+import { OpDef_LDS } from "./instructions/LDS.js";
 import { OpDef_LI } from "./instructions/LI.js";
+import { OpDef_LIMI } from "./instructions/LIMI.js";
+import { OpDef_LMF } from "./instructions/LMF.js";
+import { OpDef_LR } from "./instructions/LR.js";
+import { OpDef_LST } from "./instructions/LST.js";
+import { OpDef_LTO } from "./instructions/LTO.js";
+import { OpDef_LWP } from "./instructions/LWP.js";
+import { OpDef_LWPI } from "./instructions/LWPI.js";
+import { OpDef_MD } from "./instructions/MD.js";
 import { OpDef_MOV } from "./instructions/MOV.js";
+import { OpDef_MOVB } from "./instructions/MOVB.js";
+import { OpDef_MOVS } from "./instructions/MOVS.js";
+import { OpDef_MPY } from "./instructions/MPY.js";
+import { OpDef_MPYS } from "./instructions/MPYS.js";
+import { OpDef_MR } from "./instructions/MR.js";
+import { OpDef_MVSK } from "./instructions/MVSK.js";
+import { OpDef_MVSR } from "./instructions/MVSR.js";
+import { OpDef_NEG } from "./instructions/NEG.js";
+import { OpDef_NEGD } from "./instructions/NEGD.js";
+import { OpDef_NEGR } from "./instructions/NEGR.js";
+import { OpDef_ORI } from "./instructions/ORI.js";
+import { OpDef_POPS } from "./instructions/POPS.js";
+import { OpDef_PSHS } from "./instructions/PSHS.js";
+import { OpDef_RTO } from "./instructions/RTO.js";
+import { OpDef_RTWP } from "./instructions/RTWP.js";
 import { OpDef_S } from "./instructions/S.js";
+import { OpDef_SB } from "./instructions/SB.js";
+import { OpDef_SBO } from "./instructions/SBO.js";
+import { OpDef_SBZ } from "./instructions/SBZ.js";
+import { OpDef_SD } from "./instructions/SD.js";
+import { OpDef_SEQB } from "./instructions/SEQB.js";
+import { OpDef_SETO } from "./instructions/SETO.js";
+import { OpDef_SLA } from "./instructions/SLA.js";
+import { OpDef_SLAM } from "./instructions/SLAM.js";
+import { OpDef_SM } from "./instructions/SM.js";
+import { OpDef_SNEB } from "./instructions/SNEB.js";
+import { OpDef_SOCB } from "./instructions/SOCB.js";
+import { OpDef_SR } from "./instructions/SR.js";
+import { OpDef_SRA } from "./instructions/SRA.js";
+import { OpDef_SRAM } from "./instructions/SRAM.js";
+import { OpDef_SRC } from "./instructions/SRC.js";
+import { OpDef_SRL } from "./instructions/SRL.js";
+import { OpDef_STCR } from "./instructions/STCR.js";
+import { OpDef_STD } from "./instructions/STD.js";
+import { OpDef_STR } from "./instructions/STR.js";
+import { OpDef_STST } from "./instructions/STST.js";
+import { OpDef_STWP } from "./instructions/STWP.js";
+import { OpDef_SWPB } from "./instructions/SWPB.js";
+import { OpDef_SZCB } from "./instructions/SZCB.js";
+import { OpDef_TB } from "./instructions/TB.js";
+import { OpDef_TCMB } from "./instructions/TCMB.js";
+import { OpDef_TMB } from "./instructions/TMB.js";
+import { OpDef_TS } from "./instructions/TS.js";
+import { OpDef_TSMB } from "./instructions/TSMB.js";
+import { OpDef_X } from "./instructions/X.js";
+import { OpDef_XF } from "./instructions/XF.js";
+import { OpDef_XOP } from "./instructions/XOP.js";
+import { OpDef_XV } from "./instructions/XV.js";
 
 
 
@@ -50,7 +140,7 @@ export class OpInfo {
         'MID C 2B'  : [parseInt('0301', 16), parseInt('033F', 16)],
         'MID C 3A'  : [parseInt('0341', 16), parseInt('035F', 16)],
         'MID C 3B'  : [parseInt('0361', 16), parseInt('037F', 16)],
-        'MID C 3C'  : [parseInt('0381', 16), parseInt('039F', 16)],
+        'MID C 3C'  : [parseInt('0385', 16), parseInt('039F', 16)], // 0381-0384 belong to RTWP
         'MID C 3D'  : [parseInt('03A1', 16), parseInt('03BF', 16)],
         'MID C 3E'  : [parseInt('03C1', 16), parseInt('03DF', 16)],
         'MID C 4A'  : [parseInt('03E1', 16), parseInt('03FF', 16)],
@@ -151,161 +241,17 @@ export class OpInfo {
     static #ops = {
         'A': OpDef_A,
 
-        'AB': class extends OpDef {
-            get op() {                          return "AB"; }
-            get shortdesc() {                   return "Add int8"; }
-            get opcode() {                      return 45056; } // B000
-            get opcode_legal_max() {            return 49151; } // BFFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par']; }
-        },
-
-        'ABS': class extends OpDef {
-            get op() {                          return "ABS"; }
-            get shortdesc() {                   return "Absolute Value"; }
-            get opcode() {                      return 1856; } // 0740
-            get opcode_legal_max() {            return 1919; } // 077F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Multi-CPU Flag
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true, // Multi-CPU Flag
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
-        },
-
-        'AD': class extends OpDef {
-            get op() {                          return "AD"; }
-            get shortdesc() {                   return "Add float64"; }
-            get opcode() {                      return 3648; } // 0E40
-            get opcode_legal_max() {            return 3711; } // 0E7F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'AI': class extends OpDef {
-            get op() {                          return "AI"; }
-            get shortdesc() {                   return "Add Immediate to reg"; }
-            get opcode() {                      return 544; } // 0220
-            get opcode_legal_max() {            return 559; } // 022F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'AB': OpDef_AB,
 
-            get format() {                      return 8; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'ABS': OpDef_ABS,
 
-        'AM': class extends OpDef {
-            get op() {                          return "AM"; }
-            get shortdesc() {                   return "Add bigint"; }
-            get opcode() {                      return 42; } // 002A
-            get opcode_legal_max() {            return 42; } // 002A
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
+        'AD': OpDef_AD,
 
-            get format() {                      return 11; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
+        'AI': OpDef_AI,
 
-        'ANDI': class extends OpDef {
-            get op() {                          return "ANDI"; }
-            get shortdesc() {                   return "Logic AND a word"; }
-            get opcode() {                      return 576; } // 0240
-            get opcode_legal_max() {            return 591; } // 024F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'AM': OpDef_AM,
 
-            get format() {                      return 8; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
+        'ANDI': OpDef_ANDI,
 
         'ANDM': class extends OpDef {
             get op() {                          return "ANDM"; }
@@ -327,37 +273,14 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 11; }
             get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
-        'AR': class extends OpDef {
-            get op() {                          return "AR"; }
-            get shortdesc() {                   return "Add float32"; }
-            get opcode() {                      return 3136; } // 0C40
-            get opcode_legal_max() {            return 3199; } // 0C7F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'AR': OpDef_AR,
 
         'ARJ': class extends OpDef {
             get op() {                          return "ARJ"; }
@@ -379,37 +302,14 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 17; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return []; }
         },
 
-        'B': class extends OpDef {
-            get op() {                          return "B"; }
-            get shortdesc() {                   return "Unconditional Branch"; }
-            get opcode() {                      return 1088; } // 0440
-            get opcode_legal_max() {            return 1151; } // 047F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
+        'B': OpDef_B,
 
         'BDC': class extends OpDef {
             get op() {                          return "BDC"; }
@@ -431,6 +331,7 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 11; }
             get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
@@ -457,37 +358,14 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'B'; }
             get format() {                      return 6; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return []; }
         },
 
-        'BL': class extends OpDef {
-            get op() {                          return "BL"; }
-            get shortdesc() {                   return "Branch, PC -> R11"; }
-            get opcode() {                      return 1664; } // 0680
-            get opcode_legal_max() {            return 1727; } // 06BF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
+        'BL': OpDef_BL,
 
         'BLSK': class extends OpDef {
             get op() {                          return "BLSK"; }
@@ -509,177 +387,157 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'C'; }
             get format() {                      return 8; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return []; }
         },
 
-        'BLWP': class extends OpDef {
-            get op() {                          return "BLWP"; }
-            get shortdesc() {                   return "Branch, new Workspace"; }
-            get opcode() {                      return 1024; } // 0400
-            get opcode_legal_max() {            return 1087; } // 043F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+        'BLWP': OpDef_BLWP,
+
+        'C': OpDef_C,
+
+        'CB': OpDef_CB,
+
+        'CDE': OpDef_CDE,
+
+        'CDI': OpDef_CDI,
+
+        'CED': OpDef_CED,
+
+        'CER': OpDef_CER,
+
+        'CI': OpDef_CI,
+
+        'CID': OpDef_CID,
+
+        'CIR': OpDef_CIR,
+
+        'CKOF': class extends OpDef {
+            get op() {                          return "CKOF"; }
+            get shortdesc() {                   return "Interrupt clock on"; }
+            get opcode() {                      return 960; } // 03C0
+            get opcode_legal_max() {            return 960; } // 03C0
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { };  }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
+                    '9900'    :  false,
+                    '990/4'   :  true, // Possible bug, See _B
                     '990/12'  :  true,
-                    '9995'    :  true,
+                    '9995'    :  true, // no-op; Sets signal on D0-D2
                     '99000'   :  true,
                     '99110A'  :  true,
                     '990/10A' :  true,
                 };
             }
 
-            get format() {                      return 6; }
+            get format() {                      return 7; }
             get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
+            get performs_privilege_check() {    return true; }
             get touches_status_bits() {         return []; }
         },
 
-        'C': OpDef_C,
-
-        'CB': class extends OpDef {
-            get op() {                          return "CB"; }
-            get shortdesc() {                   return "Compare bytes"; }
-            get opcode() {                      return 36864; } // 9000
-            get opcode_legal_max() {            return 40959; } // 9FFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+        'CKON': class extends OpDef {
+            get op() {                          return "CKON"; }
+            get shortdesc() {                   return "Interrupt clock off"; }
+            get opcode() {                      return 928; } // 03A0
+            get opcode_legal_max() {            return 928; } // 03A0
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { };  }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
-                    '9900'    :  true,
+                    '9900'    :  false,
                     '990/4'   :  true,
                     '990/12'  :  true,
-                    '9995'    :  true,
+                    '9995'    :  true, // no-op; Sets signal on D0-D2
                     '99000'   :  true,
                     '99110A'  :  true,
                     '990/10A' :  true,
                 };
             }
 
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+            get format() {                      return 7; }
+            get format_var() {                  return 2; }
+            get performs_privilege_check() {    return true; }
+            get touches_status_bits() {         return []; }
         },
 
-        'CDE': class extends OpDef {
-            get op() {                          return "CDE"; }
-            get shortdesc() {                   return "float64 to int32"; }
-            get opcode() {                      return 3077; } // 0C05
-            get opcode_legal_max() {            return 3077; } // 0C05
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
+        'CLR': OpDef_CLR,
+
+        'CNTO': OpDef_CNTO,
+
+        'COC': class extends OpDef {
+            get op() {                          return "COC"; }
+            get shortdesc() {                   return "Test for 1 bits using a mask"; }
+            get opcode() {                      return 8192; } // 2000
+            get opcode_legal_max() {            return 9215; } // 23FF
+            get arg_start_bit() {               return 6; }
+            get args() {                        return { 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
+                return { // Platform base (Base instruction set, all platforms)
+                    '990/10'  :  true,
+                    '9900'    :  true,
+                    '990/4'   :  true,
                     '990/12'  :  true,
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  false,
+                    '990/10A' :  true,
                 };
             }
 
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
+            get format() {                      return 3; }
+            get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+            get touches_status_bits() {         return ['Eq']; }
         },
 
-        'CDI': class extends OpDef {
-            get op() {                          return "CDI"; }
-            get shortdesc() {                   return "float64 to int16"; }
-            get opcode() {                      return 3073; } // 0C01
-            get opcode_legal_max() {            return 3073; } // 0C01
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
+        'CR': class extends OpDef {
+            get op() {                          return "CR"; }
+            get shortdesc() {                   return "Compare float32"; }
+            get opcode() {                      return 769; } // 0301
+            get opcode_legal_max() {            return 769; } // 0301
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { 'nu': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
+                    '990/12'  :  false, // Illegal!
+                    '9995'    :  false,
+                    '99000'   :  false, // 99110A only
                     '99110A'  :  true,
                     '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
+            get platform_group() {              return 'F32'; }
+            get format() {                      return 19; }
+            get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
         },
 
-        'CED': class extends OpDef {
-            get op() {                          return "CED"; }
-            get shortdesc() {                   return "int32 to float64"; }
-            get opcode() {                      return 3079; } // 0C07
-            get opcode_legal_max() {            return 3079; } // 0C07
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
+        'CRC': OpDef_CRC,
 
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'CRE': OpDef_CRE,
 
-        'CER': class extends OpDef {
-            get op() {                          return "CER"; }
-            get shortdesc() {                   return "int32 to float32"; }
-            get opcode() {                      return 3078; } // 0C06
-            get opcode_legal_max() {            return 3078; } // 0C06
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
+        'CRI': OpDef_CRI,
 
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'CS': OpDef_CS,
 
-        'CI': class extends OpDef {
-            get op() {                          return "CI"; }
-            get shortdesc() {                   return "Compare immediate to Reg"; }
-            get opcode() {                      return 640; } // 0280
-            get opcode_legal_max() {            return 655; } // 028F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
+        'CZC': class extends OpDef {
+            get op() {                          return "CZC"; }
+            get shortdesc() {                   return "Test for 0 bits using a mask"; }
+            get opcode() {                      return 9216; } // 2400
+            get opcode_legal_max() {            return 10239; } // 27FF
+            get arg_start_bit() {               return 6; }
+            get args() {                        return { 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
@@ -693,21 +551,21 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 8; }
-            get format_var() {                  return 2; }
+            get format() {                      return 3; }
+            get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+            get touches_status_bits() {         return ['Eq']; }
         },
 
-        'CID': class extends OpDef {
-            get op() {                          return "CID"; }
-            get shortdesc() {                   return "int16 to float64"; }
-            get opcode() {                      return 3712; } // 0E80
-            get opcode_legal_max() {            return 3775; } // 0EBF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+        'DBC': class extends OpDef {
+            get op() {                          return "DBC"; }
+            get shortdesc() {                   return "ASCII Number String to int16"; }
+            get opcode() {                      return 36; } // 0024
+            get opcode_legal_max() {            return 36; } // 0024
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
@@ -719,123 +577,150 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 11; }
+            get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
         },
 
-        'CIR': class extends OpDef {
-            get op() {                          return "CIR"; }
-            get shortdesc() {                   return "int16 to float32"; }
-            get opcode() {                      return 3200; } // 0C80
-            get opcode_legal_max() {            return 3263; } // 0CBF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+        'DD': OpDef_DD,
+
+        'DEC': OpDef_DEC,
+
+        'DECT': OpDef_DECT,
+
+        'DINT': class extends OpDef {
+            get op() {                          return "DINT"; }
+            get shortdesc() {                   return "Disable interrupts"; }
+            get opcode() {                      return 47; } // 002F
+            get opcode_legal_max() {            return 47; } // 002F
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { };  }
             get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
                     '990/12'  :  true,
                     '9995'    :  true,
-                    '99000'   :  false, // 99110A only
+                    '99000'   :  true,
                     '99110A'  :  true,
                     '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 7; }
+            get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+            get touches_status_bits() {         return []; }
         },
 
-        'CKOF': class extends OpDef {
-            get op() {                          return "CKOF"; }
-            get shortdesc() {                   return "Interrupt clock on"; }
-            get opcode() {                      return 960; } // 03C0
-            get opcode_legal_max() {            return 960; } // 03C0
+        'DIV': OpDef_DIV,
+
+        'DIVS': OpDef_DIVS,
+
+        'DR': OpDef_DR,
+
+        'EINT': class extends OpDef {
+            get op() {                          return "EINT"; }
+            get shortdesc() {                   return "Enable interrupts"; }
+            get opcode() {                      return 46; } // 002E
+            get opcode_legal_max() {            return 46; } // 002E
             get arg_start_bit() {               return 16; }
             get args() {                        return { };  }
             get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+                    '990/10'  :  false,
                     '9900'    :  false,
-                    '990/4'   :  true, // Possible bug, See _B
+                    '990/4'   :  false,
                     '990/12'  :  true,
-                    '9995'    :  true, // no-op; Sets signal on D0-D2
+                    '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  true,
+                    '990/10A' :  false,
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 7; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
+            get format_var() {                  return 1; }
+            get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return []; }
         },
 
-        'CKON': class extends OpDef {
-            get op() {                          return "CKON"; }
-            get shortdesc() {                   return "Interrupt clock off"; }
-            get opcode() {                      return 928; } // 03A0
-            get opcode_legal_max() {            return 928; } // 03A0
+        'EMD': class extends OpDef {
+            get op() {                          return "EMD"; }
+            get shortdesc() {                   return "Execute diagnostics"; }
+            get opcode() {                      return 45; } // 002D
+            get opcode_legal_max() {            return 45; } // 002D
             get arg_start_bit() {               return 16; }
             get args() {                        return { };  }
             get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+                    '990/10'  :  false,
                     '9900'    :  false,
-                    '990/4'   :  true,
+                    '990/4'   :  false,
                     '990/12'  :  true,
-                    '9995'    :  true, // no-op; Sets signal on D0-D2
+                    '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  true,
+                    '990/10A' :  false,
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 7; }
-            get format_var() {                  return 2; }
+            get format_var() {                  return 1; }
             get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'MM', 'Oint', 'WCS', 'IntMask']; }
         },
 
-        'CLR': class extends OpDef {
-            get op() {                          return "CLR"; }
-            get shortdesc() {                   return "Set word to zero"; }
-            get opcode() {                      return 1216; } // 04C0
-            get opcode_legal_max() {            return 1279; } // 04FF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+        'EP': class extends OpDef {
+            get op() {                          return "EP"; }
+            get shortdesc() {                   return "Expand integer precision"; }
+            get opcode() {                      return 1008; } // 03F0
+            get opcode_legal_max() {            return 1023; } // 03FF
+            get arg_start_bit() {               return 12; }
+            get args() {                        return { 'd_len': 4, 's_len': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+                    '990/10'  :  false,
+                    '9900'    :  false,
+                    '990/4'   :  false,
+                    '990/12'  :  true, // yes (but should be illegal!)
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  true,
+                    '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 21; }
+            get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return []; }
         },
 
-        'CNTO': class extends OpDef {
-            get op() {                          return "CNTO"; }
-            get shortdesc() {                   return "Count ones in a bigbits"; }
-            get opcode() {                      return 32; } // 0020
-            get opcode_legal_max() {            return 32; } // 0020
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+        'IDLE': OpDef_IDLE,
+
+        'INC': OpDef_INC,
+
+        'INCT': OpDef_INCT,
+
+        'INSF': OpDef_INSF,
+
+        'INV': OpDef_INV,
+
+        'IOF': class extends OpDef {
+            get op() {                          return "IOF"; }
+            get shortdesc() {                   return "Bitwise substring NOT"; }
+            get opcode() {                      return 3584; } // 0E00
+            get opcode_legal_max() {            return 3599; } // 0E0F
+            get arg_start_bit() {               return 12; }
+            get args() {                        return { 'width': 4, 'pos': 4, 'nu': 6, 'Ts': 2, 'S': 4 }; }
             get platforms() {
                 return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
@@ -849,19 +734,44 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 11; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 15; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
+            get touches_status_bits() {         return []; }
         },
 
-        'COC': class extends OpDef {
-            get op() {                          return "COC"; }
-            get shortdesc() {                   return "Test for 1 bits using a mask"; }
-            get opcode() {                      return 8192; } // 2000
-            get opcode_legal_max() {            return 9215; } // 23FF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'D': 4, 'Ts': 2, 'S': 4 }; }
+        'JEQ': OpDef_JEQ,
+
+        'JGT': OpDef_JGT,
+
+        'JH': OpDef_JH,
+
+        'JHE': OpDef_JHE,
+
+        'JL': OpDef_JL,
+
+        'JLE': OpDef_JLE,
+
+        'JLT': OpDef_JLT,
+
+        'JMP': OpDef_JMP,
+
+        'JNC': OpDef_JNC,
+
+        'JNE': OpDef_JNE,
+
+        'JNO': OpDef_JNO,
+
+        'JOC': OpDef_JOC,
+
+        'JOP': class extends OpDef {
+            get op() {                          return "JOP"; }
+            get shortdesc() {                   return "Jump if Odd Parity"; }
+            get opcode() {                      return 7168; } // 1C00
+            get opcode_legal_max() {            return 7423; } // 1CFF
+            get arg_start_bit() {               return 8; }
+            get args() {                        return { 'disp': 8 }; }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
@@ -875,51 +785,25 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 3; }
+            get format() {                      return 2; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
+            get touches_status_bits() {         return []; }
         },
 
-        'CR': class extends OpDef {
-            get op() {                          return "CR"; }
-            get shortdesc() {                   return "Compare float32"; }
-            get opcode() {                      return 769; } // 0301
-            get opcode_legal_max() {            return 769; } // 0301
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'nu': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  false, // Illegal!
-                    '9995'    :  false,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 19; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'CRC': class extends OpDef {
-            get op() {                          return "CRC"; }
-            get shortdesc() {                   return "CRC16"; }
-            get opcode() {                      return 3616; } // 0E20
-            get opcode_legal_max() {            return 3631; } // 0E2F
+        'LCS': class extends OpDef {
+            get op() {                          return "LCS"; }
+            get shortdesc() {                   return "Load Microcode Data (???)"; }
+            get opcode() {                      return 160; } // 00A0
+            get opcode_legal_max() {            return 175; } // 00AF
             get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+            get args() {                        return { 'reg': 4 }; }
             get platforms() {
                 return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
-                    '990/12'  :  true,
+                    '990/12'  :  true, // Exclusive feature, 0x800-0xBFF only
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
@@ -927,123 +811,30 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 12; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
-        },
-
-        'CRE': class extends OpDef {
-            get op() {                          return "CRE"; }
-            get shortdesc() {                   return "float32 to int32"; }
-            get opcode() {                      return 3076; } // 0C04
-            get opcode_legal_max() {            return 3076; } // 0C04
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 18; }
+            get format_var() {                  return 2; }
+            get performs_privilege_check() {    return true; }
+            get touches_status_bits() {         return []; }
         },
 
-        'CRI': class extends OpDef {
-            get op() {                          return "CRI"; }
-            get shortdesc() {                   return "float32 to int16"; }
-            get opcode() {                      return 3072; } // 0C00
-            get opcode_legal_max() {            return 3072; } // 0C00
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'LD': OpDef_LD,
 
-        'CS': class extends OpDef {
-            get op() {                          return "CS"; }
-            get shortdesc() {                   return "Compare strings bytewise"; }
-            get opcode() {                      return 64; } // 0040
-            get opcode_legal_max() {            return 79; } // 004F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
+        'LDCR': OpDef_LDCR,
 
-            get format() {                      return 12; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
+        'LDD': OpDef_LDD,
 
-        'CZC': class extends OpDef {
-            get op() {                          return "CZC"; }
-            get shortdesc() {                   return "Test for 0 bits using a mask"; }
-            get opcode() {                      return 9216; } // 2400
-            get opcode_legal_max() {            return 10239; } // 27FF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'LDS': OpDef_LDS,
 
-            get format() {                      return 3; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
-        },
+        'LI': OpDef_LI,
 
-        'DBC': class extends OpDef {
-            get op() {                          return "DBC"; }
-            get shortdesc() {                   return "ASCII Number String to int16"; }
-            get opcode() {                      return 36; } // 0024
-            get opcode_legal_max() {            return 36; } // 0024
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+        'LIM': class extends OpDef {
+            get op() {                          return "LIM"; }
+            get shortdesc() {                   return "Load interrupt mask"; }
+            get opcode() {                      return 112; } // 0070
+            get opcode_legal_max() {            return 127; } // 007F
+            get arg_start_bit() {               return 12; }
+            get args() {                        return { 'reg': 4 }; }
             get platforms() {
                 return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
@@ -1057,153 +848,91 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 11; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 18; }
             get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
+            get performs_privilege_check() {    return true; }
+            get touches_status_bits() {         return ['IntMask']; }
         },
 
-        'DD': class extends OpDef {
-            get op() {                          return "DD"; }
-            get shortdesc() {                   return "float64 divide"; }
-            get opcode() {                      return 3904; } // 0F40
-            get opcode_legal_max() {            return 3967; } // 0F7F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'LIMI': OpDef_LIMI,
 
-        'DEC': OpDef_DEC,
+        'LMF': OpDef_LMF,
 
-        'DECT': OpDef_DECT,
+        'LR': OpDef_LR,
 
-        'DINT': class extends OpDef {
-            get op() {                          return "DINT"; }
-            get shortdesc() {                   return "Disable interrupts"; }
-            get opcode() {                      return 47; } // 002F
-            get opcode_legal_max() {            return 47; } // 002F
+        'LREX': class extends OpDef {
+            get op() {                          return "LREX"; }
+            get shortdesc() {                   return "Restart from 0xFFC0, context switch"; }
+            get opcode() {                      return 992; } // 03E0
+            get opcode_legal_max() {            return 992; } // 03E0
             get arg_start_bit() {               return 16; }
             get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'DIV': class extends OpDef {
-            get op() {                          return "DIV"; }
-            get shortdesc() {                   return "Integer divide"; }
-            get opcode() {                      return 15360; } // 3C00
-            get opcode_legal_max() {            return 16383; } // 3FFF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'O': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
-                    '9900'    :  true,
+                    '9900'    :  false,
                     '990/4'   :  true,
                     '990/12'  :  true,
-                    '9995'    :  true,
+                    '9995'    :  true, // no-op; Sets signal on D0-D2
                     '99000'   :  true,
                     '99110A'  :  true,
                     '990/10A' :  true,
                 };
             }
 
-            get format() {                      return 9; }
+            get format() {                      return 7; }
             get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Ov']; }
+            get performs_privilege_check() {    return true; }
+            get touches_status_bits() {         return ['Priv', 'Mf', 'IntMask']; }
         },
 
-        'DIVS': class extends OpDef {
-            get op() {                          return "DIVS"; }
-            get shortdesc() {                   return "Divide int32 by int16"; }
-            get opcode() {                      return 384; } // 0180
-            get opcode_legal_max() {            return 447; } // 01BF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'LST': OpDef_LST,
 
-            get format() {                      return 6; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
-        },
+        'LTO': OpDef_LTO,
 
-        'DR': class extends OpDef {
-            get op() {                          return "DR"; }
-            get shortdesc() {                   return "Divide float32"; }
-            get opcode() {                      return 3392; } // 0D40
-            get opcode_legal_max() {            return 3455; } // 0D7F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+        'LWP': OpDef_LWP,
+
+        'LWPI': OpDef_LWPI,
+
+        'MD': OpDef_MD,
+
+        'MM': class extends OpDef {
+            get op() {                          return "MM"; }
+            get shortdesc() {                   return "Multiply int32 into bigint (3 words)"; }
+            get opcode() {                      return 770; } // 0302
+            get opcode_legal_max() {            return 770; } // 0302
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { 'nu': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+                return { // Platform group D (99110-exclusive features; 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
+                    '990/12'  :  false, // Illegal!
+                    '9995'    :  false,
                     '99000'   :  false, // 99110A only
                     '99110A'  :  true,
                     '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
+            get platform_group() {              return 'D'; }
+            get format() {                      return 19; }
+            get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
         },
 
-        'EINT': class extends OpDef {
-            get op() {                          return "EINT"; }
-            get shortdesc() {                   return "Enable interrupts"; }
-            get opcode() {                      return 46; } // 002E
-            get opcode_legal_max() {            return 46; } // 002E
+        'MOV': OpDef_MOV,
+
+        'MOVA': class extends OpDef {
+            get op() {                          return "MOVA"; }
+            get shortdesc() {                   return "Copy address"; }
+            get opcode() {                      return 43; } // 002B
+            get opcode_legal_max() {            return 43; } // 002B
             get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
+            get args() {                        return { 'nu': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
                 return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
@@ -1217,1845 +946,67 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 7; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 19; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
-        'EMD': class extends OpDef {
-            get op() {                          return "EMD"; }
-            get shortdesc() {                   return "Execute diagnostics"; }
-            get opcode() {                      return 45; } // 002D
-            get opcode_legal_max() {            return 45; } // 002D
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'MM', 'Oint', 'WCS', 'IntMask']; }
-        },
-
-        'EP': class extends OpDef {
-            get op() {                          return "EP"; }
-            get shortdesc() {                   return "Expand integer precision"; }
-            get opcode() {                      return 1008; } // 03F0
-            get opcode_legal_max() {            return 1023; } // 03FF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'd_len': 4, 's_len': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true, // yes (but should be illegal!)
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 21; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'IDLE': class extends OpDef {
-            get op() {                          return "IDLE"; }
-            get shortdesc() {                   return "Idle until interrupt"; }
-            get opcode() {                      return 832; } // 0340
-            get opcode_legal_max() {            return 832; } // 0340
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true, // Sets signal on D0-D2
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'INC': OpDef_INC,
-
-        'INCT': OpDef_INCT,
-
-        'INSF': class extends OpDef {
-            get op() {                          return "INSF"; }
-            get shortdesc() {                   return "Bitwise substring insert"; }
-            get opcode() {                      return 3088; } // 0C10
-            get opcode_legal_max() {            return 3103; } // 0C1F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'width': 4, 'pos': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 16; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'INV': class extends OpDef {
-            get op() {                          return "INV"; }
-            get shortdesc() {                   return "Logic NOT a word"; }
-            get opcode() {                      return 1344; } // 0540
-            get opcode_legal_max() {            return 1407; } // 057F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'IOF': class extends OpDef {
-            get op() {                          return "IOF"; }
-            get shortdesc() {                   return "Bitwise substring NOT"; }
-            get opcode() {                      return 3584; } // 0E00
-            get opcode_legal_max() {            return 3599; } // 0E0F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'width': 4, 'pos': 4, 'nu': 6, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 15; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'JEQ': OpDef_JEQ,
-
-        'JGT': OpDef_JGT,
-
-        'JH': OpDef_JH,
-
-        'JHE': OpDef_JHE,
-
-        'JL': OpDef_JL,
-
-        'JLE': OpDef_JLE,
-
-        'JLT': OpDef_JLT,
-
-        'JMP': OpDef_JMP,
-
-        'JNC': OpDef_JNC,
-
-        'JNE': OpDef_JNE,
-
-        'JNO': OpDef_JNO,
-
-        'JOC': OpDef_JOC,
-
-        'JOP': class extends OpDef {
-            get op() {                          return "JOP"; }
-            get shortdesc() {                   return "Jump if Odd Parity"; }
-            get opcode() {                      return 7168; } // 1C00
-            get opcode_legal_max() {            return 7423; } // 1CFF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'disp': 8 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 2; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'LCS': class extends OpDef {
-            get op() {                          return "LCS"; }
-            get shortdesc() {                   return "Load Microcode Data (???)"; }
-            get opcode() {                      return 160; } // 00A0
-            get opcode_legal_max() {            return 175; } // 00AF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true, // Exclusive feature, 0x800-0xBFF only
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'LD': class extends OpDef {
-            get op() {                          return "LD"; }
-            get shortdesc() {                   return "Load float64 into R0-3"; }
-            get opcode() {                      return 3968; } // 0F80
-            get opcode_legal_max() {            return 4031; } // 0FBF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'LDCR': class extends OpDef {
-            get op() {                          return "LDCR"; }
-            get shortdesc() {                   return "Send bits from a word to the CRU"; }
-            get opcode() {                      return 12288; } // 3000
-            get opcode_legal_max() {            return 13311; } // 33FF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'num': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 4; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
-        },
-
-        'LDD': class extends OpDef {
-            get op() {                          return "LDD"; }
-            get shortdesc() {                   return "Next instruction dest gets mapped mem"; }
-            get opcode() {                      return 1984; } // 07C0
-            get opcode_legal_max() {            return 2047; } // 07FF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group A (Memory mapping instructions, requires hardware.)
-                    '990/10'  :  true,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'LDS': class extends OpDef {
-            get op() {                          return "LDS"; }
-            get shortdesc() {                   return "Next instruction src gets mapped mem"; }
-            get opcode() {                      return 1920; } // 0780
-            get opcode_legal_max() {            return 1983; } // 07BF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group A (Memory mapping instructions, requires hardware.)
-                    '990/10'  :  true,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'LI': OpDef_LI,
-
-        'LIM': class extends OpDef {
-            get op() {                          return "LIM"; }
-            get shortdesc() {                   return "Load interrupt mask"; }
-            get opcode() {                      return 112; } // 0070
-            get opcode_legal_max() {            return 127; } // 007F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['IntMask']; }
-        },
-
-        'LIMI': class extends OpDef {
-            get op() {                          return "LIMI"; }
-            get shortdesc() {                   return "Load interrupt mask immediate"; }
-            get opcode() {                      return 768; } // 0300
-            get opcode_legal_max() {            return 783; } // 030F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 8; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['IntMask']; }
-        },
-
-        'LMF': class extends OpDef {
-            get op() {                          return "LMF"; }
-            get shortdesc() {                   return "Map memory"; }
-            get opcode() {                      return 800; } // 0320
-            get opcode_legal_max() {            return 831; } // 033F
-            get arg_start_bit() {               return 11; }
-            get args() {                        return { 'm': 1, 'reg': 4 }; }
-            get platforms() {
-                return { // Platform group A (Memory mapping instructions, requires hardware.)
-                    '990/10'  :  true,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  false,
-                    '99000'   :  false,
-                    '99110A'  :  false,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 10; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'LR': class extends OpDef {
-            get op() {                          return "LR"; }
-            get shortdesc() {                   return "Load float32 into R0-1"; }
-            get opcode() {                      return 3456; } // 0D80
-            get opcode_legal_max() {            return 3519; } // 0DBF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'LREX': class extends OpDef {
-            get op() {                          return "LREX"; }
-            get shortdesc() {                   return "Restart from 0xFFC0, context switch"; }
-            get opcode() {                      return 992; } // 03E0
-            get opcode_legal_max() {            return 992; } // 03E0
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  false,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true, // no-op; Sets signal on D0-D2
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['Priv', 'Mf', 'IntMask']; }
-        },
-
-        'LST': class extends OpDef {
-            get op() {                          return "LST"; }
-            get shortdesc() {                   return "Load Reg into Status Register"; }
-            get opcode() {                      return 128; } // 0080
-            get opcode_legal_max() {            return 143; } // 008F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true, // Priv bit=0 to not skip ST 6,7,8,9,11+IM
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'MM', 'Oint', 'WCS', 'IntMask']; }
-        },
-
-        'LTO': class extends OpDef {
-            get op() {                          return "LTO"; }
-            get shortdesc() {                   return "Find the 1 nearest to the left bytewise"; }
-            get opcode() {                      return 31; } // 001F
-            get opcode_legal_max() {            return 31; } // 001F
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 11; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
-        },
-
-        'LWP': class extends OpDef {
-            get op() {                          return "LWP"; }
-            get shortdesc() {                   return "Load Reg into Workspace Register"; }
-            get opcode() {                      return 144; } // 0090
-            get opcode_legal_max() {            return 159; } // 009F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'LWPI': class extends OpDef {
-            get op() {                          return "LWPI"; }
-            get shortdesc() {                   return "Load Immediate into Workplace Register"; }
-            get opcode() {                      return 736; } // 02E0
-            get opcode_legal_max() {            return 751; } // 02EF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 8; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'MD': class extends OpDef {
-            get op() {                          return "MD"; }
-            get shortdesc() {                   return "Multiply float64"; }
-            get opcode() {                      return 3840; } // 0F00
-            get opcode_legal_max() {            return 3903; } // 0F3F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'MM': class extends OpDef {
-            get op() {                          return "MM"; }
-            get shortdesc() {                   return "Multiply int32 into bigint (3 words)"; }
-            get opcode() {                      return 770; } // 0302
-            get opcode_legal_max() {            return 770; } // 0302
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'nu': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group D (99110-exclusive features; 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  false, // Illegal!
-                    '9995'    :  false,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 19; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'MOV': OpDef_MOV,
-
-        'MOVA': class extends OpDef {
-            get op() {                          return "MOVA"; }
-            get shortdesc() {                   return "Copy address"; }
-            get opcode() {                      return 43; } // 002B
-            get opcode_legal_max() {            return 43; } // 002B
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'nu': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 19; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'MOVB': class extends OpDef {
-            get op() {                          return "MOVB"; }
-            get shortdesc() {                   return "Copy byte"; }
-            get opcode() {                      return 53248; } // D000
-            get opcode_legal_max() {            return 57343; } // DFFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
-        },
-
-        'MOVS': class extends OpDef {
-            get op() {                          return "MOVS"; }
-            get shortdesc() {                   return "Copy string bytewise"; }
-            get opcode() {                      return 96; } // 0060
-            get opcode_legal_max() {            return 111; } // 006F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'MPY': class extends OpDef {
-            get op() {                          return "MPY"; }
-            get shortdesc() {                   return "Multiply uint16 into uint32"; }
-            get opcode() {                      return 14336; } // 3800
-            get opcode_legal_max() {            return 15359; } // 3BFF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'O': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 9; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'MPYS': class extends OpDef {
-            get op() {                          return "MPYS"; }
-            get shortdesc() {                   return "Multiply int16 into int32"; }
-            get opcode() {                      return 448; } // 01C0
-            get opcode_legal_max() {            return 511; } // 01FF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'MR': class extends OpDef {
-            get op() {                          return "MR"; }
-            get shortdesc() {                   return "Multiply float32"; }
-            get opcode() {                      return 3328; } // 0D00
-            get opcode_legal_max() {            return 3391; } // 0D3F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'MVSK': class extends OpDef {
-            get op() {                          return "MVSK"; }
-            get shortdesc() {                   return "Copy string from stack bytewise"; }
-            get opcode() {                      return 208; } // 00D0
-            get opcode_legal_max() {            return 223; } // 00DF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'MVSR': class extends OpDef {
-            get op() {                          return "MVSR"; }
-            get shortdesc() {                   return "Copy string in reverse bytewise"; }
-            get opcode() {                      return 192; } // 00C0
-            get opcode_legal_max() {            return 207; } // 00CF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'NEG': class extends OpDef {
-            get op() {                          return "NEG"; }
-            get shortdesc() {                   return "Negate word"; }
-            get opcode() {                      return 1280; } // 0500
-            get opcode_legal_max() {            return 1343; } // 053F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
-        },
-
-        'NEGD': class extends OpDef {
-            get op() {                          return "NEGD"; }
-            get shortdesc() {                   return "Negate float64"; }
-            get opcode() {                      return 3075; } // 0C03
-            get opcode_legal_max() {            return 3075; } // 0C03
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'NEGR': class extends OpDef {
-            get op() {                          return "NEGR"; }
-            get shortdesc() {                   return "Negate float32"; }
-            get opcode() {                      return 3074; } // 0C02
-            get opcode_legal_max() {            return 3074; } // 0C02
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'NRM': class extends OpDef {
-            get op() {                          return "NRM"; }
-            get shortdesc() {                   return "Normalize a bigint by bit shifting left"; }
-            get opcode() {                      return 3080; } // 0C08
-            get opcode_legal_max() {            return 3080; } // 0C08
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 11; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
-
-        'ORI': class extends OpDef {
-            get op() {                          return "ORI"; }
-            get shortdesc() {                   return "Logic OR a word"; }
-            get opcode() {                      return 608; } // 0260
-            get opcode_legal_max() {            return 623; } // 026F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 8; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'ORM': class extends OpDef {
-            get op() {                          return "ORM"; }
-            get shortdesc() {                   return "Bitwise bigint OR (yes, signed int!)"; }
-            get opcode() {                      return 39; } // 0027
-            get opcode_legal_max() {            return 39; } // 0027
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 11; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'POPS': class extends OpDef {
-            get op() {                          return "POPS"; }
-            get shortdesc() {                   return "Pop byte string from stack"; }
-            get opcode() {                      return 224; } // 00E0
-            get opcode_legal_max() {            return 239; } // 00EF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'PSHS': class extends OpDef {
-            get op() {                          return "PSHS"; }
-            get shortdesc() {                   return "Push byte string to stack"; }
-            get opcode() {                      return 240; } // 00F0
-            get opcode_legal_max() {            return 255; } // 00FF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'RSET': class extends OpDef {
-            get op() {                          return "RSET"; }
-            get shortdesc() {                   return "System reset"; }
-            get opcode() {                      return 864; } // 0360
-            get opcode_legal_max() {            return 864; } // 0360
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  false,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true, // Sets signal on D0-D2
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'IntMask']; }
-        },
-
-        'RTO': class extends OpDef {
-            get op() {                          return "RTO"; }
-            get shortdesc() {                   return "Find the 1 nearest to the right of a bigbits"; }
-            get opcode() {                      return 30; } // 001E
-            get opcode_legal_max() {            return 30; } // 001E
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 11; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
-        },
-
-        'RTWP': class extends OpDef {
-            get op() {                          return "RTWP"; }
-            get shortdesc() {                   return "Return with Workspace Pointer"; }
-            get opcode() {                      return 896; } // 0380
-            get opcode_legal_max() {            return 896; } // 0380
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { };  }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Priv bit=0 to not skip ST 6-11
-                    '9900'    :  true,
-                    '990/4'   :  true, // Skips ST bits 6-11
-                    '990/12'  :  true, // Priv=0? 0-8+IM, otherwise 0-5+10
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 7; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'IntMask']; }
-        },
-
-        'S': OpDef_S,
-
-        'SB': class extends OpDef {
-            get op() {                          return "SB"; }
-            get shortdesc() {                   return "Subtract int8"; }
-            get opcode() {                      return 28672; } // 7000
-            get opcode_legal_max() {            return 32767; } // 7FFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par']; }
-        },
-
-        'SBO': class extends OpDef {
-            get op() {                          return "SBO"; }
-            get shortdesc() {                   return "Set given CRU bit to 1"; }
-            get opcode() {                      return 7424; } // 1D00
-            get opcode_legal_max() {            return 7679; } // 1DFF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'disp': 8 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 2; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'SBZ': class extends OpDef {
-            get op() {                          return "SBZ"; }
-            get shortdesc() {                   return "Set given CRU bit to 0"; }
-            get opcode() {                      return 7680; } // 1E00
-            get opcode_legal_max() {            return 7935; } // 1EFF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'disp': 8 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 2; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'SD': class extends OpDef {
-            get op() {                          return "SD"; }
-            get shortdesc() {                   return "Subtract float64"; }
-            get opcode() {                      return 3776; } // 0EC0
-            get opcode_legal_max() {            return 3839; } // 0EFF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'SEQB': class extends OpDef {
-            get op() {                          return "SEQB"; }
-            get shortdesc() {                   return "Search for byte in a string"; }
-            get opcode() {                      return 80; } // 0050
-            get opcode_legal_max() {            return 95; } // 005F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'SETO': class extends OpDef {
-            get op() {                          return "SETO"; }
-            get shortdesc() {                   return "Set word to ones (FFFF)"; }
-            get opcode() {                      return 1792; } // 0700
-            get opcode_legal_max() {            return 1855; } // 073F
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'SLA': class extends OpDef {
-            get op() {                          return "SLA"; }
-            get shortdesc() {                   return "Shift left, fill with zero"; }
-            get opcode() {                      return 2560; } // 0A00
-            get opcode_legal_max() {            return 2815; } // 0AFF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'count': 4, 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 5; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
-
-        'SLAM': class extends OpDef {
-            get op() {                          return "SLAM"; }
-            get shortdesc() {                   return "Shift bigbits left, fill with zero"; }
-            get opcode() {                      return 29; } // 001D
-            get opcode_legal_max() {            return 29; } // 001D
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 's_len': 4, 'nu': 2, 'count': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 13; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
-
-        'SLSL': class extends OpDef {
-            get op() {                          return "SLSL"; }
-            get shortdesc() {                   return "Search list for matching bits"; }
-            get opcode() {                      return 33; } // 0021
-            get opcode_legal_max() {            return 33; } // 0021
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'cond': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 20; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
-        },
-
-        'SLSP': class extends OpDef {
-            get op() {                          return "SLSP"; }
-            get shortdesc() {                   return "Search list for matching bits, mapped"; }
-            get opcode() {                      return 34; } // 0022
-            get opcode_legal_max() {            return 34; } // 0022
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'cond': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 20; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
-        },
-
-        'SM': class extends OpDef {
-            get op() {                          return "SM"; }
-            get shortdesc() {                   return "Subtract bigint"; }
-            get opcode() {                      return 41; } // 0029
-            get opcode_legal_max() {            return 41; } // 0029
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 11; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
-
-        'SNEB': class extends OpDef {
-            get op() {                          return "SNEB"; }
-            get shortdesc() {                   return "Search for not equal byte in a string"; }
-            get opcode() {                      return 3600; } // 0E10
-            get opcode_legal_max() {            return 3615; } // 0E1F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 12; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'SOC': class extends OpDef {
-            get op() {                          return "SOC"; }
-            get shortdesc() {                   return "Logic OR: Copy 1s between words"; }
-            get opcode() {                      return 57344; } // E000
-            get opcode_legal_max() {            return 61439; } // EFFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'SOCB': class extends OpDef {
-            get op() {                          return "SOCB"; }
-            get shortdesc() {                   return "Logic OR: Copy 1s between bytes"; }
-            get opcode() {                      return 61440; } // F000
-            get opcode_legal_max() {            return 65535; } // FFFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'MOVB': OpDef_MOVB,
 
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
-        },
+        'MOVS': OpDef_MOVS,
 
-        'SR': class extends OpDef {
-            get op() {                          return "SR"; }
-            get shortdesc() {                   return "Subtract float32"; }
-            get opcode() {                      return 3264; } // 0CC0
-            get opcode_legal_max() {            return 3327; } // 0CFF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
+        'MPY': OpDef_MPY,
 
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
-        },
+        'MPYS': OpDef_MPYS,
 
-        'SRA': class extends OpDef {
-            get op() {                          return "SRA"; }
-            get shortdesc() {                   return "Shift right filling with the sign bit"; }
-            get opcode() {                      return 2048; } // 0800
-            get opcode_legal_max() {            return 2303; } // 08FF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'count': 4, 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'MR': OpDef_MR,
 
-            get format() {                      return 5; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
+        'MVSK': OpDef_MVSK,
 
-        'SRAM': class extends OpDef {
-            get op() {                          return "SRAM"; }
-            get shortdesc() {                   return "Shift right filling with the sign bit, bigint"; }
-            get opcode() {                      return 28; } // 001C
-            get opcode_legal_max() {            return 28; } // 001C
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 's_len': 4, 'nu': 2, 'count': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
+        'MVSR': OpDef_MVSR,
 
-            get format() {                      return 13; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
+        'NEG': OpDef_NEG,
 
-        'SRC': class extends OpDef {
-            get op() {                          return "SRC"; }
-            get shortdesc() {                   return "Shift right, circular"; }
-            get opcode() {                      return 2816; } // 0B00
-            get opcode_legal_max() {            return 3071; } // 0BFF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'count': 4, 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
+        'NEGD': OpDef_NEGD,
 
-            get format() {                      return 5; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
+        'NEGR': OpDef_NEGR,
 
-        'SRJ': class extends OpDef {
-            get op() {                          return "SRJ"; }
-            get shortdesc() {                   return "Subtract and jump"; }
-            get opcode() {                      return 3084; } // 0C0C
-            get opcode_legal_max() {            return 3084; } // 0C0C
+        'NRM': class extends OpDef {
+            get op() {                          return "NRM"; }
+            get shortdesc() {                   return "Normalize a bigint by bit shifting left"; }
+            get opcode() {                      return 3080; } // 0C08
+            get opcode_legal_max() {            return 3080; } // 0C08
             get arg_start_bit() {               return 16; }
-            get args() {                        return { 'const': 4, 'reg': 4, 'disp': 8 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 17; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'SRL': class extends OpDef {
-            get op() {                          return "SRL"; }
-            get shortdesc() {                   return "Shift right filling with zero"; }
-            get opcode() {                      return 2304; } // 0900
-            get opcode_legal_max() {            return 2559; } // 09FF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'count': 4, 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 5; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
-        },
-
-        'STCR': class extends OpDef {
-            get op() {                          return "STCR"; }
-            get shortdesc() {                   return "Read up to 16 bits from the CRU"; }
-            get opcode() {                      return 13312; } // 3400
-            get opcode_legal_max() {            return 14335; } // 37FF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'num': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 4; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
-        },
-
-        'STD': class extends OpDef {
-            get op() {                          return "STD"; }
-            get shortdesc() {                   return "Store float64"; }
-            get opcode() {                      return 4032; } // 0FC0
-            get opcode_legal_max() {            return 4095; } // 0FFF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 4; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'STPC': class extends OpDef {
-            get op() {                          return "STPC"; }
-            get shortdesc() {                   return "Store Program Counter"; }
-            get opcode() {                      return 48; } // 0030
-            get opcode_legal_max() {            return 63; } // 003F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'STR': class extends OpDef {
-            get op() {                          return "STR"; }
-            get shortdesc() {                   return "Store float32"; }
-            get opcode() {                      return 3520; } // 0DC0
-            get opcode_legal_max() {            return 3583; } // 0DFF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  false, // 99110A only
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 6; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
-
-        'STST': class extends OpDef {
-            get op() {                          return "STST"; }
-            get shortdesc() {                   return "Store Status Register"; }
-            get opcode() {                      return 704; } // 02C0
-            get opcode_legal_max() {            return 719; } // 02CF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'STWP': class extends OpDef {
-            get op() {                          return "STWP"; }
-            get shortdesc() {                   return "Store Workspace Pointer"; }
-            get opcode() {                      return 672; } // 02A0
-            get opcode_legal_max() {            return 687; } // 02AF
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'reg': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 18; }
-            get format_var() {                  return 3; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'SWPB': class extends OpDef {
-            get op() {                          return "SWPB"; }
-            get shortdesc() {                   return "Swap Bytes"; }
-            get opcode() {                      return 1728; } // 06C0
-            get opcode_legal_max() {            return 1791; } // 06FF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+                    '990/10'  :  false,
+                    '9900'    :  false,
+                    '990/4'   :  false,
                     '990/12'  :  true,
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  true,
+                    '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 11; }
+            get format_var() {                  return 3; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
         },
 
-        'SWPM': class extends OpDef {
-            get op() {                          return "SWPM"; }
-            get shortdesc() {                   return "Swap Bytes in a bigbits"; }
-            get opcode() {                      return 37; } // 0025
-            get opcode_legal_max() {            return 37; } // 0025
+        'ORI': OpDef_ORI,
+
+        'ORM': class extends OpDef {
+            get op() {                          return "ORM"; }
+            get shortdesc() {                   return "Bitwise bigint OR (yes, signed int!)"; }
+            get opcode() {                      return 39; } // 0027
+            get opcode_legal_max() {            return 39; } // 0027
             get arg_start_bit() {               return 16; }
             get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
@@ -3071,125 +1022,168 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 11; }
             get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
-        'SZC': class extends OpDef {
-            get op() {                          return "SZC"; }
-            get shortdesc() {                   return "Logic AND masked words"; }
-            get opcode() {                      return 16384; } // 4000
-            get opcode_legal_max() {            return 20479; } // 4FFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+        'POPS': OpDef_POPS,
+
+        'PSHS': OpDef_PSHS,
+
+        'RSET': class extends OpDef {
+            get op() {                          return "RSET"; }
+            get shortdesc() {                   return "System reset"; }
+            get opcode() {                      return 864; } // 0360
+            get opcode_legal_max() {            return 864; } // 0360
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { };  }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
-                    '9900'    :  true,
+                    '9900'    :  false,
                     '990/4'   :  true,
                     '990/12'  :  true,
-                    '9995'    :  true,
+                    '9995'    :  true, // Sets signal on D0-D2
                     '99000'   :  true,
                     '99110A'  :  true,
                     '990/10A' :  true,
                 };
             }
 
-            get format() {                      return 1; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+            get format() {                      return 7; }
+            get format_var() {                  return 2; }
+            get performs_privilege_check() {    return true; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'IntMask']; }
         },
 
-        'SZCB': class extends OpDef {
-            get op() {                          return "SZCB"; }
-            get shortdesc() {                   return "Logic AND masked bytes"; }
-            get opcode() {                      return 20480; } // 5000
-            get opcode_legal_max() {            return 24575; } // 5FFF
-            get arg_start_bit() {               return 4; }
-            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+        'RTO': OpDef_RTO,
+
+        'RTWP': OpDef_RTWP,
+
+        'S': OpDef_S,
+
+        'SB': OpDef_SB,
+
+        'SBO': OpDef_SBO,
+
+        'SBZ': OpDef_SBZ,
+
+        'SD': OpDef_SD,
+
+        'SEQB': OpDef_SEQB,
+
+        'SETO': OpDef_SETO,
+
+        'SLA': OpDef_SLA,
+
+        'SLAM': OpDef_SLAM,
+
+        'SLSL': class extends OpDef {
+            get op() {                          return "SLSL"; }
+            get shortdesc() {                   return "Search list for matching bits"; }
+            get opcode() {                      return 33; } // 0021
+            get opcode_legal_max() {            return 33; } // 0021
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { 'cond': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true,
-                    '9900'    :  true,
-                    '990/4'   :  true,
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+                    '990/10'  :  false,
+                    '9900'    :  false,
+                    '990/4'   :  false,
                     '990/12'  :  true,
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  true,
+                    '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 1; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 20; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+            get touches_status_bits() {         return ['Eq']; }
         },
 
-        'TB': class extends OpDef {
-            get op() {                          return "TB"; }
-            get shortdesc() {                   return "Test bit"; }
-            get opcode() {                      return 7936; } // 1F00
-            get opcode_legal_max() {            return 8191; } // 1FFF
-            get arg_start_bit() {               return 8; }
-            get args() {                        return { 'disp': 8 }; }
+        'SLSP': class extends OpDef {
+            get op() {                          return "SLSP"; }
+            get shortdesc() {                   return "Search list for matching bits, mapped"; }
+            get opcode() {                      return 34; } // 0022
+            get opcode_legal_max() {            return 34; } // 0022
+            get arg_start_bit() {               return 16; }
+            get args() {                        return { 'cond': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
-                    '9900'    :  true,
-                    '990/4'   :  true,
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+                    '990/10'  :  false,
+                    '9900'    :  false,
+                    '990/4'   :  false,
                     '990/12'  :  true,
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  true,
+                    '990/10A' :  false,
                 };
             }
 
-            get format() {                      return 2; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 20; }
             get format_var() {                  return 1; }
-            get performs_privilege_check() {    return true; }
+            get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Eq']; }
         },
 
-        'TCMB': class extends OpDef {
-            get op() {                          return "TCMB"; }
-            get shortdesc() {                   return "Test & reset bit in word"; }
-            get opcode() {                      return 3082; } // 0C0A
-            get opcode_legal_max() {            return 3082; } // 0C0A
-            get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bpos': 10, 'Ts': 2, 'S': 4 }; }
+        'SM': OpDef_SM,
+
+        'SNEB': OpDef_SNEB,
+
+        'SOC': class extends OpDef {
+            get op() {                          return "SOC"; }
+            get shortdesc() {                   return "Logic OR: Copy 1s between words"; }
+            get opcode() {                      return 57344; } // E000
+            get opcode_legal_max() {            return 61439; } // EFFF
+            get arg_start_bit() {               return 4; }
+            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true, // Multi-CPU Flag
+                return { // Platform base (Base instruction set, all platforms)
+                    '990/10'  :  true,
+                    '9900'    :  true,
+                    '990/4'   :  true,
+                    '990/12'  :  true,
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
-                    '990/10A' :  false,
+                    '990/10A' :  true,
                 };
             }
 
-            get format() {                      return 14; }
+            get format() {                      return 1; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
-        'TMB': class extends OpDef {
-            get op() {                          return "TMB"; }
-            get shortdesc() {                   return "Test bit in word"; }
-            get opcode() {                      return 3081; } // 0C09
-            get opcode_legal_max() {            return 3081; } // 0C09
+        'SOCB': OpDef_SOCB,
+
+        'SR': OpDef_SR,
+
+        'SRA': OpDef_SRA,
+
+        'SRAM': OpDef_SRAM,
+
+        'SRC': OpDef_SRC,
+
+        'SRJ': class extends OpDef {
+            get op() {                          return "SRJ"; }
+            get shortdesc() {                   return "Subtract and jump"; }
+            get opcode() {                      return 3084; } // 0C0C
+            get opcode_legal_max() {            return 3084; } // 0C0C
             get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bpos': 10, 'Ts': 2, 'S': 4 }; }
+            get args() {                        return { 'const': 4, 'reg': 4, 'disp': 8 }; }
             get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
@@ -3201,19 +1195,26 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 14; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 17; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
+            get touches_status_bits() {         return []; }
         },
 
-        'TS': class extends OpDef {
-            get op() {                          return "TS"; }
-            get shortdesc() {                   return "Translate words in a string from a table"; }
-            get opcode() {                      return 3632; } // 0E30
-            get opcode_legal_max() {            return 3647; } // 0E3F
+        'SRL': OpDef_SRL,
+
+        'STCR': OpDef_STCR,
+
+        'STD': OpDef_STD,
+
+        'STPC': class extends OpDef {
+            get op() {                          return "STPC"; }
+            get shortdesc() {                   return "Store Program Counter"; }
+            get opcode() {                      return 48; } // 0030
+            get opcode_legal_max() {            return 63; } // 003F
             get arg_start_bit() {               return 12; }
-            get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+            get args() {                        return { 'reg': 4 }; }
             get platforms() {
                 return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
@@ -3227,25 +1228,34 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 12; }
-            get format_var() {                  return 3; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 18; }
+            get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+            get touches_status_bits() {         return []; }
         },
 
-        'TSMB': class extends OpDef {
-            get op() {                          return "TSMB"; }
-            get shortdesc() {                   return "Test & set bit in word"; }
-            get opcode() {                      return 3083; } // 0C0B
-            get opcode_legal_max() {            return 3083; } // 0C0B
+        'STR': OpDef_STR,
+
+        'STST': OpDef_STST,
+
+        'STWP': OpDef_STWP,
+
+        'SWPB': OpDef_SWPB,
+
+        'SWPM': class extends OpDef {
+            get op() {                          return "SWPM"; }
+            get shortdesc() {                   return "Swap Bytes in a bigbits"; }
+            get opcode() {                      return 37; } // 0025
+            get opcode_legal_max() {            return 37; } // 0025
             get arg_start_bit() {               return 16; }
-            get args() {                        return { 'bpos': 10, 'Ts': 2, 'S': 4 }; }
+            get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
-                return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
                     '990/10'  :  false,
                     '9900'    :  false,
                     '990/4'   :  false,
-                    '990/12'  :  true, // Multi-CPU Flag
+                    '990/12'  :  true,
                     '9995'    :  true,
                     '99000'   :  true,
                     '99110A'  :  true,
@@ -3253,19 +1263,20 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 14; }
-            get format_var() {                  return 1; }
+            get platform_group() {              return 'E'; }
+            get format() {                      return 11; }
+            get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Eq']; }
+            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
-        'X': class extends OpDef {
-            get op() {                          return "X"; }
-            get shortdesc() {                   return "Execute"; }
-            get opcode() {                      return 1152; } // 0480
-            get opcode_legal_max() {            return 1215; } // 04BF
-            get arg_start_bit() {               return 10; }
-            get args() {                        return { 'Ts': 2, 'S': 4 }; }
+        'SZC': class extends OpDef {
+            get op() {                          return "SZC"; }
+            get shortdesc() {                   return "Logic AND masked words"; }
+            get opcode() {                      return 16384; } // 4000
+            get opcode_legal_max() {            return 20479; } // 4FFF
+            get arg_start_bit() {               return 4; }
+            get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
             get platforms() {
                 return { // Platform base (Base instruction set, all platforms)
                     '990/10'  :  true,
@@ -3279,38 +1290,28 @@ export class OpInfo {
                 };
             }
 
-            get format() {                      return 6; }
-            get format_var() {                  return 2; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return []; }
-        },
-
-        'XF': class extends OpDef {
-            get op() {                          return "XF"; }
-            get shortdesc() {                   return "Extract bits from word"; }
-            get opcode() {                      return 3120; } // 0C30
-            get opcode_legal_max() {            return 3135; } // 0C3F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'width': 4, 'pos': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 16; }
+            get format() {                      return 1; }
             get format_var() {                  return 1; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
+        'SZCB': OpDef_SZCB,
+
+        'TB': OpDef_TB,
+
+        'TCMB': OpDef_TCMB,
+
+        'TMB': OpDef_TMB,
+
+        'TS': OpDef_TS,
+
+        'TSMB': OpDef_TSMB,
+
+        'X': OpDef_X,
+
+        'XF': OpDef_XF,
+
         'XIT': class extends OpDef {
             get op() {                          return "XIT"; }
             get shortdesc() {                   return "No-OP"; }
@@ -3331,37 +1332,14 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 7; }
             get format_var() {                  return 4; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return []; }
         },
 
-        'XOP': class extends OpDef {
-            get op() {                          return "XOP"; }
-            get shortdesc() {                   return "Extended Operation Call"; }
-            get opcode() {                      return 11264; } // 2C00
-            get opcode_legal_max() {            return 12287; } // 2FFF
-            get arg_start_bit() {               return 6; }
-            get args() {                        return { 'O': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform base (Base instruction set, all platforms)
-                    '990/10'  :  true, // HW Flag.  Sets priv=0.
-                    '9900'    :  true,
-                    '990/4'   :  true,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  true,
-                };
-            }
-
-            get format() {                      return 9; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['XOP', 'Priv', 'Mf']; }
-        },
+        'XOP': OpDef_XOP,
 
         'XOR': class extends OpDef {
             get op() {                          return "XOR"; }
@@ -3409,37 +1387,14 @@ export class OpInfo {
                 };
             }
 
+            get platform_group() {              return 'E'; }
             get format() {                      return 11; }
             get format_var() {                  return 2; }
             get performs_privilege_check() {    return false; }
             get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
         },
 
-        'XV': class extends OpDef {
-            get op() {                          return "XV"; }
-            get shortdesc() {                   return "Extract bits into a new word"; }
-            get opcode() {                      return 3104; } // 0C20
-            get opcode_legal_max() {            return 3119; } // 0C2F
-            get arg_start_bit() {               return 12; }
-            get args() {                        return { 'width': 4, 'pos': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
-            get platforms() {
-                return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
-                    '990/10'  :  false,
-                    '9900'    :  false,
-                    '990/4'   :  false,
-                    '990/12'  :  true,
-                    '9995'    :  true,
-                    '99000'   :  true,
-                    '99110A'  :  true,
-                    '990/10A' :  false,
-                };
-            }
-
-            get format() {                      return 16; }
-            get format_var() {                  return 1; }
-            get performs_privilege_check() {    return false; }
-            get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
-        },
+        'XV': OpDef_XV,
 
     };
 
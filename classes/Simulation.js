@@ -5,6 +5,10 @@ import { ErrorFlags } from "./ErrorFlags.js";
 import { InterruptList } from "./InterruptList.js";
 import { Flow } from "./Flow.js";
 import { ExecutionProcess } from "./ExecutionProcess.js";
+import { CpuProfile } from "./CpuProfile.js";
+import { Snapshot } from "./Snapshot.js";
+
+/** @typedef {import('./AttachedProcessorInterface.js').AttachedProcessor} AttachedProcessor */
 
 export class Simulation {
     /** @type {SimulationState} */
@@ -56,11 +60,137 @@ export class Simulation {
         return this.flow.prev_flow_state;
     }
 
+    /**
+     * Are we sitting on an IDLE, waiting for an interrupt?  Stepping still
+     * works, it just doesn't get anywhere.
+     * @returns {boolean}
+     **/
+    isIdle() {
+        return this.flow.isIdle();
+    }
+
     stepInstruction() {
         this.flow.runUntilExecutionState();
         return this.flow.prev_flow_state;
     }
 
+    /**
+     * Load a macrostore image, which MID opcodes will then be handed off to.
+     * It goes into memory now and again after every reset.  See Macrostore.
+     * @param {ArrayBuffer|Uint8Array} bytes
+     * @param {number} base_address
+     * @param {number} entry_point
+     */
+    loadMacrostore(bytes, base_address, entry_point = base_address) {
+        let arr;
+        if (bytes instanceof Uint8Array) {
+            arr = bytes;
+        } else if (bytes instanceof ArrayBuffer) {
+            arr = new Uint8Array(bytes);
+        } else {
+            throw new Error('Simulation.loadMacrostore: input must be ArrayBuffer or Uint8Array');
+        }
+        this.state.macrostore.setImage(arr, base_address, entry_point);
+        this.state.installMacrostore();
+    }
+
+    /**
+     * Forget the macrostore image.  MID opcodes go back to being ILLOPs.  Whatever
+     * was put into memory stays there until the next reset.
+     */
+    unloadMacrostore() {
+        this.state.macrostore.clearImage();
+    }
+
+    /**
+     * Plug in an attached processor to claim MID opcodes before the macrostore
+     * gets them.  See AttachedProcessorInterface.
+     * @param {AttachedProcessor} processor
+     */
+    attachProcessor(processor) {
+        this.state.attached_processor.attach(processor);
+    }
+
+    detachProcessor() {
+        this.state.attached_processor.detach();
+    }
+
+    get compat_990_12() { return this.state.compat_990_12; }
+
+    /**
+     * Turn on the 990/12 compatible extras, like the double precision real
+     * instructions.  With them off, those opcodes are MIDs like on a real 99000.
+     * @param {boolean} enabled
+     */
+    set compat_990_12(enabled) { this.state.compat_990_12 = enabled; }
+
+    /** @returns {string} */
+    get cpu_profile() { return this.state.cpu_profile.name; }
+
+    /**
+     * Pretend to be a particular processor, so that instructions it doesn't
+     * have become ILLOPs or MIDs.  See CpuProfile for the names.
+     * @param {string} name
+     */
+    set cpu_profile(name) { this.state.cpu_profile = CpuProfile.getFromName(name); }
+
+    get mapper_installed() { return this.state.mapper_installed; }
+
+    /**
+     * Install a 990/10 style memory mapper, with 2MB of memory behind it.  See
+     * MemoryMapper.  Without it, LMF, LDS, and LDD are illegal opcodes.
+     * @param {boolean} installed
+     */
+    set mapper_installed(installed) { this.state.mapper_installed = installed; }
+
+    get wait_states() { return this.state.wait_states; }
+
+    /**
+     * Slow the memory down, adding this many clock cycles to every access.
+     * See CycleTable.
+     * @param {number} count
+     */
+    set wait_states(count) { this.state.wait_states = count; }
+
+    get clock_rate() { return this.state.clock_rate; }
+
+    /**
+     * How fast is the clock, in Hz?  Only used for working out how long things
+     * would have taken, it doesn't make anything run faster or slower.
+     * @param {number} hz
+     */
+    set clock_rate(hz) { this.state.clock_rate = hz; }
+
+    /** @returns {number} */
+    get cycle_count() { return this.state.cycle_count; }
+
+    /** @returns {number} */
+    get elapsed_microseconds() { return this.state.elapsed_microseconds; }
+
+    /**
+     * Freeze the whole machine, settings and all, into versioned JSON that
+     * restoreSnapshot can bring back.  See Snapshot.
+     * @returns {string}
+     */
+    saveSnapshot() {
+        return Snapshot.toJSON({
+            state: this.state.toSnapshot(),
+            execution_process: this.ep.toSnapshot(),
+            flow: this.flow.toSnapshot(),
+        });
+    }
+
+    /**
+     * Put the machine back exactly the way saveSnapshot found it.
+     * @param {string} json
+     */
+    restoreSnapshot(json) {
+        const snapshot = Snapshot.fromJSON(json);
+        this.state.restoreSnapshot(snapshot.state);
+        this.ep.restoreSnapshot(snapshot.execution_process);
+        this.flow.restoreSnapshot(snapshot.flow);
+    }
+
     /**
      * Load a byte array or ArrayBuffer into simulation memory, starting at address 0
      * @param {ArrayBuffer|Uint8Array} bytes
@@ -4,13 +4,44 @@ import { Memory } from "./Memory.js";
 import { StatusRegister } from "./StatusRegister.js";
 import { InterruptList } from "./InterruptList.js";
 import { ErrorFlags } from "./ErrorFlags.js";
+import { CruBus } from "./CruBus.js";
+import { IntervalTimer } from "./IntervalTimer.js";
+import { Macrostore } from "./Macrostore.js";
+import { AttachedProcessorInterface } from "./AttachedProcessorInterface.js";
+import { MemoryMapper } from "./MemoryMapper.js";
+import { CpuProfile } from "./CpuProfile.js";
+import { CycleTable } from "./CycleTable.js";
 import { Instruction } from "./Instruction.js";
 
+/**
+ * @typedef {Object} SimulationStateSnapshot
+ * @property {string} cpu_profile
+ * @property {boolean} compat_990_12
+ * @property {boolean} mapper_installed
+ * @property {number} wait_states
+ * @property {number} clock_rate
+ * @property {Uint8Array} memory
+ * @property {number} workspace_pointer
+ * @property {number} pc
+ * @property {number} status_register
+ * @property {import("./InterruptList.js").InterruptListSnapshot} interrupts
+ * @property {number[]} error_flags
+ * @property {import("./IntervalTimer.js").IntervalTimerSnapshot} timer
+ * @property {import("./Macrostore.js").MacrostoreSnapshot} macrostore
+ * @property {import("./MemoryMapper.js").MemoryMapperSnapshot} memory_mapper
+ * @property {number} cycle_count
+ **/
+
 /**
  * SimulationState: Because even solid-state machines have moving parts.
  *
  * We directly hold the Workspace Pointer and Program Counter, and hold references
- * to the system memory, the status register, interrupt states, and error flags.
+ * to the system memory, the status register, interrupt states, error flags,
+ * the CRU bus, the interval timer that lives on it, the macrostore, the
+ * slot for an attached processor, and the memory mapper.
+ *
+ * Addresses given to the memory accessors are logical addresses.  When the
+ * memory mapper is installed and turned on, they get translated first.
  *
  * Right now anything can access these innards.
  * @TODO Eliminate direct access to memory, st, il, er.
@@ -40,6 +71,91 @@ export class SimulationState {
     /** @returns {ErrorFlags} */
     get error_flags()            { return this.#er; }
 
+    /** @type {CruBus} */
+    #cru;
+    /** @returns {CruBus} */
+    get cru_bus()                   { return this.#cru; }
+
+    /** @type {IntervalTimer} */
+    #timer;
+    /** @returns {IntervalTimer} */
+    get timer()                     { return this.#timer; }
+
+    /** @type {Macrostore} */
+    #macrostore;
+    /** @returns {Macrostore} */
+    get macrostore()                { return this.#macrostore; }
+
+    /** @type {AttachedProcessorInterface} */
+    #api;
+    /** @returns {AttachedProcessorInterface} */
+    get attached_processor()        { return this.#api; }
+
+    /** @type {MemoryMapper} */
+    #mapper;
+    /** @returns {MemoryMapper} */
+    get memory_mapper()             { return this.#mapper; }
+
+    /** Clock cycles spent since the last reset.  See CycleTable. */
+    #cycle_count = 0;
+    get cycle_count()               { return this.#cycle_count; }
+
+    /**
+     * Should we also act like a 990/12 where the two differ?  Right now that
+     * means running the double precision real instructions natively instead of
+     * treating them as MIDs.  It's a setting, not state, so reset leaves it be.
+     **/
+    #compat_990_12 = false;
+    get compat_990_12()             { return this.#compat_990_12; }
+    set compat_990_12(enabled)      { this.#compat_990_12 = !!enabled; }
+
+    /**
+     * Which processor are we pretending to be?  See CpuProfile.  Also a
+     * setting that reset leaves be.
+     * @type {CpuProfile}
+     **/
+    #cpu_profile = CpuProfile.getFromName(CpuProfile.DEFAULT);
+    get cpu_profile()               { return this.#cpu_profile; }
+    set cpu_profile(profile)        { this.#cpu_profile = profile; }
+
+    /** Either we were told to be 990/12 compatible, or we're a 990/12. */
+    get acts_like_990_12()          { return this.#compat_990_12 || this.#cpu_profile.acts_like_990_12; }
+
+    /**
+     * Is there a memory mapper, and 2MB of memory behind it?  Without one, the
+     * mapping instructions don't exist and the mapping status bits do nothing.
+     * Another setting that reset leaves be.  Memory keeps whatever still fits.
+     **/
+    #mapper_installed = false;
+    get mapper_installed()          { return this.#mapper_installed; }
+    set mapper_installed(installed) {
+        this.#mapper_installed = !!installed;
+        this.#mem.resize(this.#mapper_installed ? MemoryMapper.PHYSICAL_SIZE : 2 ** 16);
+    }
+
+    /**
+     * How many wait states does memory add to every access?  Zero is memory
+     * that keeps up with the processor.  A setting, reset leaves it be.
+     **/
+    #wait_states = 0;
+    get wait_states()               { return this.#wait_states; }
+    set wait_states(count)          { this.#wait_states = Math.max(0, Math.floor(count)); }
+
+    /**
+     * The clock rate in Hz, for turning cycles into time.  Also a setting.
+     **/
+    #clock_rate = 3000000;
+    get clock_rate()                { return this.#clock_rate; }
+    set clock_rate(hz) {
+        if (!(hz > 0)) {
+            throw new Error(`Invalid clock rate: ${hz}`);
+        }
+        this.#clock_rate = hz;
+    }
+
+    /** How long the cycles spent so far would have taken on the real thing.  See CycleTable. */
+    get elapsed_microseconds()      { return (this.#cycle_count * 1000000) / this.#clock_rate; }
+
     constructor() {
         this.#mem = new Memory();
         this.#wp = 0;
@@ -47,6 +163,13 @@ export class SimulationState {
         this.#st = new StatusRegister();
         this.#il = new InterruptList();
         this.#er = new ErrorFlags();
+        this.#cru = new CruBus();
+        this.#cru.registerDevice(ErrorFlags.CRU_BASE, 16, this.#er);
+        this.#timer = new IntervalTimer(this.#il);
+        this.#cru.registerDevice(IntervalTimer.CRU_BASE, IntervalTimer.CRU_BIT_COUNT, this.#timer);
+        this.#macrostore = new Macrostore();
+        this.#api = new AttachedProcessorInterface();
+        this.#mapper = new MemoryMapper();
     }
 
     reset() {
@@ -56,10 +179,58 @@ export class SimulationState {
         this.#st.reset();
         this.#il.reset();
         this.#er.reset();
+        this.#timer.reset();
+        this.#macrostore.reset();
+        this.#mapper.reset();
+        this.#cycle_count = 0;
+        this.installMacrostore();
+    }
+
+    /**
+     * Put the macrostore image back into memory, where the emulation code
+     * expects to find it.
+     **/
+    installMacrostore() {
+        const image = this.#macrostore.image;
+        const base = this.#macrostore.base_address;
+        for (let i = 0; i < image.length; i++) {
+            this.setByte((base + i) & 0xFFFF, image[i]);
+        }
+    }
+
+    /**
+     * Let time pass for everything that keeps track of it.
+     * @param {number} ticks
+     **/
+    advanceClock(ticks = 1) {
+        this.#timer.tick(ticks);
+    }
+
+    /**
+     * Count the cycles that something took, wait states included.
+     * @param {import("./CycleTable.js").CycleCost} cost
+     **/
+    addCycles(cost) {
+        this.#cycle_count += CycleTable.totalCycles(cost, this.#wait_states);
+    }
+
+    /**
+     * Would running this instruction right now be a PRIVOP?  The privileged
+     * status bit being *set* means we're in user mode, where the privileged
+     * instructions are off limits.  Some of the processors we can pretend to
+     * be don't have a user mode at all.
+     * @param {import("./OpDef.js").OpDef} opcode_def
+     * @returns {boolean}
+     **/
+    isPrivilegedOpcodeViolation(opcode_def) {
+        if (!this.#cpu_profile.has_privileged_mode) {
+            return false;
+        }
+        return !!this.#st.getBit(StatusRegister.PRIVILEGED) && opcode_def.performs_privilege_check;
     }
 
     getInstructionAtPc() {
-        return Instruction.newFromOpcode(this.#mem.getWord(this.#pc));
+        return Instruction.newFromOpcode(this.getWord(this.#pc));
     }
 
     getPc() {
@@ -84,9 +255,33 @@ export class SimulationState {
         return this.#mem.getDV();
     }
 
+    /**
+     * Where in memory a logical address really is, or -1 if the mapper says
+     * it's beyond the map.
+     * @param {number} address
+     * @param {boolean} is_operand     Could LDS or LDD be talking about this one?
+     * @returns {number}
+     **/
+    #physicalAddress(address, is_operand = true) {
+        if (!this.#mapper_installed) {
+            return address;
+        }
+        if (is_operand && this.#mapper.usesLongDistanceMap(address)) {
+            return this.#mapper.translate(address, MemoryMapper.LONG_DISTANCE_MAP_FILE);
+        }
+        if (!this.#st.getBit(StatusRegister.MEMORY_MAPPED)) {
+            return address;
+        }
+        return this.#mapper.translate(address, this.#st.getBit(StatusRegister.MAPFILE_ENABLED));
+    }
+
     /** @param {number} word_at_address */
     getWord(word_at_address) {
-        return this.#mem.getWord(word_at_address);
+        const physical_address = this.#physicalAddress(word_at_address);
+        if (physical_address < 0) {
+            return 0;
+        }
+        return this.#mem.getWord(physical_address);
     }
 
     /**
@@ -94,12 +289,20 @@ export class SimulationState {
      * @param {number} word_value
      **/
     setWord(word_at_address, word_value) {
-        this.#mem.setWord(word_at_address, word_value);
+        const physical_address = this.#physicalAddress(word_at_address);
+        if (physical_address < 0) {
+            return;
+        }
+        this.#mem.setWord(physical_address, word_value);
     }
 
     /** @param {number} byte_at_address */
     getByte(byte_at_address) {
-        return this.#mem.getByte(byte_at_address);
+        const physical_address = this.#physicalAddress(byte_at_address);
+        if (physical_address < 0) {
+            return 0;
+        }
+        return this.#mem.getByte(physical_address);
     }
 
     /**
@@ -107,7 +310,20 @@ export class SimulationState {
      * @param {number} byte_value
      **/
     setByte(byte_at_address, byte_value) {
-        this.#mem.setByte(byte_at_address, byte_value);
+        const physical_address = this.#physicalAddress(byte_at_address);
+        if (physical_address < 0) {
+            return;
+        }
+        this.#mem.setByte(physical_address, byte_value);
+    }
+
+    /**
+     * Straight from memory, no mapping.  The interrupt vectors get read this
+     * way, because interrupts always start out unmapped.
+     * @param {number} word_at_address
+     **/
+    getPhysicalWord(word_at_address) {
+        return this.#mem.getWord(word_at_address);
     }
 
 
@@ -119,7 +335,11 @@ export class SimulationState {
         if (register > 15 || register < 0) {
             register = 0;
         }
-        this.#mem.setWord(this.#wp + (register * 2), word);
+        const physical_address = this.#physicalAddress(this.#wp + (register * 2), false);
+        if (physical_address < 0) {
+            return;
+        }
+        this.#mem.setWord(physical_address, word);
     }
 
     /**
@@ -130,7 +350,67 @@ export class SimulationState {
         if (register > 15 || register < 0) {
             register = 0;
         }
-        return this.#mem.getWord(this.#wp + (register * 2));
+        const physical_address = this.#physicalAddress(this.#wp + (register * 2), false);
+        if (physical_address < 0) {
+            return 0;
+        }
+        return this.#mem.getWord(physical_address);
+    }
+
+    /**
+     * Everything, settings included, for Snapshot.  The attached processor
+     * isn't ours to save, it lives outside the machine.
+     * @returns {SimulationStateSnapshot}
+     **/
+    toSnapshot() {
+        return {
+            cpu_profile: this.#cpu_profile.name,
+            compat_990_12: this.#compat_990_12,
+            mapper_installed: this.#mapper_installed,
+            wait_states: this.#wait_states,
+            clock_rate: this.#clock_rate,
+            memory: this.#mem.getBytes(),
+            workspace_pointer: this.#wp,
+            pc: this.#pc,
+            status_register: this.#st.getWord(),
+            interrupts: this.#il.toSnapshot(),
+            error_flags: this.#er.toSnapshot(),
+            timer: this.#timer.toSnapshot(),
+            macrostore: this.#macrostore.toSnapshot(),
+            memory_mapper: this.#mapper.toSnapshot(),
+            cycle_count: this.#cycle_count,
+        };
+    }
+
+    /**
+     * The settings go first, because installing the mapper changes how much
+     * memory there is.
+     * @param {SimulationStateSnapshot} snapshot
+     **/
+    restoreSnapshot(snapshot) {
+        // Check what can go wrong before anything gets changed.
+        const cpu_profile = CpuProfile.getFromName(snapshot.cpu_profile);
+        const memory_size = snapshot.mapper_installed ? MemoryMapper.PHYSICAL_SIZE : 2 ** 16;
+        if (snapshot.memory.length != memory_size) {
+            throw new Error(`Snapshot has ${snapshot.memory.length} bytes of memory, expected ${memory_size}`);
+        }
+
+        this.cpu_profile = cpu_profile;
+        this.compat_990_12 = snapshot.compat_990_12;
+        this.mapper_installed = snapshot.mapper_installed;
+        this.wait_states = snapshot.wait_states;
+        this.clock_rate = snapshot.clock_rate;
+
+        this.#mem.setBytes(snapshot.memory);
+        this.workspace_pointer = snapshot.workspace_pointer;
+        this.#pc = snapshot.pc;
+        this.#st.setWord(snapshot.status_register);
+        this.#il.restoreSnapshot(snapshot.interrupts);
+        this.#er.restoreSnapshot(snapshot.error_flags);
+        this.#timer.restoreSnapshot(snapshot.timer);
+        this.#macrostore.restoreSnapshot(snapshot.macrostore);
+        this.#mapper.restoreSnapshot(snapshot.memory_mapper);
+        this.#cycle_count = snapshot.cycle_count;
     }
 
 }
@@ -0,0 +1,155 @@
+// @ts-check
+
+/** @typedef {import("./SimulationState.js").SimulationStateSnapshot} SimulationStateSnapshot */
+/** @typedef {import("./ExecutionProcess.js").ExecutionProcessSnapshot} ExecutionProcessSnapshot */
+/** @typedef {import("./Flow.js").FlowSnapshot} FlowSnapshot */
+
+/**
+ * @typedef {Object} MachineSnapshot
+ * @property {SimulationStateSnapshot} state
+ * @property {ExecutionProcessSnapshot} execution_process
+ * @property {FlowSnapshot} flow
+ **/
+
+/**
+ * @typedef {Object} EncodedMemory
+ * @property {number} size
+ * @property {Object.<string, string>} pages    Base64, keyed by starting offset
+ **/
+
+/**
+ * Snapshot: A running machine, frozen and put in a file.
+ *
+ * The SimulationState, the ExecutionProcess, and the Flow can each hand over
+ * everything they're holding as a plain object, and be put back exactly the
+ * way they were from one.  Here we turn that into versioned JSON, so machines
+ * can be saved to a file, passed around, and picked back up later.
+ *
+ * Memory is most of it.  It goes in as base64, a page at a time, and pages
+ * that are all zero get left out.  With 2MB behind a memory mapper, that
+ * matters.  The macrostore image is base64 too.
+ *
+ * Snapshots can be taken between any two states of the Flow, including while
+ * IDLE waits for an interrupt.  An instruction that has begun but not yet run
+ * gets its operands fetched all over again on the way back in.  See
+ * ExecutionProcess.
+ *
+ * Some things can't be saved:
+ * - An attached processor lives outside the machine, so whatever it's up to
+ *   isn't in here.  Neither is the wiring of the interrupt lines.
+ *
+ * Every file says which VERSION wrote it.  Bump it when the format changes,
+ * and keep reading the older ones.
+ **/
+export class Snapshot {
+    static get FORMAT() { return '99100sim-snapshot'; }
+    static get VERSION() { return 2; }
+    static get PAGE_SIZE() { return 1024; }
+
+    /**
+     * @param {MachineSnapshot} snapshot
+     * @returns {string}
+     **/
+    static toJSON(snapshot) {
+        const state = {
+            ...snapshot.state,
+            memory: Snapshot.#encodeMemory(snapshot.state.memory),
+            macrostore: {
+                ...snapshot.state.macrostore,
+                image: Snapshot.#encodeBytes(snapshot.state.macrostore.image),
+            },
+        };
+        return JSON.stringify({
+            format: Snapshot.FORMAT,
+            version: Snapshot.VERSION,
+            state,
+            execution_process: snapshot.execution_process,
+            flow: snapshot.flow,
+        }, null, 2);
+    }
+
+    /**
+     * @param {string} json
+     * @returns {MachineSnapshot}
+     **/
+    static fromJSON(json) {
+        const file = JSON.parse(json);
+        if (!file || file.format !== Snapshot.FORMAT) {
+            throw new Error('Not a snapshot file');
+        }
+        if (!Number.isInteger(file.version) || file.version < 1 || file.version > Snapshot.VERSION) {
+            throw new Error(`Snapshot version ${file.version} is not one we know how to read`);
+        }
+        if (!file.state || !file.execution_process || !file.flow) {
+            throw new Error('Snapshot is missing pieces');
+        }
+        const state = {
+            ...file.state,
+            memory: Snapshot.#decodeMemory(file.state.memory),
+            macrostore: {
+                ...file.state.macrostore,
+                image: Snapshot.#decodeBytes(file.state.macrostore.image),
+            },
+        };
+        return { state, execution_process: file.execution_process, flow: file.flow };
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {EncodedMemory}
+     **/
+    static #encodeMemory(bytes) {
+        /** @type {Object.<string, string>} */
+        const pages = {};
+        for (let offset = 0; offset < bytes.length; offset += Snapshot.PAGE_SIZE) {
+            const page = bytes.subarray(offset, offset + Snapshot.PAGE_SIZE);
+            if (page.some( (byte) => { return byte != 0; } )) {
+                pages[offset] = Snapshot.#encodeBytes(page);
+            }
+        }
+        return { size: bytes.length, pages };
+    }
+
+    /**
+     * @param {EncodedMemory} memory
+     * @returns {Uint8Array}
+     **/
+    static #decodeMemory(memory) {
+        const bytes = new Uint8Array(memory.size);
+        for (const [offset, encoded] of Object.entries(memory.pages)) {
+            const page = Snapshot.#decodeBytes(encoded);
+            const start = parseInt(offset, 10);
+            if (!(start >= 0) || start + page.length > bytes.length) {
+                throw new Error(`Snapshot memory page at ${offset} doesn't fit in ${memory.size} bytes`);
+            }
+            bytes.set(page, start);
+        }
+        return bytes;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     **/
+    static #encodeBytes(bytes) {
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * @param {string} encoded
+     * @returns {Uint8Array}
+     **/
+    static #decodeBytes(encoded) {
+        const binary = atob(encoded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+}
@@ -19,8 +19,8 @@
  * - PARITY: @TODO
  * - XOP: @TODO
  * - PRIVILEGED: @TODO
- * - MAPFILE_ENABLED: @TODO
- * - MEMORY_MAPPED: @TODO
+ * - MAPFILE_ENABLED: MemoryMapper
+ * - MEMORY_MAPPED: MemoryMapper
  * - OVERFLOW_INTERRUPT_ENABLED: @TODO
  * - WCS_ENABLED: @TODO
  *
@@ -59,6 +59,36 @@ export class StatusRegister {
         this.#bitfield = (this.#bitfield & ~(1 << bit_index));
     }
 
+    /**
+     * The status register the way programs see it, in R15 after a context
+     * switch or from STST.  The manuals number bits from the MSB, so LGT is
+     * the top bit, and the interrupt mask lives in the bottom four.
+     * @returns {number}
+     **/
+    getWord() {
+        let word = 0;
+        for (let i = 0; i < 12; i++) {
+            if (this.getBit(i)) {
+                word |= 1 << (15 - i);
+            }
+        }
+        return word | this.getInterruptMask();
+    }
+
+    /**
+     * The reverse of getWord, for RTWP and LST.
+     * @param {number} word
+     **/
+    setWord(word) {
+        this.#bitfield = 0;
+        for (let i = 0; i < 12; i++) {
+            if (word & (1 << (15 - i))) {
+                this.setBit(i);
+            }
+        }
+        this.setInterruptMask(word & 15);
+    }
+
     getInterruptMask() {
         return this.#bitfield >>> 12;
     }
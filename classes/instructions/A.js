@@ -33,11 +33,7 @@ class OpDef_A extends OpDef {
 
 class ExecutionUnit_A extends Format1Unit {
     doTheThing() {
-        const td = this.inst.getParam('Td');
-        const d = this.inst.getParam('D');
-        //console.debug([td, d]);
-        const current_value = this.resolveAddressingModeAndGet(td, d);
-        this.target_value = this.clampAndUpdateCarryAndOverflow(current_value + this.source_value);
+        this.target_value = this.clampAndUpdateCarryAndOverflow(this.dest_value + this.source_value);
         this.updateEq(this.target_value, 0);
         this.updateGt(this.target_value, 0);
     }
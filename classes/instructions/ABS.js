@@ -0,0 +1,52 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_ABS, ExecutionUnit_ABS };
+
+class OpDef_ABS extends OpDef {
+    get op() {                          return "ABS"; }
+    get shortdesc() {                   return "Absolute Value"; }
+    get opcode() {                      return 1856; } // 0740
+    get opcode_legal_max() {            return 1919; } // 077F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Multi-CPU Flag
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true, // Multi-CPU Flag
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
+}
+
+class ExecutionUnit_ABS extends Format6Unit {
+    doTheThing() {
+        // Unlike most, ABS compares the *original* value against zero.
+        this.updateEq(this.source_value, 0);
+        this.updateGt(this.source_value, 0);
+
+        this.target_value = this.source_value;
+        if (this.source_value & 0x8000) {
+            this.target_value = (0x10000 - this.source_value) & 0xFFFF;
+        }
+
+        // The most negative number has no positive counterpart.
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (this.source_value == 0x8000) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+    }
+}
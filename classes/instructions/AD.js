@@ -0,0 +1,43 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_AD, ExecutionUnit_AD };
+
+class OpDef_AD extends OpDef {
+    get op() {                          return "AD"; }
+    get shortdesc() {                   return "Add float64"; }
+    get opcode() {                      return 3648; } // 0E40
+    get opcode_legal_max() {            return 3711; } // 0E7F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 4; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * AD: Add the source double precision real to the double precision accumulator.
+ **/
+class ExecutionUnit_AD extends Format6DoubleRealUnit {
+    doTheThing() {
+        this.setRealResult(HexFloat.add(this.getAccumulator(), this.source_value));
+    }
+}
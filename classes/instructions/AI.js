@@ -0,0 +1,56 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_AI, ExecutionUnit_AI };
+
+class OpDef_AI extends OpDef {
+    get op() {                          return "AI"; }
+    get shortdesc() {                   return "Add Immediate to reg"; }
+    get opcode() {                      return 544; } // 0220
+    get opcode_legal_max() {            return 559; } // 022F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 8; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+class ExecutionUnit_AI extends ExecutionUnit {
+    #register_num = 0;
+    #next_word = 0;
+    #target_value = 0;
+    fetchOperands() {
+        this.#register_num = this.inst.getParam('reg');
+        this.#next_word = this.inst.getImmediateValue();
+        return true;
+    }
+
+    execute() {
+        const reg_value = this.simstate.getRegisterWord(this.#register_num);
+        this.#target_value = this.addAndUpdateCarryAndOverflow(reg_value, this.#next_word);
+        this.updateEq(this.#target_value, 0);
+        this.updateGt(this.#target_value, 0);
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(this.#register_num, this.#target_value);
+        return true;
+    }
+}
@@ -0,0 +1,69 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format11Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_AM, ExecutionUnit_AM };
+
+class OpDef_AM extends OpDef {
+    get op() {                          return "AM"; }
+    get shortdesc() {                   return "Add bigint"; }
+    get opcode() {                      return 42; } // 002A
+    get opcode_legal_max() {            return 42; } // 002A
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'C'; }
+    get format() {                      return 11; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
+}
+
+/**
+ * AM: Add the multiple precision source to the multiple precision destination.
+ *
+ * Carry is the carry out of the most significant bit and Overflow is a sign
+ * change the operands can't account for, same as A, just wider.
+ **/
+class ExecutionUnit_AM extends Format11Unit {
+    /** @type {bigint} */
+    #result = 0n;
+    doTheThing() {
+        const bits = BigInt(this.byte_count * 8);
+        const mask = (1n << bits) - 1n;
+        const sign_mask = 1n << (bits - 1n);
+        const dest_value = this.readMultiple(this.dest_address, this.byte_count);
+        const sum = dest_value + this.source_value;
+        this.#result = sum & mask;
+
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        if (sum > mask) {
+            this.simstate.status_register.setBit(StatusRegister.CARRY);
+        }
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        const same_sign_in = (dest_value & sign_mask) == (this.source_value & sign_mask);
+        if (same_sign_in && (this.#result & sign_mask) != (dest_value & sign_mask)) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+        this.updateMultipleCompareBits(this.#result, this.byte_count * 8);
+    }
+
+    writeResults() {
+        this.writeMultiple(this.dest_address, this.#result, this.byte_count);
+        return true;
+    }
+}
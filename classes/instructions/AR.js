@@ -0,0 +1,43 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_AR, ExecutionUnit_AR };
+
+class OpDef_AR extends OpDef {
+    get op() {                          return "AR"; }
+    get shortdesc() {                   return "Add float32"; }
+    get opcode() {                      return 3136; } // 0C40
+    get opcode_legal_max() {            return 3199; } // 0C7F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * AR: Add the source real to the floating point accumulator.
+ **/
+class ExecutionUnit_AR extends Format6RealUnit {
+    doTheThing() {
+        this.setRealResult(HexFloat.add(this.getAccumulator(), this.source_value));
+    }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+
+export { OpDef_B, ExecutionUnit_B };
+
+class OpDef_B extends OpDef {
+    get op() {                          return "B"; }
+    get shortdesc() {                   return "Unconditional Branch"; }
+    get opcode() {                      return 1088; } // 0440
+    get opcode_legal_max() {            return 1151; } // 047F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_B extends Format6Unit {
+    doTheThing() {
+        // The address of the operand is the branch target.  The operand
+        // itself is never used.
+        this.branchTo(this.source_address);
+    }
+
+    writeResults() {
+        return false;
+    }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+
+export { OpDef_BL, ExecutionUnit_BL };
+
+class OpDef_BL extends OpDef {
+    get op() {                          return "BL"; }
+    get shortdesc() {                   return "Branch, PC -> R11"; }
+    get opcode() {                      return 1664; } // 0680
+    get opcode_legal_max() {            return 1727; } // 06BF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_BL extends Format6Unit {
+    doTheThing() {
+        // Like B, but leave a return address in R11 for "B *R11" to use.
+        this.simstate.setRegisterWord(11, this.getNextInstructionAddress());
+        this.branchTo(this.source_address);
+    }
+
+    writeResults() {
+        return false;
+    }
+}
@@ -0,0 +1,45 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+
+export { OpDef_BLWP, ExecutionUnit_BLWP };
+
+class OpDef_BLWP extends OpDef {
+    get op() {                          return "BLWP"; }
+    get shortdesc() {                   return "Branch, new Workspace"; }
+    get opcode() {                      return 1024; } // 0400
+    get opcode_legal_max() {            return 1087; } // 043F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_BLWP extends Format6Unit {
+    doTheThing() {
+        // The operand is a two word vector, new WP followed by new PC.
+        const new_wp = this.simstate.getWord(this.source_address);
+        const new_pc = this.simstate.getWord((this.source_address + 2) & 0xFFFF);
+        this.contextSwitch(new_wp, new_pc);
+    }
+
+    writeResults() {
+        return false;
+    }
+}
@@ -33,10 +33,7 @@ class OpDef_C extends OpDef {
 
 class ExecutionUnit_C extends Format1Unit {
     doTheThing() {
-        const td = this.inst.getParam('Td');
-        const d = this.inst.getParam('D');
-        //console.debug([td, d]);
-        this.target_value = this.resolveAddressingModeAndGet(td, d);
+        this.target_value = this.dest_value;
         this.updateEq(this.source_value, this.target_value);
         this.updateGt(this.source_value, this.target_value);
     }
@@ -0,0 +1,47 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format1ByteUnit } from "../ExecutionUnit.js";
+
+export { OpDef_CB, ExecutionUnit_CB };
+
+class OpDef_CB extends OpDef {
+    get op() {                          return "CB"; }
+    get shortdesc() {                   return "Compare bytes"; }
+    get opcode() {                      return 36864; } // 9000
+    get opcode_legal_max() {            return 40959; } // 9FFF
+    get arg_start_bit() {               return 4; }
+    get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 1; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+}
+
+class ExecutionUnit_CB extends Format1ByteUnit {
+    doTheThing() {
+        this.target_value = this.dest_value;
+        this.updateEq(this.source_value, this.dest_value);
+        this.updateGt(this.source_value, this.dest_value, 8);
+        // Parity reflects the source byte, not the result of the comparison.
+        this.updateParity(this.source_value);
+    }
+
+    writeResults() {
+        // Comparing doesn't change the destination, so don't write it back.
+        return false;
+    }
+}
@@ -0,0 +1,57 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_CDE, ExecutionUnit_CDE };
+
+class OpDef_CDE extends OpDef {
+    get op() {                          return "CDE"; }
+    get shortdesc() {                   return "float64 to int32"; }
+    get opcode() {                      return 3077; } // 0C05
+    get opcode_legal_max() {            return 3077; } // 0C05
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CDE: Convert the double precision accumulator to a signed 32-bit integer in
+ * R0 and R1, rounding.  If it won't fit, OV is set and we get the closest one
+ * that does.  R2 and R3 are left alone.
+ **/
+class ExecutionUnit_CDE extends DoubleRealUnit {
+    execute() {
+        let integer = HexFloat.toInteger(this.getAccumulator());
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (integer > 0x7FFFFFFFn || integer < -0x80000000n) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            integer = integer > 0n ? 0x7FFFFFFFn : -0x80000000n;
+        }
+        const result = Number(BigInt.asUintN(32, integer));
+        this.result_words = [result >>> 16, result & 0xFFFF];
+        this.updateEq(result, 0);
+        this.updateGt(result, 0, 32);
+        return true;
+    }
+}
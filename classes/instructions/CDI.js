@@ -0,0 +1,62 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_CDI, ExecutionUnit_CDI };
+
+class OpDef_CDI extends OpDef {
+    get op() {                          return "CDI"; }
+    get shortdesc() {                   return "float64 to int16"; }
+    get opcode() {                      return 3073; } // 0C01
+    get opcode_legal_max() {            return 3073; } // 0C01
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CDI: Convert the double precision accumulator to a signed integer word,
+ * rounding, and put it in R0.  If it won't fit, OV is set and we get the
+ * closest one that does.
+ **/
+class ExecutionUnit_CDI extends DoubleRealUnit {
+    #result = 0;
+    execute() {
+        let integer = HexFloat.toInteger(this.getAccumulator());
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (integer > 0x7FFFn || integer < -0x8000n) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            integer = integer > 0n ? 0x7FFFn : -0x8000n;
+        }
+        this.#result = Number(integer) & 0xFFFF;
+        this.updateEq(this.#result, 0);
+        this.updateGt(this.#result, 0);
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(0, this.#result);
+        return true;
+    }
+}
@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_CED, ExecutionUnit_CED };
+
+class OpDef_CED extends OpDef {
+    get op() {                          return "CED"; }
+    get shortdesc() {                   return "int32 to float64"; }
+    get opcode() {                      return 3079; } // 0C07
+    get opcode_legal_max() {            return 3079; } // 0C07
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CED: Convert the signed 32-bit integer in R0 and R1 to a double precision
+ * real in the double precision accumulator.  Fourteen hex digits are plenty,
+ * so unlike CER, this is always exact.
+ **/
+class ExecutionUnit_CED extends DoubleRealUnit {
+    execute() {
+        const high = this.simstate.getRegisterWord(0);
+        const low = this.simstate.getRegisterWord(1);
+        const integer = BigInt.asIntN(32, (BigInt(high) << 16n) | BigInt(low));
+        this.setRealResult(HexFloat.fromInteger(integer));
+        return true;
+    }
+}
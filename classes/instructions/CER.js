@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_CER, ExecutionUnit_CER };
+
+class OpDef_CER extends OpDef {
+    get op() {                          return "CER"; }
+    get shortdesc() {                   return "int32 to float32"; }
+    get opcode() {                      return 3078; } // 0C06
+    get opcode_legal_max() {            return 3078; } // 0C06
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CER: Convert the signed 32-bit integer in R0 and R1 to a real in the
+ * floating point accumulator.  Six hex digits can't hold every 32-bit
+ * integer, so big ones get rounded.
+ **/
+class ExecutionUnit_CER extends RealUnit {
+    execute() {
+        const high = this.simstate.getRegisterWord(0);
+        const low = this.simstate.getRegisterWord(1);
+        const integer = BigInt.asIntN(32, (BigInt(high) << 16n) | BigInt(low));
+        this.setRealResult(HexFloat.fromInteger(integer));
+        return true;
+    }
+}
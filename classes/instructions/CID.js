@@ -0,0 +1,55 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_CID, ExecutionUnit_CID };
+
+class OpDef_CID extends OpDef {
+    get op() {                          return "CID"; }
+    get shortdesc() {                   return "int16 to float64"; }
+    get opcode() {                      return 3712; } // 0E80
+    get opcode_legal_max() {            return 3775; } // 0EBF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 4; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CID: Convert the signed integer word at the source address to a double
+ * precision real in the double precision accumulator.
+ **/
+class ExecutionUnit_CID extends DoubleRealUnit {
+    source_value = 0;
+    fetchOperands() {
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        const source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue());
+        this.source_value = this.getOperandValue(source_address);
+        return true;
+    }
+
+    execute() {
+        const integer = this.source_value & 0x8000 ? this.source_value - 0x10000 : this.source_value;
+        this.setRealResult(HexFloat.fromInteger(BigInt(integer)));
+        return true;
+    }
+}
@@ -0,0 +1,55 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_CIR, ExecutionUnit_CIR };
+
+class OpDef_CIR extends OpDef {
+    get op() {                          return "CIR"; }
+    get shortdesc() {                   return "int16 to float32"; }
+    get opcode() {                      return 3200; } // 0C80
+    get opcode_legal_max() {            return 3263; } // 0CBF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CIR: Convert the signed integer word at the source address to a real in the
+ * floating point accumulator.
+ **/
+class ExecutionUnit_CIR extends RealUnit {
+    source_value = 0;
+    fetchOperands() {
+        const ts = this.inst.getParam('Ts');
+        const s = this.inst.getParam('S');
+        const source_address = this.resolveOperandAddress(ts, s, this.inst.getImmediateSourceValue());
+        this.source_value = this.getOperandValue(source_address);
+        return true;
+    }
+
+    execute() {
+        const integer = this.source_value & 0x8000 ? this.source_value - 0x10000 : this.source_value;
+        this.setRealResult(HexFloat.fromInteger(BigInt(integer)));
+        return true;
+    }
+}
@@ -0,0 +1,38 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+
+export { OpDef_CLR, ExecutionUnit_CLR };
+
+class OpDef_CLR extends OpDef {
+    get op() {                          return "CLR"; }
+    get shortdesc() {                   return "Set word to zero"; }
+    get opcode() {                      return 1216; } // 04C0
+    get opcode_legal_max() {            return 1279; } // 04FF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_CLR extends Format6Unit {
+    doTheThing() {
+        this.target_value = 0;
+    }
+}
@@ -0,0 +1,51 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format11BitScanUnit } from "../ExecutionUnit.js";
+
+export { OpDef_CNTO, ExecutionUnit_CNTO };
+
+class OpDef_CNTO extends OpDef {
+    get op() {                          return "CNTO"; }
+    get shortdesc() {                   return "Count ones in a bigbits"; }
+    get opcode() {                      return 32; } // 0020
+    get opcode_legal_max() {            return 32; } // 0020
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 11; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+/**
+ * CNTO: Count the ones in the source operand and add that to the destination
+ * word.  EQ is set when there weren't any.
+ **/
+class ExecutionUnit_CNTO extends Format11BitScanUnit {
+    execute() {
+        let ones = 0;
+        for (let i = 0; i < this.bit_count; i++) {
+            if (this.isSourceBitSet(i)) {
+                ones++;
+            }
+        }
+        this.target_value = (this.dest_value + ones) & 0xFFFF;
+        this.updateEq(ones, 0);
+        return true;
+    }
+}
@@ -0,0 +1,72 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format12Unit } from "../ExecutionUnit.js";
+
+export { OpDef_CRC, ExecutionUnit_CRC };
+
+class OpDef_CRC extends OpDef {
+    get op() {                          return "CRC"; }
+    get shortdesc() {                   return "CRC16"; }
+    get opcode() {                      return 3616; } // 0E20
+    get opcode_legal_max() {            return 3631; } // 0E2F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 12; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+/**
+ * CRC: Run the source string through a CRC-16, using the destination word as
+ * the running value.  This is the reflected 0xA001 polynomial, the same one as
+ * CRC-16/ARC, so start the destination at zero for that or at 0xFFFF for
+ * CRC-16/MODBUS.  EQ is set if the result is zero.
+ *
+ * The running value goes back into the destination when we're interrupted,
+ * so it's ready for us when we pick back up.
+ **/
+class ExecutionUnit_CRC extends Format12Unit {
+    dest_size = 2;
+    crc = 0;
+    fetchOperands() {
+        super.fetchOperands();
+        this.crc = this.simstate.getWord(this.dest_address);
+        return true;
+    }
+
+    /** @param {number} index */
+    doTheThing(index) {
+        this.last_byte = this.simstate.getByte((this.source_address + index) & 0xFFFF);
+        this.crc ^= this.last_byte;
+        for (let bit = 0; bit < 8; bit++) {
+            this.crc = (this.crc & 1) ? ((this.crc >>> 1) ^ 0xA001) : (this.crc >>> 1);
+        }
+        return true;
+    }
+
+    updateStringStatusBits() {
+        this.updateEq(this.crc, 0);
+    }
+
+    writeResults() {
+        super.writeResults();
+        this.simstate.setWord(this.dest_address, this.crc);
+        return true;
+    }
+}
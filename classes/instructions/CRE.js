@@ -0,0 +1,57 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_CRE, ExecutionUnit_CRE };
+
+class OpDef_CRE extends OpDef {
+    get op() {                          return "CRE"; }
+    get shortdesc() {                   return "float32 to int32"; }
+    get opcode() {                      return 3076; } // 0C04
+    get opcode_legal_max() {            return 3076; } // 0C04
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * CRE: Convert the real in the floating point accumulator to a signed 32-bit
+ * integer in R0 and R1, rounding.  If it won't fit, OV is set and we get the
+ * closest one that does.
+ **/
+class ExecutionUnit_CRE extends RealUnit {
+    execute() {
+        let integer = HexFloat.toInteger(this.getAccumulator());
+        this.simstate.status_register.resetBit(StatusRegister.CARRY);
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (integer > 0x7FFFFFFFn || integer < -0x80000000n) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            integer = integer > 0n ? 0x7FFFFFFFn : -0x80000000n;
+        }
+        const result = Number(BigInt.asUintN(32, integer));
+        this.result_words = [result >>> 16, result & 0xFFFF];
+        this.updateEq(result, 0);
+        this.updateGt(result, 0, 32);
+        return true;
+    }
+}
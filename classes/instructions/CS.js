@@ -0,0 +1,56 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format12Unit } from "../ExecutionUnit.js";
+
+export { OpDef_CS, ExecutionUnit_CS };
+
+class OpDef_CS extends OpDef {
+    get op() {                          return "CS"; }
+    get shortdesc() {                   return "Compare strings bytewise"; }
+    get opcode() {                      return 64; } // 0040
+    get opcode_legal_max() {            return 79; } // 004F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 12; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * CS: Compare the source string to the destination string.  We stop on the
+ * first difference, leaving its index in the checkpoint register.
+ *
+ * The status bits are set like CB would for the last pair of bytes compared,
+ * so EQ means the strings match.
+ **/
+class ExecutionUnit_CS extends Format12Unit {
+    dest_byte = 0;
+
+    /** @param {number} index */
+    doTheThing(index) {
+        this.last_byte = this.simstate.getByte((this.source_address + index) & 0xFFFF);
+        this.dest_byte = this.simstate.getByte((this.dest_address + index) & 0xFFFF);
+        return this.last_byte == this.dest_byte;
+    }
+
+    updateStringStatusBits() {
+        this.updateEq(this.last_byte, this.dest_byte);
+        this.updateGt(this.last_byte, this.dest_byte, 8);
+    }
+}
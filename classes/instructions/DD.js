@@ -0,0 +1,52 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_DD, ExecutionUnit_DD };
+
+class OpDef_DD extends OpDef {
+    get op() {                          return "DD"; }
+    get shortdesc() {                   return "float64 divide"; }
+    get opcode() {                      return 3904; } // 0F40
+    get opcode_legal_max() {            return 3967; } // 0F7F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 4; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * DD: Divide the double precision accumulator by the source double precision
+ * real.
+ *
+ * Dividing by zero sets OV and leaves the accumulator alone, same as DR.
+ **/
+class ExecutionUnit_DD extends Format6DoubleRealUnit {
+    doTheThing() {
+        if (HexFloat.isZero(this.source_value)) {
+            this.simstate.status_register.resetBit(StatusRegister.CARRY);
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            return;
+        }
+        this.setRealResult(HexFloat.divide(this.getAccumulator(), this.source_value));
+    }
+}
@@ -0,0 +1,65 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format9Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_DIV, ExecutionUnit_DIV };
+
+class OpDef_DIV extends OpDef {
+    get op() {                          return "DIV"; }
+    get shortdesc() {                   return "Integer divide"; }
+    get opcode() {                      return 15360; } // 3C00
+    get opcode_legal_max() {            return 16383; } // 3FFF
+    get arg_start_bit() {               return 6; }
+    get args() {                        return { 'O': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 9; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Ov']; }
+}
+
+class ExecutionUnit_DIV extends Format9Unit {
+    #overflow = false;
+    #quotient = 0;
+    #remainder = 0;
+    doTheThing() {
+        const high_word = this.simstate.getRegisterWord(this.register_num);
+        const low_word = this.simstate.getWord(this.getSecondRegisterAddress());
+
+        // If the divisor isn't bigger than the high word, the quotient won't
+        // fit in 16 bits.  This also catches division by zero.
+        this.#overflow = this.source_value <= high_word;
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (this.#overflow) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            return;
+        }
+
+        const dividend = (high_word * 0x10000) + low_word;
+        this.#quotient = Math.floor(dividend / this.source_value);
+        this.#remainder = dividend % this.source_value;
+    }
+
+    writeResults() {
+        if (this.#overflow) {
+            return false;
+        }
+        this.simstate.setRegisterWord(this.register_num, this.#quotient);
+        this.simstate.setWord(this.getSecondRegisterAddress(), this.#remainder);
+        return true;
+    }
+}
@@ -0,0 +1,77 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_DIVS, ExecutionUnit_DIVS };
+
+class OpDef_DIVS extends OpDef {
+    get op() {                          return "DIVS"; }
+    get shortdesc() {                   return "Divide int32 by int16"; }
+    get opcode() {                      return 384; } // 0180
+    get opcode_legal_max() {            return 447; } // 01BF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'B'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
+}
+
+/**
+ * DIVS: Signed divide of the 32-bit value in R0 and R1 by the source.  The
+ * quotient goes in R0 and the remainder, which takes the sign of the dividend,
+ * goes in R1.  If the quotient won't fit in 16 signed bits, we set Overflow
+ * and leave the registers alone.
+ **/
+class ExecutionUnit_DIVS extends Format6Unit {
+    #overflow = false;
+    #quotient = 0;
+    #remainder = 0;
+    doTheThing() {
+        const high_word = this.simstate.getRegisterWord(0);
+        const low_word = this.simstate.getRegisterWord(1);
+        const dividend = ((high_word << 16) | low_word) | 0;
+        const divisor = this.source_value & 0x8000 ? this.source_value - 0x10000 : this.source_value;
+
+        this.#overflow = true;
+        if (divisor != 0) {
+            this.#quotient = Math.trunc(dividend / divisor);
+            this.#remainder = dividend % divisor;
+            this.#overflow = this.#quotient > 0x7FFF || this.#quotient < -0x8000;
+        }
+
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (this.#overflow) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            return;
+        }
+
+        this.updateEq(this.#quotient, 0);
+        this.updateGt(this.#quotient & 0xFFFF, 0);
+    }
+
+    writeResults() {
+        if (this.#overflow) {
+            return false;
+        }
+        this.simstate.setRegisterWord(0, this.#quotient & 0xFFFF);
+        this.simstate.setRegisterWord(1, this.#remainder & 0xFFFF);
+        return true;
+    }
+}
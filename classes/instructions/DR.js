@@ -0,0 +1,51 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_DR, ExecutionUnit_DR };
+
+class OpDef_DR extends OpDef {
+    get op() {                          return "DR"; }
+    get shortdesc() {                   return "Divide float32"; }
+    get opcode() {                      return 3392; } // 0D40
+    get opcode_legal_max() {            return 3455; } // 0D7F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * DR: Divide the floating point accumulator by the source real.
+ *
+ * Dividing by zero sets OV and leaves the accumulator alone.
+ **/
+class ExecutionUnit_DR extends Format6RealUnit {
+    doTheThing() {
+        if (HexFloat.isZero(this.source_value)) {
+            this.simstate.status_register.resetBit(StatusRegister.CARRY);
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+            return;
+        }
+        this.setRealResult(HexFloat.divide(this.getAccumulator(), this.source_value));
+    }
+}
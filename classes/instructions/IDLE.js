@@ -0,0 +1,42 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_IDLE, ExecutionUnit_IDLE };
+
+class OpDef_IDLE extends OpDef {
+    get op() {                          return "IDLE"; }
+    get shortdesc() {                   return "Idle until interrupt"; }
+    get opcode() {                      return 832; } // 0340
+    get opcode_legal_max() {            return 832; } // 0340
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true, // Sets signal on D0-D2
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 7; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return []; }
+}
+
+/**
+ * IDLE: Wait for an interrupt.  All of the waiting is done by the Flow, which
+ * never actually gets around to executing us.
+ **/
+class ExecutionUnit_IDLE extends ExecutionUnit {
+    execute() {
+        return true;
+    }
+}
@@ -0,0 +1,53 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format16Unit } from "../ExecutionUnit.js";
+
+export { OpDef_INSF, ExecutionUnit_INSF };
+
+class OpDef_INSF extends OpDef {
+    get op() {                          return "INSF"; }
+    get shortdesc() {                   return "Bitwise substring insert"; }
+    get opcode() {                      return 3088; } // 0C10
+    get opcode_legal_max() {            return 3103; } // 0C1F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'width': 4, 'pos': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 16; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * INSF: Insert the rightmost width bits of the source word into the field in
+ * the destination.  The status bits compare those bits to zero.
+ **/
+class ExecutionUnit_INSF extends Format16Unit {
+    /** @returns {'S'|'D'} */
+    get field_operand() { return 'D'; }
+
+    doTheThing() {
+        this.target_value = this.simstate.getWord(this.source_address) & ((2 ** this.width) - 1);
+        this.updateEq(this.target_value, 0);
+        this.updateGt(this.target_value, 0);
+    }
+
+    writeResults() {
+        this.writeField(this.dest_address, this.target_value);
+        return true;
+    }
+}
@@ -0,0 +1,40 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+
+export { OpDef_INV, ExecutionUnit_INV };
+
+class OpDef_INV extends OpDef {
+    get op() {                          return "INV"; }
+    get shortdesc() {                   return "Logic NOT a word"; }
+    get opcode() {                      return 1344; } // 0540
+    get opcode_legal_max() {            return 1407; } // 057F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+class ExecutionUnit_INV extends Format6Unit {
+    doTheThing() {
+        this.target_value = ~this.source_value & 0xFFFF;
+        this.updateEq(this.target_value, 0);
+        this.updateGt(this.target_value, 0);
+    }
+}
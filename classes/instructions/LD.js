@@ -0,0 +1,45 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_LD, ExecutionUnit_LD };
+
+class OpDef_LD extends OpDef {
+    get op() {                          return "LD"; }
+    get shortdesc() {                   return "Load float64 into R0-3"; }
+    get opcode() {                      return 3968; } // 0F80
+    get opcode_legal_max() {            return 4031; } // 0FBF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 4; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * LD: Load the double precision accumulator with the source double precision
+ * real, normalizing it on the way in.
+ **/
+class ExecutionUnit_LD extends Format6DoubleRealUnit {
+    doTheThing() {
+        this.result_words = HexFloat.pack(this.source_value, this.real_words).words;
+        this.updateRealCompareBits(this.result_words);
+    }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format4Unit } from "../ExecutionUnit.js";
+
+export { OpDef_LDCR, ExecutionUnit_LDCR };
+
+class OpDef_LDCR extends OpDef {
+    get op() {                          return "LDCR"; }
+    get shortdesc() {                   return "Send bits from a word to the CRU"; }
+    get opcode() {                      return 12288; } // 3000
+    get opcode_legal_max() {            return 13311; } // 33FF
+    get arg_start_bit() {               return 6; }
+    get args() {                        return { 'num': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 4; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+}
+
+class ExecutionUnit_LDCR extends Format4Unit {
+    doTheThing() {
+        const value = this.getOperandValue(this.source_address, this.operand_size);
+        this.updateTransferStatusBits(value);
+
+        const base = this.getCruBitAddress();
+        for (let i = 0; i < this.count; i++) {
+            this.simstate.cru_bus.writeBit(base + i, (value >> i) & 1);
+        }
+    }
+}
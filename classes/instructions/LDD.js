@@ -0,0 +1,38 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6LongDistanceUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LDD, ExecutionUnit_LDD };
+
+class OpDef_LDD extends OpDef {
+    get op() {                          return "LDD"; }
+    get shortdesc() {                   return "Next instruction dest gets mapped mem"; }
+    get opcode() {                      return 1984; } // 07C0
+    get opcode_legal_max() {            return 2047; } // 07FF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group A (Memory mapping instructions, requires hardware.)
+            '990/10'  :  true,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'A'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_LDD extends Format6LongDistanceUnit {
+    /** @type {'S'|'D'} */
+    long_distance_field = 'D';
+}
@@ -0,0 +1,38 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6LongDistanceUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LDS, ExecutionUnit_LDS };
+
+class OpDef_LDS extends OpDef {
+    get op() {                          return "LDS"; }
+    get shortdesc() {                   return "Next instruction src gets mapped mem"; }
+    get opcode() {                      return 1920; } // 0780
+    get opcode_legal_max() {            return 1983; } // 07BF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group A (Memory mapping instructions, requires hardware.)
+            '990/10'  :  true,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'A'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_LDS extends Format6LongDistanceUnit {
+    /** @type {'S'|'D'} */
+    long_distance_field = 'S';
+}
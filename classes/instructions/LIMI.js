@@ -0,0 +1,53 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LIMI, ExecutionUnit_LIMI };
+
+class OpDef_LIMI extends OpDef {
+    get op() {                          return "LIMI"; }
+    get shortdesc() {                   return "Load interrupt mask immediate"; }
+    get opcode() {                      return 768; } // 0300
+    get opcode_legal_max() {            return 783; } // 030F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 8; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return ['IntMask']; }
+
+    // There's no register here, only the immediate word.
+    get asm_param_order() {             return ['_immediate_word_']; }
+}
+
+class ExecutionUnit_LIMI extends ExecutionUnit {
+    #new_mask = 0;
+    fetchOperands() {
+        // Only the low four bits of the word matter.
+        this.#new_mask = this.inst.getImmediateValue() & 0xF;
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.status_register.setInterruptMask(this.#new_mask);
+        return true;
+    }
+}
@@ -0,0 +1,66 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+import { MemoryMapper } from "../MemoryMapper.js";
+
+export { OpDef_LMF, ExecutionUnit_LMF };
+
+class OpDef_LMF extends OpDef {
+    get op() {                          return "LMF"; }
+    get shortdesc() {                   return "Map memory"; }
+    get opcode() {                      return 800; } // 0320
+    get opcode_legal_max() {            return 831; } // 033F
+    get arg_start_bit() {               return 11; }
+    get args() {                        return { 'm': 1, 'reg': 4 }; }
+    get platforms() {
+        return { // Platform group A (Memory mapping instructions, requires hardware.)
+            '990/10'  :  true,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  false,
+            '99000'   :  false,
+            '99110A'  :  false,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'A'; }
+    get format() {                      return 10; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return []; }
+}
+
+/**
+ * Load map file 0 or 1 from the six words that the register points at.  Only
+ * exists when there's a memory mapper.  See MemoryMapper.
+ **/
+class ExecutionUnit_LMF extends ExecutionUnit {
+    #map_file = 0;
+    /** @type {number[]} */
+    #map_file_words = [];
+
+    /** @param {import("../SimulationState.js").SimulationState} simstate */
+    static isAvailable(simstate) { return simstate.mapper_installed; }
+
+    fetchOperands() {
+        this.#map_file = this.inst.getParam('m');
+        const address = this.simstate.getRegisterWord(this.inst.getParam('reg'));
+        this.#map_file_words = [];
+        for (let i = 0; i < MemoryMapper.MAP_FILE_WORDS; i++) {
+            this.#map_file_words.push(this.simstate.getWord((address + (i * 2)) & 0xFFFF));
+        }
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.memory_mapper.loadMapFile(this.#map_file, this.#map_file_words);
+        return true;
+    }
+}
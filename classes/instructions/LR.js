@@ -0,0 +1,45 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_LR, ExecutionUnit_LR };
+
+class OpDef_LR extends OpDef {
+    get op() {                          return "LR"; }
+    get shortdesc() {                   return "Load float32 into R0-1"; }
+    get opcode() {                      return 3456; } // 0D80
+    get opcode_legal_max() {            return 3519; } // 0DBF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * LR: Load the floating point accumulator with the source real, normalizing
+ * it on the way in.
+ **/
+class ExecutionUnit_LR extends Format6RealUnit {
+    doTheThing() {
+        this.result_words = HexFloat.pack(this.source_value, this.real_words).words;
+        this.updateRealCompareBits(this.result_words);
+    }
+}
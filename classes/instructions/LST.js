@@ -0,0 +1,50 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LST, ExecutionUnit_LST };
+
+class OpDef_LST extends OpDef {
+    get op() {                          return "LST"; }
+    get shortdesc() {                   return "Load Reg into Status Register"; }
+    get opcode() {                      return 128; } // 0080
+    get opcode_legal_max() {            return 143; } // 008F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true, // Priv bit=0 to not skip ST 6,7,8,9,11+IM
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'B'; }
+    get format() {                      return 18; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'MM', 'Oint', 'WCS', 'IntMask']; }
+}
+
+class ExecutionUnit_LST extends ExecutionUnit {
+    #new_st = 0;
+    fetchOperands() {
+        this.#new_st = this.simstate.getRegisterWord(this.inst.getParam('reg'));
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.loadStatusWord(this.#new_st);
+        return true;
+    }
+}
@@ -0,0 +1,55 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format11BitScanUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LTO, ExecutionUnit_LTO };
+
+class OpDef_LTO extends OpDef {
+    get op() {                          return "LTO"; }
+    get shortdesc() {                   return "Find the 1 nearest to the left bytewise"; }
+    get opcode() {                      return 31; } // 001F
+    get opcode_legal_max() {            return 31; } // 001F
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 11; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+/**
+ * LTO: Find the leftmost one in the source operand, and add its bit number to
+ * the destination word.  If there isn't one, EQ is set and the destination is
+ * left alone.
+ **/
+class ExecutionUnit_LTO extends Format11BitScanUnit {
+    execute() {
+        let found = -1;
+        for (let i = 0; i < this.bit_count; i++) {
+            if (this.isSourceBitSet(i)) {
+                found = i;
+                break;
+            }
+        }
+        if (found >= 0) {
+            this.target_value = (this.dest_value + found) & 0xFFFF;
+        }
+        this.updateEq(found, -1);
+        return true;
+    }
+}
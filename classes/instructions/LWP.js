@@ -0,0 +1,50 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LWP, ExecutionUnit_LWP };
+
+class OpDef_LWP extends OpDef {
+    get op() {                          return "LWP"; }
+    get shortdesc() {                   return "Load Reg into Workspace Register"; }
+    get opcode() {                      return 144; } // 0090
+    get opcode_legal_max() {            return 159; } // 009F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'B'; }
+    get format() {                      return 18; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_LWP extends ExecutionUnit {
+    #new_wp = 0;
+    fetchOperands() {
+        this.#new_wp = this.simstate.getRegisterWord(this.inst.getParam('reg'));
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.workspace_pointer = this.#new_wp;
+        return true;
+    }
+}
@@ -0,0 +1,52 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_LWPI, ExecutionUnit_LWPI };
+
+class OpDef_LWPI extends OpDef {
+    get op() {                          return "LWPI"; }
+    get shortdesc() {                   return "Load Immediate into Workplace Register"; }
+    get opcode() {                      return 736; } // 02E0
+    get opcode_legal_max() {            return 751; } // 02EF
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 8; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+
+    // There's no register here, only the immediate word.
+    get asm_param_order() {             return ['_immediate_word_']; }
+}
+
+class ExecutionUnit_LWPI extends ExecutionUnit {
+    #new_wp = 0;
+    fetchOperands() {
+        this.#new_wp = this.inst.getImmediateValue();
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.workspace_pointer = this.#new_wp;
+        return true;
+    }
+}
@@ -0,0 +1,45 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format12Unit } from "../ExecutionUnit.js";
+
+export { OpDef_MOVS, ExecutionUnit_MOVS };
+
+class OpDef_MOVS extends OpDef {
+    get op() {                          return "MOVS"; }
+    get shortdesc() {                   return "Copy string bytewise"; }
+    get opcode() {                      return 96; } // 0060
+    get opcode_legal_max() {            return 111; } // 006F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 12; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * MOVS: Copy the source string to the destination, first byte first.
+ **/
+class ExecutionUnit_MOVS extends Format12Unit {
+    /** @param {number} index */
+    doTheThing(index) {
+        this.last_byte = this.simstate.getByte((this.source_address + index) & 0xFFFF);
+        this.simstate.setByte((this.dest_address + index) & 0xFFFF, this.last_byte);
+        return true;
+    }
+}
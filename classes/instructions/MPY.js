@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format9Unit } from "../ExecutionUnit.js";
+
+export { OpDef_MPY, ExecutionUnit_MPY };
+
+class OpDef_MPY extends OpDef {
+    get op() {                          return "MPY"; }
+    get shortdesc() {                   return "Multiply uint16 into uint32"; }
+    get opcode() {                      return 14336; } // 3800
+    get opcode_legal_max() {            return 15359; } // 3BFF
+    get arg_start_bit() {               return 6; }
+    get args() {                        return { 'O': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 9; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_MPY extends Format9Unit {
+    #high_word = 0;
+    #low_word = 0;
+    doTheThing() {
+        // 16 by 16 is at most 32 bits, which is still safely inside a double.
+        const product = this.source_value * this.simstate.getRegisterWord(this.register_num);
+        this.#high_word = Math.floor(product / 0x10000) & 0xFFFF;
+        this.#low_word = product & 0xFFFF;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(this.register_num, this.#high_word);
+        this.simstate.setWord(this.getSecondRegisterAddress(), this.#low_word);
+        return true;
+    }
+}
@@ -0,0 +1,60 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+
+export { OpDef_MPYS, ExecutionUnit_MPYS };
+
+class OpDef_MPYS extends OpDef {
+    get op() {                          return "MPYS"; }
+    get shortdesc() {                   return "Multiply int16 into int32"; }
+    get opcode() {                      return 448; } // 01C0
+    get opcode_legal_max() {            return 511; } // 01FF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group B (990/12 features added to 9995 and later generations, including the 990/10A)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get platform_group() {              return 'B'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * MPYS: Signed multiply of R0 by the source, with the 32-bit result in R0 and R1.
+ **/
+class ExecutionUnit_MPYS extends Format6Unit {
+    #high_word = 0;
+    #low_word = 0;
+    doTheThing() {
+        const reg_value = this.simstate.getRegisterWord(0);
+        const left = reg_value & 0x8000 ? reg_value - 0x10000 : reg_value;
+        const right = this.source_value & 0x8000 ? this.source_value - 0x10000 : this.source_value;
+        // The product always fits in 32 signed bits, so >>> 0 gets us the
+        // unsigned form of it.
+        const product = (left * right) >>> 0;
+        this.#high_word = product >>> 16;
+        this.#low_word = product & 0xFFFF;
+
+        this.updateEq(product, 0);
+        this.updateGt(product, 0, 32);
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(0, this.#high_word);
+        this.simstate.setRegisterWord(1, this.#low_word);
+        return true;
+    }
+}
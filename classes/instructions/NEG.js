@@ -0,0 +1,47 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_NEG, ExecutionUnit_NEG };
+
+class OpDef_NEG extends OpDef {
+    get op() {                          return "NEG"; }
+    get shortdesc() {                   return "Negate word"; }
+    get opcode() {                      return 1280; } // 0500
+    get opcode_legal_max() {            return 1343; } // 053F
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Ov']; }
+}
+
+class ExecutionUnit_NEG extends Format6Unit {
+    doTheThing() {
+        this.target_value = (0x10000 - this.source_value) & 0xFFFF;
+        this.updateEq(this.target_value, 0);
+        this.updateGt(this.target_value, 0);
+
+        // The most negative number has no positive counterpart.
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (this.source_value == 0x8000) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+    }
+}
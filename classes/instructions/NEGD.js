@@ -0,0 +1,46 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_NEGD, ExecutionUnit_NEGD };
+
+class OpDef_NEGD extends OpDef {
+    get op() {                          return "NEGD"; }
+    get shortdesc() {                   return "Negate float64"; }
+    get opcode() {                      return 3075; } // 0C03
+    get opcode_legal_max() {            return 3075; } // 0C03
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * NEGD: Negate the double precision accumulator.
+ **/
+class ExecutionUnit_NEGD extends DoubleRealUnit {
+    execute() {
+        const value = HexFloat.negate(this.getAccumulator());
+        this.result_words = HexFloat.pack(value, this.real_words).words;
+        this.updateRealCompareBits(this.result_words);
+        return true;
+    }
+}
@@ -0,0 +1,46 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { RealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_NEGR, ExecutionUnit_NEGR };
+
+class OpDef_NEGR extends OpDef {
+    get op() {                          return "NEGR"; }
+    get shortdesc() {                   return "Negate float32"; }
+    get opcode() {                      return 3074; } // 0C02
+    get opcode_legal_max() {            return 3074; } // 0C02
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 7; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * NEGR: Negate the floating point accumulator.
+ **/
+class ExecutionUnit_NEGR extends RealUnit {
+    execute() {
+        const value = HexFloat.negate(this.getAccumulator());
+        this.result_words = HexFloat.pack(value, this.real_words).words;
+        this.updateRealCompareBits(this.result_words);
+        return true;
+    }
+}
@@ -0,0 +1,66 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format12Unit } from "../ExecutionUnit.js";
+
+export { OpDef_PSHS, ExecutionUnit_PSHS };
+
+class OpDef_PSHS extends OpDef {
+    get op() {                          return "PSHS"; }
+    get shortdesc() {                   return "Push byte string to stack"; }
+    get opcode() {                      return 240; } // 00F0
+    get opcode_legal_max() {            return 255; } // 00FF
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 12; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * PSHS: Push the source string onto the stack.  The destination is the stack
+ * pointer, and the stack grows down, so the string ends up just below where
+ * the pointer was and the pointer ends up pointing at its first byte.
+ *
+ * The pointer only moves once the whole string is there.
+ **/
+class ExecutionUnit_PSHS extends Format12Unit {
+    dest_size = 2;
+    stack_pointer = 0;
+    fetchOperands() {
+        super.fetchOperands();
+        this.stack_pointer = this.simstate.getWord(this.dest_address);
+        return true;
+    }
+
+    /** @param {number} index */
+    doTheThing(index) {
+        const top = this.stack_pointer - this.byte_count;
+        this.last_byte = this.simstate.getByte((this.source_address + index) & 0xFFFF);
+        this.simstate.setByte((top + index) & 0xFFFF, this.last_byte);
+        return true;
+    }
+
+    writeResults() {
+        super.writeResults();
+        if (!this.suspended) {
+            this.simstate.setWord(this.dest_address, (this.stack_pointer - this.byte_count) & 0xFFFF);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,55 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format11BitScanUnit } from "../ExecutionUnit.js";
+
+export { OpDef_RTO, ExecutionUnit_RTO };
+
+class OpDef_RTO extends OpDef {
+    get op() {                          return "RTO"; }
+    get shortdesc() {                   return "Find the 1 nearest to the right of a bigbits"; }
+    get opcode() {                      return 30; } // 001E
+    get opcode_legal_max() {            return 30; } // 001E
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 11; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+/**
+ * RTO: Find the rightmost one in the source operand, and add its bit number to
+ * the destination word.  Bits still count from the left.  If there isn't one,
+ * EQ is set and the destination is left alone.
+ **/
+class ExecutionUnit_RTO extends Format11BitScanUnit {
+    execute() {
+        let found = -1;
+        for (let i = this.bit_count - 1; i >= 0; i--) {
+            if (this.isSourceBitSet(i)) {
+                found = i;
+                break;
+            }
+        }
+        if (found >= 0) {
+            this.target_value = (this.dest_value + found) & 0xFFFF;
+        }
+        this.updateEq(found, -1);
+        return true;
+    }
+}
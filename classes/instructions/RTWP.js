@@ -0,0 +1,62 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_RTWP, ExecutionUnit_RTWP };
+
+class OpDef_RTWP extends OpDef {
+    get op() {                          return "RTWP"; }
+    get shortdesc() {                   return "Return with Workspace Pointer"; }
+    get opcode() {                      return 896; } // 0380
+    get opcode_legal_max() {            return 900; } // 0384
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { };  }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Priv bit=0 to not skip ST 6-11
+            '9900'    :  true,
+            '990/4'   :  true, // Skips ST bits 6-11
+            '990/12'  :  true, // Priv=0? 0-8+IM, otherwise 0-5+10
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 7; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par', 'XOP', 'Priv', 'Mf', 'IntMask']; }
+}
+
+/**
+ * RTWP: Return from a BLWP, XOP, or interrupt by restoring the WP, PC, and ST
+ * that were stashed in R13, R14, and R15.
+ *
+ * The 99000 has two extra encodings used to get out of the macrostore.  0x0382
+ * comes back from an opcode the macrostore didn't recognize, and 0x0384 comes
+ * back without checking for interrupts first.  They all restore the same way,
+ * the differences are up to the Flow.
+ **/
+class ExecutionUnit_RTWP extends ExecutionUnit {
+    #old_wp = 0;
+    #old_pc = 0;
+    #old_st = 0;
+
+    fetchOperands() {
+        this.#old_wp = this.simstate.getRegisterWord(13);
+        this.#old_pc = this.simstate.getRegisterWord(14);
+        this.#old_st = this.simstate.getRegisterWord(15);
+        return true;
+    }
+
+    execute() {
+        this.simstate.workspace_pointer = this.#old_wp;
+        this.loadStatusWord(this.#old_st);
+        this.branchTo(this.#old_pc);
+        return true;
+    }
+
+}
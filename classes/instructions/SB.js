@@ -0,0 +1,41 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format1ByteUnit } from "../ExecutionUnit.js";
+
+export { OpDef_SB, ExecutionUnit_SB };
+
+class OpDef_SB extends OpDef {
+    get op() {                          return "SB"; }
+    get shortdesc() {                   return "Subtract int8"; }
+    get opcode() {                      return 28672; } // 7000
+    get opcode_legal_max() {            return 32767; } // 7FFF
+    get arg_start_bit() {               return 4; }
+    get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 1; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov', 'Par']; }
+}
+
+class ExecutionUnit_SB extends Format1ByteUnit {
+    doTheThing() {
+        // "Subtract a copy of the source operand from the destination operand
+        // and place the difference in the destination operand."  Bytes only.
+        this.target_value = this.subtractAndUpdateCarryAndOverflow(this.dest_value, this.source_value, 8);
+        this.updateByteStatusBits(this.target_value);
+    }
+}
@@ -0,0 +1,38 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format2CruUnit } from "../ExecutionUnit.js";
+
+export { OpDef_SBO, ExecutionUnit_SBO };
+
+class OpDef_SBO extends OpDef {
+    get op() {                          return "SBO"; }
+    get shortdesc() {                   return "Set given CRU bit to 1"; }
+    get opcode() {                      return 7424; } // 1D00
+    get opcode_legal_max() {            return 7679; } // 1DFF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'disp': 8 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 2; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_SBO extends Format2CruUnit {
+    doTheThing() {
+        this.simstate.cru_bus.writeBit(this.bit_address, 1);
+    }
+}
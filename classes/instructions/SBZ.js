@@ -0,0 +1,38 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format2CruUnit } from "../ExecutionUnit.js";
+
+export { OpDef_SBZ, ExecutionUnit_SBZ };
+
+class OpDef_SBZ extends OpDef {
+    get op() {                          return "SBZ"; }
+    get shortdesc() {                   return "Set given CRU bit to 0"; }
+    get opcode() {                      return 7680; } // 1E00
+    get opcode_legal_max() {            return 7935; } // 1EFF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'disp': 8 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 2; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_SBZ extends Format2CruUnit {
+    doTheThing() {
+        this.simstate.cru_bus.writeBit(this.bit_address, 0);
+    }
+}
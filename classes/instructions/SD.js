@@ -0,0 +1,44 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6DoubleRealUnit } from "../ExecutionUnit.js";
+import { HexFloat } from "../HexFloat.js";
+
+export { OpDef_SD, ExecutionUnit_SD };
+
+class OpDef_SD extends OpDef {
+    get op() {                          return "SD"; }
+    get shortdesc() {                   return "Subtract float64"; }
+    get opcode() {                      return 3776; } // 0EC0
+    get opcode_legal_max() {            return 3839; } // 0EFF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 4; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+/**
+ * SD: Subtract the source double precision real from the double precision
+ * accumulator.
+ **/
+class ExecutionUnit_SD extends Format6DoubleRealUnit {
+    doTheThing() {
+        this.setRealResult(HexFloat.subtract(this.getAccumulator(), this.source_value));
+    }
+}
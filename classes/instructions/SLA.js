@@ -0,0 +1,55 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format5Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_SLA, ExecutionUnit_SLA };
+
+class OpDef_SLA extends OpDef {
+    get op() {                          return "SLA"; }
+    get shortdesc() {                   return "Shift left, fill with zero"; }
+    get opcode() {                      return 2560; } // 0A00
+    get opcode_legal_max() {            return 2815; } // 0AFF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'count': 4, 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 5; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car', 'Ov']; }
+}
+
+class ExecutionUnit_SLA extends Format5Unit {
+    doTheThing() {
+        // Overflow is set if the sign bit changes at any point along the way.
+        let overflow = false;
+        let value = this.source_value;
+        for (let i = 0; i < this.count; i++) {
+            this.last_bit_out = (value >> 15) & 1;
+            const shifted = (value << 1) & 0xFFFF;
+            if ((shifted ^ value) & 0x8000) {
+                overflow = true;
+            }
+            value = shifted;
+        }
+        this.target_value = value;
+
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (overflow) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+    }
+}
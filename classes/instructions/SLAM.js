@@ -0,0 +1,63 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format13Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_SLAM, ExecutionUnit_SLAM };
+
+class OpDef_SLAM extends OpDef {
+    get op() {                          return "SLAM"; }
+    get shortdesc() {                   return "Shift bigbits left, fill with zero"; }
+    get opcode() {                      return 29; } // 001D
+    get opcode_legal_max() {            return 29; } // 001D
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 's_len': 4, 'nu': 2, 'count': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'C'; }
+    get format() {                      return 13; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
+}
+
+/**
+ * SLAM: Shift the multiple precision operand left, filling with zeros.
+ *
+ * Like SLA, Overflow is set if the sign bit changes at any point along the way.
+ **/
+class ExecutionUnit_SLAM extends Format13Unit {
+    doTheThing() {
+        const bits = BigInt(this.byte_count * 8);
+        const mask = (1n << bits) - 1n;
+        const sign_shift = bits - 1n;
+        let overflow = false;
+        let value = this.source_value;
+        for (let i = 0; i < this.count; i++) {
+            this.last_bit_out = (value >> sign_shift) & 1n;
+            const shifted = (value << 1n) & mask;
+            if (((shifted ^ value) >> sign_shift) & 1n) {
+                overflow = true;
+            }
+            value = shifted;
+        }
+        this.target_value = value;
+
+        this.simstate.status_register.resetBit(StatusRegister.OVERFLOW);
+        if (overflow) {
+            this.simstate.status_register.setBit(StatusRegister.OVERFLOW);
+        }
+    }
+}
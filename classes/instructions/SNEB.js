@@ -0,0 +1,61 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format12Unit } from "../ExecutionUnit.js";
+
+export { OpDef_SNEB, ExecutionUnit_SNEB };
+
+class OpDef_SNEB extends OpDef {
+    get op() {                          return "SNEB"; }
+    get shortdesc() {                   return "Search for not equal byte in a string"; }
+    get opcode() {                      return 3600; } // 0E10
+    get opcode_legal_max() {            return 3615; } // 0E1F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 12; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * SNEB: Search the source string for anything other than the destination
+ * byte.  We stop on the first one, leaving its index in the checkpoint register.
+ *
+ * The status bits are set like CB would for the last byte we looked at and
+ * the destination byte, so EQ means the whole string was that byte.
+ **/
+class ExecutionUnit_SNEB extends Format12Unit {
+    dest_size = 1;
+    search_byte = 0;
+    fetchOperands() {
+        super.fetchOperands();
+        this.search_byte = this.simstate.getByte(this.dest_address);
+        return true;
+    }
+
+    /** @param {number} index */
+    doTheThing(index) {
+        this.last_byte = this.simstate.getByte((this.source_address + index) & 0xFFFF);
+        return this.last_byte == this.search_byte;
+    }
+
+    updateStringStatusBits() {
+        this.updateEq(this.last_byte, this.search_byte);
+        this.updateGt(this.last_byte, this.search_byte, 8);
+    }
+}
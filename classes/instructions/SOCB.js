@@ -0,0 +1,40 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format1ByteUnit } from "../ExecutionUnit.js";
+
+export { OpDef_SOCB, ExecutionUnit_SOCB };
+
+class OpDef_SOCB extends OpDef {
+    get op() {                          return "SOCB"; }
+    get shortdesc() {                   return "Logic OR: Copy 1s between bytes"; }
+    get opcode() {                      return 61440; } // F000
+    get opcode_legal_max() {            return 65535; } // FFFF
+    get arg_start_bit() {               return 4; }
+    get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 1; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+}
+
+class ExecutionUnit_SOCB extends Format1ByteUnit {
+    doTheThing() {
+        // "Set to ones corresponding" is a bitwise OR by another name.
+        this.target_value = this.dest_value | this.source_value;
+        this.updateByteStatusBits(this.target_value);
+    }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format5Unit } from "../ExecutionUnit.js";
+
+export { OpDef_SRA, ExecutionUnit_SRA };
+
+class OpDef_SRA extends OpDef {
+    get op() {                          return "SRA"; }
+    get shortdesc() {                   return "Shift right filling with the sign bit"; }
+    get opcode() {                      return 2048; } // 0800
+    get opcode_legal_max() {            return 2303; } // 08FF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'count': 4, 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 5; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
+}
+
+class ExecutionUnit_SRA extends Format5Unit {
+    doTheThing() {
+        // The sign bit gets copied in from the left.
+        let value = this.source_value;
+        for (let i = 0; i < this.count; i++) {
+            this.last_bit_out = value & 1;
+            value = (value >> 1) | (value & 0x8000);
+        }
+        this.target_value = value;
+    }
+}
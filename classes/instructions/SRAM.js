@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format13Unit } from "../ExecutionUnit.js";
+
+export { OpDef_SRAM, ExecutionUnit_SRAM };
+
+class OpDef_SRAM extends OpDef {
+    get op() {                          return "SRAM"; }
+    get shortdesc() {                   return "Shift right filling with the sign bit, bigint"; }
+    get opcode() {                      return 28; } // 001C
+    get opcode_legal_max() {            return 28; } // 001C
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 's_len': 4, 'nu': 2, 'count': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'C'; }
+    get format() {                      return 13; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
+}
+
+/**
+ * SRAM: Shift the multiple precision operand right, copying the sign bit in
+ * from the left.
+ **/
+class ExecutionUnit_SRAM extends Format13Unit {
+    doTheThing() {
+        const sign_mask = 1n << BigInt((this.byte_count * 8) - 1);
+        let value = this.source_value;
+        for (let i = 0; i < this.count; i++) {
+            this.last_bit_out = value & 1n;
+            value = (value >> 1n) | (value & sign_mask);
+        }
+        this.target_value = value;
+    }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format5Unit } from "../ExecutionUnit.js";
+
+export { OpDef_SRC, ExecutionUnit_SRC };
+
+class OpDef_SRC extends OpDef {
+    get op() {                          return "SRC"; }
+    get shortdesc() {                   return "Shift right, circular"; }
+    get opcode() {                      return 2816; } // 0B00
+    get opcode_legal_max() {            return 3071; } // 0BFF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'count': 4, 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 5; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
+}
+
+class ExecutionUnit_SRC extends Format5Unit {
+    doTheThing() {
+        // Whatever falls off the right comes back in on the left.
+        let value = this.source_value;
+        for (let i = 0; i < this.count; i++) {
+            this.last_bit_out = value & 1;
+            value = (value >> 1) | (this.last_bit_out << 15);
+        }
+        this.target_value = value;
+    }
+}
@@ -0,0 +1,43 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format5Unit } from "../ExecutionUnit.js";
+
+export { OpDef_SRL, ExecutionUnit_SRL };
+
+class OpDef_SRL extends OpDef {
+    get op() {                          return "SRL"; }
+    get shortdesc() {                   return "Shift right filling with zero"; }
+    get opcode() {                      return 2304; } // 0900
+    get opcode_legal_max() {            return 2559; } // 09FF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'count': 4, 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 5; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Car']; }
+}
+
+class ExecutionUnit_SRL extends Format5Unit {
+    doTheThing() {
+        let value = this.source_value;
+        for (let i = 0; i < this.count; i++) {
+            this.last_bit_out = value & 1;
+            value >>= 1;
+        }
+        this.target_value = value;
+    }
+}
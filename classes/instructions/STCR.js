@@ -0,0 +1,51 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format4Unit } from "../ExecutionUnit.js";
+
+export { OpDef_STCR, ExecutionUnit_STCR };
+
+class OpDef_STCR extends OpDef {
+    get op() {                          return "STCR"; }
+    get shortdesc() {                   return "Read up to 16 bits from the CRU"; }
+    get opcode() {                      return 13312; } // 3400
+    get opcode_legal_max() {            return 14335; } // 37FF
+    get arg_start_bit() {               return 6; }
+    get args() {                        return { 'num': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 4; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+}
+
+class ExecutionUnit_STCR extends Format4Unit {
+    #target_value = 0;
+    doTheThing() {
+        // Bits we don't read are zeroed.
+        const base = this.getCruBitAddress();
+        let value = 0;
+        for (let i = 0; i < this.count; i++) {
+            value |= this.simstate.cru_bus.readBit(base + i) << i;
+        }
+        this.#target_value = value;
+        this.updateTransferStatusBits(value);
+    }
+
+    writeResults() {
+        this.setOperandValue(this.source_address, this.#target_value, this.operand_size);
+        return true;
+    }
+}
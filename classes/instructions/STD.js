@@ -0,0 +1,54 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6DoubleRealUnit } from "../ExecutionUnit.js";
+
+export { OpDef_STD, ExecutionUnit_STD };
+
+class OpDef_STD extends OpDef {
+    get op() {                          return "STD"; }
+    get shortdesc() {                   return "Store float64"; }
+    get opcode() {                      return 4032; } // 0FC0
+    get opcode_legal_max() {            return 4095; } // 0FFF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F64 (990/12-exclusive 64-bit floating point instructions; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F64'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 4; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * STD: Store the double precision accumulator at the source address, as-is.
+ **/
+class ExecutionUnit_STD extends Format6DoubleRealUnit {
+    /** @type {number[]} */
+    #words = [];
+    doTheThing() {
+        for (let i = 0; i < this.real_words; i++) {
+            this.#words.push(this.simstate.getRegisterWord(i));
+        }
+        this.updateRealCompareBits(this.#words);
+    }
+
+    writeResults() {
+        for (let i = 0; i < this.#words.length; i++) {
+            this.simstate.setWord((this.source_address + (i * 2)) & 0xFFFF, this.#words[i]);
+        }
+        return true;
+    }
+}
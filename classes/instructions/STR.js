@@ -0,0 +1,54 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6RealUnit } from "../ExecutionUnit.js";
+
+export { OpDef_STR, ExecutionUnit_STR };
+
+class OpDef_STR extends OpDef {
+    get op() {                          return "STR"; }
+    get shortdesc() {                   return "Store float32"; }
+    get opcode() {                      return 3520; } // 0DC0
+    get opcode_legal_max() {            return 3583; } // 0DFF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group F32 (990/12-exclusive 32-bit floating point instructions added to 99110A as internal MID; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  false, // 99110A only
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'F32'; }
+    get format() {                      return 6; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * STR: Store the floating point accumulator at the source address, as-is.
+ **/
+class ExecutionUnit_STR extends Format6RealUnit {
+    /** @type {number[]} */
+    #words = [];
+    doTheThing() {
+        for (let i = 0; i < this.real_words; i++) {
+            this.#words.push(this.simstate.getRegisterWord(i));
+        }
+        this.updateRealCompareBits(this.#words);
+    }
+
+    writeResults() {
+        for (let i = 0; i < this.#words.length; i++) {
+            this.simstate.setWord((this.source_address + (i * 2)) & 0xFFFF, this.#words[i]);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_STST, ExecutionUnit_STST };
+
+class OpDef_STST extends OpDef {
+    get op() {                          return "STST"; }
+    get shortdesc() {                   return "Store Status Register"; }
+    get opcode() {                      return 704; } // 02C0
+    get opcode_legal_max() {            return 719; } // 02CF
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 18; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_STST extends ExecutionUnit {
+    #register_num = 0;
+    fetchOperands() {
+        this.#register_num = this.inst.getParam('reg');
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(this.#register_num, this.simstate.status_register.getWord());
+        return true;
+    }
+}
@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { ExecutionUnit } from "../ExecutionUnit.js";
+
+export { OpDef_STWP, ExecutionUnit_STWP };
+
+class OpDef_STWP extends OpDef {
+    get op() {                          return "STWP"; }
+    get shortdesc() {                   return "Store Workspace Pointer"; }
+    get opcode() {                      return 672; } // 02A0
+    get opcode_legal_max() {            return 687; } // 02AF
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'reg': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 18; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+class ExecutionUnit_STWP extends ExecutionUnit {
+    #register_num = 0;
+    fetchOperands() {
+        this.#register_num = this.inst.getParam('reg');
+        return true;
+    }
+
+    execute() {
+        return true;
+    }
+
+    writeResults() {
+        this.simstate.setRegisterWord(this.#register_num, this.simstate.workspace_pointer);
+        return true;
+    }
+}
@@ -0,0 +1,40 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format1ByteUnit } from "../ExecutionUnit.js";
+
+export { OpDef_SZCB, ExecutionUnit_SZCB };
+
+class OpDef_SZCB extends OpDef {
+    get op() {                          return "SZCB"; }
+    get shortdesc() {                   return "Logic AND masked bytes"; }
+    get opcode() {                      return 20480; } // 5000
+    get opcode_legal_max() {            return 24575; } // 5FFF
+    get arg_start_bit() {               return 4; }
+    get args() {                        return { 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 1; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq', 'Par']; }
+}
+
+class ExecutionUnit_SZCB extends Format1ByteUnit {
+    doTheThing() {
+        // "Set to zeros corresponding" clears every bit set in the source.
+        this.target_value = this.dest_value & ~this.source_value & 0xFF;
+        this.updateByteStatusBits(this.target_value);
+    }
+}
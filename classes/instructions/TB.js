@@ -0,0 +1,42 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format2CruUnit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_TB, ExecutionUnit_TB };
+
+class OpDef_TB extends OpDef {
+    get op() {                          return "TB"; }
+    get shortdesc() {                   return "Test bit"; }
+    get opcode() {                      return 7936; } // 1F00
+    get opcode_legal_max() {            return 8191; } // 1FFF
+    get arg_start_bit() {               return 8; }
+    get args() {                        return { 'disp': 8 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // Priv=0 req'd for addr > 0x0E00
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 2; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return true; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+class ExecutionUnit_TB extends Format2CruUnit {
+    doTheThing() {
+        this.simstate.status_register.resetBit(StatusRegister.EQUAL);
+        if (this.simstate.cru_bus.readBit(this.bit_address)) {
+            this.simstate.status_register.setBit(StatusRegister.EQUAL);
+        }
+    }
+}
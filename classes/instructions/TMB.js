@@ -0,0 +1,46 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format14Unit } from "../ExecutionUnit.js";
+
+export { OpDef_TMB, ExecutionUnit_TMB };
+
+class OpDef_TMB extends OpDef {
+    get op() {                          return "TMB"; }
+    get shortdesc() {                   return "Test bit in word"; }
+    get opcode() {                      return 3081; } // 0C09
+    get opcode_legal_max() {            return 3081; } // 0C09
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 'bpos': 10, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'C'; }
+    get format() {                      return 14; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+/**
+ * TMB: Test a bit in memory, setting EQ if it's a one.
+ **/
+class ExecutionUnit_TMB extends Format14Unit {
+    doTheThing() {
+        // Format14Unit already did the testing, and that's all we do.
+    }
+
+    writeResults() {
+        return true;
+    }
+}
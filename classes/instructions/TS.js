@@ -0,0 +1,50 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format12Unit } from "../ExecutionUnit.js";
+
+export { OpDef_TS, ExecutionUnit_TS };
+
+class OpDef_TS extends OpDef {
+    get op() {                          return "TS"; }
+    get shortdesc() {                   return "Translate words in a string from a table"; }
+    get opcode() {                      return 3632; } // 0E30
+    get opcode_legal_max() {            return 3647; } // 0E3F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'ckpt': 4, 'bc': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 12; }
+    get format_var() {                  return 3; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * TS: Translate the source string in place, replacing each byte with the one
+ * at that offset into the 256 byte table at the destination.
+ **/
+class ExecutionUnit_TS extends Format12Unit {
+    dest_size = 256;
+
+    /** @param {number} index */
+    doTheThing(index) {
+        const address = (this.source_address + index) & 0xFFFF;
+        const offset = this.simstate.getByte(address);
+        this.last_byte = this.simstate.getByte((this.dest_address + offset) & 0xFFFF);
+        this.simstate.setByte(address, this.last_byte);
+        return true;
+    }
+}
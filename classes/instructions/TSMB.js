@@ -0,0 +1,49 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format14Unit } from "../ExecutionUnit.js";
+
+export { OpDef_TSMB, ExecutionUnit_TSMB };
+
+class OpDef_TSMB extends OpDef {
+    get op() {                          return "TSMB"; }
+    get shortdesc() {                   return "Test & set bit in word"; }
+    get opcode() {                      return 3083; } // 0C0B
+    get opcode_legal_max() {            return 3083; } // 0C0B
+    get arg_start_bit() {               return 16; }
+    get args() {                        return { 'bpos': 10, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group C (990/12 features added to 99100 and later generations; 9995 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true, // Multi-CPU Flag
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'C'; }
+    get format() {                      return 14; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Eq']; }
+}
+
+/**
+ * TSMB: Test a bit in memory, setting EQ if it's a one, then set it.  This is
+ * the one to build a semaphore out of.
+ **/
+class ExecutionUnit_TSMB extends Format14Unit {
+    #byte_value = 0;
+    doTheThing() {
+        this.#byte_value = this.simstate.getByte(this.byte_address) | this.bit_mask;
+    }
+
+    writeResults() {
+        this.simstate.setByte(this.byte_address, this.#byte_value);
+        return true;
+    }
+}
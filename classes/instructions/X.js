@@ -0,0 +1,122 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format6Unit } from "../ExecutionUnit.js";
+import { ExecutionUnitMap } from "../ExecutionUnitMap.js";
+import { Instruction } from "../Instruction.js";
+import { OpInfo } from "../OpInfo.js";
+
+export { OpDef_X, ExecutionUnit_X };
+
+class OpDef_X extends OpDef {
+    get op() {                          return "X"; }
+    get shortdesc() {                   return "Execute"; }
+    get opcode() {                      return 1152; } // 0480
+    get opcode_legal_max() {            return 1215; } // 04BF
+    get arg_start_bit() {               return 10; }
+    get args() {                        return { 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true,
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 6; }
+    get format_var() {                  return 2; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return []; }
+}
+
+/** @typedef {import('../ExecutionUnit.js').ExecutionUnit} ExecutionUnit */
+
+/**
+ * X: Execute the operand as if it were an instruction.
+ *
+ * Any additional words the target instruction needs come from the words after
+ * the X instruction itself.  Execution then continues after those words unless
+ * the target branched or jumped somewhere else.  We drive the target through
+ * the same steps ExecutionProcess would, just all at once.  That includes the
+ * illegal and privileged opcode checks, which the Flow then acts on.
+ **/
+class ExecutionUnit_X extends Format6Unit {
+    /** @type {ExecutionUnit|null} */
+    #target_eu = null;
+
+    doTheThing() {
+        // The Flow will turn this into an ILLOP for us.
+        if (!OpInfo.opcodeIsValid(this.source_value)) {
+            this.illegal_opcode = true;
+            return;
+        }
+        const target_inst = Instruction.newFromOpcode(this.source_value);
+        // User mode can't sneak a privileged instruction past the Flow by
+        // having X run it.  It doesn't get run, and the Flow raises PRIVOP.
+        // That goes first, same as in state C2.
+        if (this.simstate.isPrivilegedOpcodeViolation(target_inst.opcode_def)) {
+            this.privileged_opcode = true;
+            return;
+        }
+        const eu_class = ExecutionUnitMap.getRunnableClass(target_inst.opcode_def, this.simstate);
+        if (eu_class == false) {
+            this.illegal_opcode = true;
+            return;
+        }
+
+        // Pretend the target lives right before the words after us.
+        const words_at = this.getNextInstructionAddress();
+        let offset = 0;
+        if (target_inst.hasSecondOpcodeWord()) {
+            target_inst.setSecondOpcodeWord(this.simstate.getWord(words_at + offset));
+            offset += 2;
+        }
+        if (target_inst.hasImmediateValue()) {
+            target_inst.setImmediateValue(this.simstate.getWord(words_at + offset));
+            offset += 2;
+        }
+        if (target_inst.hasImmediateSourceValue()) {
+            target_inst.setImmediateSourceValue(this.simstate.getWord(words_at + offset));
+            offset += 2;
+        }
+        if (target_inst.hasImmediateDestValue()) {
+            target_inst.setImmediateDestValue(this.simstate.getWord(words_at + offset));
+            offset += 2;
+        }
+        this.simstate.setPc(words_at);
+
+        const target_eu = new eu_class(target_inst, this.simstate);
+        target_eu.validateOpcode();
+        target_eu.fetchOperands();
+        target_eu.validateParams();
+        target_inst.finalize();
+
+        // Jumps expect the PC to be bumped back, just like Flow.stateA does.
+        const is_jump = target_inst.opcode_def.format == 2 && target_inst.opcode_def.name.startsWith('J');
+        if (is_jump) {
+            this.simstate.reducePc();
+        }
+
+        target_eu.execute();
+        if (!is_jump && !target_eu.pc_was_replaced) {
+            this.simstate.setPc(target_eu.getNextInstructionAddress());
+        }
+        // Whatever happened, the PC is now exactly where it needs to be.
+        this.branchTo(this.simstate.getPc());
+        this.#target_eu = target_eu;
+    }
+
+    writeResults() {
+        if (!this.#target_eu) {
+            return false;
+        }
+        return this.#target_eu.writeResults();
+    }
+
+    getTargetUnit() { return this.#target_eu; }
+}
@@ -0,0 +1,50 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format16Unit } from "../ExecutionUnit.js";
+
+export { OpDef_XF, ExecutionUnit_XF };
+
+class OpDef_XF extends OpDef {
+    get op() {                          return "XF"; }
+    get shortdesc() {                   return "Extract bits from word"; }
+    get opcode() {                      return 3120; } // 0C30
+    get opcode_legal_max() {            return 3135; } // 0C3F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'width': 4, 'pos': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 16; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * XF: Extract the field in the source into the destination word, right
+ * justified and filled with zeros.
+ **/
+class ExecutionUnit_XF extends Format16Unit {
+    doTheThing() {
+        this.target_value = this.readField(this.source_address);
+        this.updateEq(this.target_value, 0);
+        this.updateGt(this.target_value, 0);
+    }
+
+    writeResults() {
+        this.simstate.setWord(this.dest_address, this.target_value);
+        return true;
+    }
+}
@@ -0,0 +1,50 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format9Unit } from "../ExecutionUnit.js";
+import { StatusRegister } from "../StatusRegister.js";
+
+export { OpDef_XOP, ExecutionUnit_XOP };
+
+class OpDef_XOP extends OpDef {
+    get op() {                          return "XOP"; }
+    get shortdesc() {                   return "Extended Operation Call"; }
+    get opcode() {                      return 11264; } // 2C00
+    get opcode_legal_max() {            return 12287; } // 2FFF
+    get arg_start_bit() {               return 6; }
+    get args() {                        return { 'O': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform base (Base instruction set, all platforms)
+            '990/10'  :  true, // HW Flag.  Sets priv=0.
+            '9900'    :  true,
+            '990/4'   :  true,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  true,
+        };
+    }
+
+    get format() {                      return 9; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['XOP', 'Priv', 'Mf']; }
+}
+
+/**
+ * XOP: Extended operation, a software trap through one of the sixteen vectors
+ * starting at 0x0040.  It's a BLWP that also hands the effective address of
+ * the source operand to the handler in the new R11.
+ **/
+class ExecutionUnit_XOP extends Format9Unit {
+    doTheThing() {
+        const vector_address = 0x0040 + (this.register_num * 4);
+        const new_wp = this.simstate.getWord(vector_address);
+        const new_pc = this.simstate.getWord(vector_address + 2);
+
+        this.contextSwitch(new_wp, new_pc);
+        this.simstate.setRegisterWord(11, this.source_address);
+        this.simstate.status_register.setBit(StatusRegister.XOP);
+    }
+}
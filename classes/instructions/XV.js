@@ -0,0 +1,56 @@
+// @ts-check
+
+import { OpDef } from "../OpDef.js";
+import { Format16Unit } from "../ExecutionUnit.js";
+
+export { OpDef_XV, ExecutionUnit_XV };
+
+class OpDef_XV extends OpDef {
+    get op() {                          return "XV"; }
+    get shortdesc() {                   return "Extract bits into a new word"; }
+    get opcode() {                      return 3104; } // 0C20
+    get opcode_legal_max() {            return 3119; } // 0C2F
+    get arg_start_bit() {               return 12; }
+    get args() {                        return { 'width': 4, 'pos': 4, 'Td': 2, 'D': 4, 'Ts': 2, 'S': 4 }; }
+    get platforms() {
+        return { // Platform group E (990/12-exclusive features; 9995 & 99100 MID)
+            '990/10'  :  false,
+            '9900'    :  false,
+            '990/4'   :  false,
+            '990/12'  :  true,
+            '9995'    :  true,
+            '99000'   :  true,
+            '99110A'  :  true,
+            '990/10A' :  false,
+        };
+    }
+
+    get platform_group() {              return 'E'; }
+    get format() {                      return 16; }
+    get format_var() {                  return 1; }
+    get performs_privilege_check() {    return false; }
+    get touches_status_bits() {         return ['Lgt', 'Agt', 'Eq']; }
+}
+
+/**
+ * XV: Extract the field in the source into the destination word as a signed
+ * value, right justified with the leftmost bit of the field copied all the
+ * way to the left.
+ **/
+class ExecutionUnit_XV extends Format16Unit {
+    doTheThing() {
+        let value = this.readField(this.source_address);
+        const sign_bit = 2 ** (this.width - 1);
+        if (value & sign_bit) {
+            value |= 0x10000 - (sign_bit * 2);
+        }
+        this.target_value = value & 0xFFFF;
+        this.updateEq(this.target_value, 0);
+        this.updateGt(this.target_value, 0);
+    }
+
+    writeResults() {
+        this.simstate.setWord(this.dest_address, this.target_value);
+        return true;
+    }
+}
@@ -23,10 +23,13 @@
     *   `simulationReset`: (no detail)
         *   *Purpose:* Signals the simulation and its metrics have been reset.
         *   *Expected Listener(s):* app.js (to potentially re-load assembled code into memory), `SimulationUIComponent` (to reset all simulation-related displays), `VisualizationController` (to redraw with cleared/reset memory).
-    *   `executionModeChanged`: `detail: { slowMode: boolean, fastMode: boolean }`
+    *   `snapshotRestored`: (no detail)
+        *   *Purpose:* Signals the whole machine was just replaced by a saved snapshot.
+        *   *Expected Listener(s):* app.js (to update settings controls and all simulation-related displays), `VisualizationController` (to redraw the restored memory).
+    *   `executionModeChanged`: `detail: { slowMode: boolean, fastMode: boolean, realTimeMode: boolean }`
         *   *Purpose:* Signals a change in execution speed mode.
         *   *Expected Listener(s):* `SimulationUIComponent` (to update UI indicators for the current mode).
-    *   `frameExecuted`: `detail: { running: boolean, slowMode: boolean, fastMode: boolean, totalInstructions: number, totalFrames: number, fps: number, ips: number, instructionsExecutedThisFrame: number, flowState: string | null }`
+    *   `frameExecuted`: `detail: { running: boolean, idle: boolean, slowMode: boolean, fastMode: boolean, realTimeMode: boolean, totalInstructions: number, totalFrames: number, fps: number, ips: number, instructionsExecutedThisFrame: number, flowState: string | null, realTimeLagMs: number }`
         *   *Purpose:* Signals a single animation frame has completed during continuous execution, containing comprehensive state and metrics.
         *   *Expected Listener(s):* `SimulationUIComponent` (for wholesale update of all simulation-related displays). `VisualizationController` (to trigger redraw due to potential memory changes).
     *   `executionError`: `detail: { error: Error }`
@@ -55,6 +58,15 @@ export class SimulationController extends EventTarget {
         this.slowMode = false;
         this.fastMode = false;
         this.fastModeSteps = 631; // A prime number, chosen with intent
+        this.realTimeMode = false;
+        this.realTimeFrameBudgetMs = 12; // Leave the browser some of each frame
+        this.realTimeMaxCarryMs = 100; // A few frames' worth, see runRealTimeFrame
+
+        // Real time mode tracking.  The start is picked up on the first frame.
+        this.realTimeStartTs = null;
+        this.realTimeStartCycles = 0;
+        this.realTimeClockRate = 0;
+        this.realTimeLagMs = 0;
 
         // Performance metrics state
         this.instExecutionCount = 0;
@@ -80,6 +92,7 @@ export class SimulationController extends EventTarget {
 
         this.running = true;
         this.runStartTime = performance.now();
+        this.resetRealTimeTracking();
 
         this.dispatchEvent(new CustomEvent('executionStarted', {
             detail: { timestamp: this.runStartTime }
@@ -138,7 +151,10 @@ export class SimulationController extends EventTarget {
         if (this.running) return '';
         try {
             const result = this.simulation.stepInstruction();
-            this.instExecutionCount++;
+            // Time passes while idle, but nothing gets executed.
+            if (!this.simulation.isIdle()) {
+                this.instExecutionCount++;
+            }
             this.dispatchEvent(new CustomEvent('instructionExecuted', {
                 detail: {
                     instructionCount: this.instExecutionCount,
@@ -170,6 +186,7 @@ export class SimulationController extends EventTarget {
         this.lastFrameCount = 0;
         this.runningFpsAvg = 0;
         this.runningIpsAvg = 0;
+        this.resetRealTimeTracking();
 
         // Reset simulation
         this.simulation.reset();
@@ -177,6 +194,29 @@ export class SimulationController extends EventTarget {
         this.dispatchEvent(new CustomEvent('simulationReset'));
     }
 
+    /**
+     * Save the whole machine as snapshot JSON.  Execution is stopped first.
+     * @returns {string} The snapshot
+     */
+    saveSnapshot() {
+        this.stop();
+        return this.simulation.saveSnapshot();
+    }
+
+    /**
+     * Replace the whole machine with a saved snapshot.  Execution is stopped
+     * first.  The metrics carry on, they're about this session, not the machine.
+     * @param {string} json - The snapshot, from saveSnapshot
+     * @returns {void}
+     */
+    restoreSnapshot(json) {
+        this.stop();
+        this.simulation.restoreSnapshot(json);
+        this.resetRealTimeTracking();
+
+        this.dispatchEvent(new CustomEvent('snapshotRestored'));
+    }
+
     // === Execution Mode Control ===
 
     /**
@@ -188,10 +228,12 @@ export class SimulationController extends EventTarget {
         this.slowMode = enabled;
         if (this.slowMode == true) {
             this.fastMode = false;
+            this.realTimeMode = false;
+            this.resetRealTimeTracking();
         }
 
         this.dispatchEvent(new CustomEvent('executionModeChanged', {
-            detail: { slowMode: this.slowMode, fastMode: this.fastMode }
+            detail: { slowMode: this.slowMode, fastMode: this.fastMode, realTimeMode: this.realTimeMode }
         }));
     }
 
@@ -204,10 +246,31 @@ export class SimulationController extends EventTarget {
         this.fastMode = enabled;
         if (this.fastMode == true) {
             this.slowMode = false;
+            this.realTimeMode = false;
+            this.resetRealTimeTracking();
+        }
+
+        this.dispatchEvent(new CustomEvent('executionModeChanged', {
+            detail: { slowMode: this.slowMode, fastMode: this.fastMode, realTimeMode: this.realTimeMode }
+        }));
+    }
+
+    /**
+     * Set real time execution mode, running as many cycles per frame as the
+     * simulated clock rate would get through in the same wall time
+     * @param {boolean} enabled - Whether to enable real time mode
+     * @returns {void}
+     */
+    setRealTimeMode(enabled) {
+        this.realTimeMode = enabled;
+        if (this.realTimeMode == true) {
+            this.slowMode = false;
+            this.fastMode = false;
         }
+        this.resetRealTimeTracking();
 
         this.dispatchEvent(new CustomEvent('executionModeChanged', {
-            detail: { slowMode: this.slowMode, fastMode: this.fastMode }
+            detail: { slowMode: this.slowMode, fastMode: this.fastMode, realTimeMode: this.realTimeMode }
         }));
     }
 
@@ -229,14 +292,23 @@ export class SimulationController extends EventTarget {
                     instructionsExecutedThisFrame = 1;
                     this.instExecutionCount++;
                 }
+            } else if (this.realTimeMode) {
+                instructionsExecutedThisFrame = this.runRealTimeFrame(timestamp);
+                this.instExecutionCount += instructionsExecutedThisFrame;
             } else if (this.fastMode) {
                 this.simulation.run(this.fastModeSteps);
-                instructionsExecutedThisFrame = this.fastModeSteps;
-                this.instExecutionCount += this.fastModeSteps;
+                // If we went idle, we don't know how much of the frame was
+                // spent that way, so don't claim any of it.
+                if (!this.simulation.isIdle()) {
+                    instructionsExecutedThisFrame = this.fastModeSteps;
+                    this.instExecutionCount += this.fastModeSteps;
+                }
             } else {
                 this.simulation.stepInstruction();
-                instructionsExecutedThisFrame = 1;
-                this.instExecutionCount++;
+                if (!this.simulation.isIdle()) {
+                    instructionsExecutedThisFrame = 1;
+                    this.instExecutionCount++;
+                }
             }
 
             this.frameCount++;
@@ -245,14 +317,17 @@ export class SimulationController extends EventTarget {
             this.dispatchEvent(new CustomEvent('frameExecuted', {
                 detail: {
                     running: this.running,
+                    idle: this.simulation.isIdle(),
                     slowMode: this.slowMode,
                     fastMode: this.fastMode,
+                    realTimeMode: this.realTimeMode,
                     totalInstructions: this.instExecutionCount,
                     totalFrames: this.frameCount,
                     fps: this.runningFpsAvg,
                     ips: this.runningIpsAvg,
                     instructionsExecutedThisFrame: instructionsExecutedThisFrame,
-                    flowState: currentFlowState
+                    flowState: currentFlowState,
+                    realTimeLagMs: this.realTimeLagMs
                 }
             }));
         } catch (error) {
@@ -263,6 +338,65 @@ export class SimulationController extends EventTarget {
         }
     }
 
+    /**
+     * Run until the simulated clock catches up with the wall clock, counting
+     * from the first real time frame, or until this frame's budget runs out.
+     * Whatever doesn't fit is carried over, and shows up as the lag.  Only
+     * realTimeMaxCarryMs of it is carried, the rest is given up on.
+     * @param {number} timestamp - High resolution timestamp from requestAnimationFrame
+     * @returns {number} How many instructions were executed
+     */
+    runRealTimeFrame(timestamp) {
+        const simulation = this.simulation;
+        // Changing the clock rate moves the goalposts, so start counting over.
+        if (this.realTimeStartTs === null || this.realTimeClockRate != simulation.clock_rate) {
+            this.realTimeStartTs = timestamp;
+            this.realTimeStartCycles = simulation.cycle_count;
+            this.realTimeClockRate = simulation.clock_rate;
+        }
+
+        const elapsedSeconds = (timestamp - this.realTimeStartTs) / 1000;
+        const targetCycles = this.realTimeStartCycles + (elapsedSeconds * simulation.clock_rate);
+        const deadline = performance.now() + this.realTimeFrameBudgetMs;
+        let instructions = 0;
+        let steps = 0;
+        while (simulation.cycle_count < targetCycles) {
+            simulation.stepInstruction();
+            // Time passes while idle, but nothing gets executed.
+            if (!simulation.isIdle()) {
+                instructions++;
+            }
+            // Checking the time isn't free, so don't do it every step.
+            steps++;
+            if (steps % 64 == 0 && performance.now() >= deadline) {
+                break;
+            }
+        }
+
+        const behindCycles = Math.max(0, targetCycles - simulation.cycle_count);
+        this.realTimeLagMs = (behindCycles * 1000) / simulation.clock_rate;
+        // One long stall, like the tab sitting in the background for a while,
+        // would otherwise have us spending every frame after it catching up.
+        // Moving the start up forgets the excess.  The lag above still says
+        // how far behind this frame ended up.
+        const excessMs = this.realTimeLagMs - this.realTimeMaxCarryMs;
+        if (excessMs > 0) {
+            this.realTimeStartTs += excessMs;
+        }
+        return instructions;
+    }
+
+    /**
+     * Forget where real time mode started counting from
+     * @returns {void}
+     */
+    resetRealTimeTracking() {
+        this.realTimeStartTs = null;
+        this.realTimeStartCycles = 0;
+        this.realTimeClockRate = 0;
+        this.realTimeLagMs = 0;
+    }
+
     /**
      * Update FPS and IPS calculations
      * @param {number} timestamp - High resolution timestamp from requestAnimationFrame
@@ -295,20 +429,22 @@ export class SimulationController extends EventTarget {
 
     /**
      * Get current execution state
-     * @returns {Object} Object containing running, slowMode, fastMode, and fastModeSteps properties
+     * @returns {Object} Object containing running, idle, slowMode, fastMode, realTimeMode, and fastModeSteps properties
      */
     getExecutionState() {
         return {
             running: this.running,
+            idle: this.simulation.isIdle(),
             slowMode: this.slowMode,
             fastMode: this.fastMode,
+            realTimeMode: this.realTimeMode,
             fastModeSteps: this.fastModeSteps
         };
     }
 
     /**
      * Get performance metrics
-     * @returns {Object} Object containing instructionCount, frameCount, fps, ips, runStartTime, and elapsedTime
+     * @returns {Object} Object containing instructionCount, frameCount, fps, ips, runStartTime, elapsedTime, and realTimeLagMs
      */
     getPerformanceMetrics() {
         return {
@@ -317,7 +453,8 @@ export class SimulationController extends EventTarget {
             fps: this.runningFpsAvg,
             ips: this.runningIpsAvg,
             runStartTime: this.runStartTime,
-            elapsedTime: this.runStartTime ? performance.now() - this.runStartTime : 0
+            elapsedTime: this.runStartTime ? performance.now() - this.runStartTime : 0,
+            realTimeLagMs: this.realTimeLagMs
         };
     }
 
@@ -0,0 +1,149 @@
+// @ts-check
+
+import { describe, test, expect, beforeEach, spyOn } from "bun:test";
+import { Simulation } from "../classes/Simulation.js";
+import { Asm } from "../classes/Asm.js";
+import { CpuProfile } from "../classes/CpuProfile.js";
+
+// Memory tells the page about every write.
+// @ts-ignore
+globalThis.window = globalThis;
+
+describe('CycleTable', () => {
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        spyOn(console, 'debug').mockImplementation(() => {});
+        sim = new Simulation();
+    });
+
+    /**
+     * Run the setup lines, stopping right before the one we want to know about.
+     * @param {string} cpu_profile
+     * @param {string[]} setup
+     * @param {string} line
+     **/
+    function runUpTo(cpu_profile, setup, line) {
+        sim.cpu_profile = cpu_profile;
+        // So that the strings exist everywhere.
+        sim.compat_990_12 = true;
+        sim.reset();
+        const asm = new Asm();
+        asm.setLines([
+            '    CKPT R6',
+            '    AORG >0000',
+            '    DATA >0080,>0100',
+            '    AORG >0100',
+            ...setup.map( (setup_line) => { return `    ${setup_line}`; } ),
+            `    ${line}`,
+            'HANG JMP HANG',
+        ].join('\n'));
+        asm.process();
+        const bytes = asm.toBytes();
+        for (const offset in bytes) {
+            sim.state.setByte(Number(offset), bytes[offset]);
+        }
+        // The reset's context switch goes along with the first instruction.
+        for (let i = 0; i < setup.length + 1; i++) {
+            sim.stepInstruction();
+        }
+    }
+
+    /**
+     * Run the setup lines, then the one we want to know about, and say how
+     * many cycles that last one took.
+     * @param {string} cpu_profile
+     * @param {string[]} setup
+     * @param {string} line
+     * @returns {number}
+     **/
+    function cyclesFor(cpu_profile, setup, line) {
+        runUpTo(cpu_profile, setup, line);
+        const before = sim.cycle_count;
+        sim.stepInstruction();
+        return sim.cycle_count - before;
+    }
+
+    test('the profile picks the table', () => {
+        expect(cyclesFor('9900', ['NOP'], 'A R1,R2')).toBe(14);
+        expect(cyclesFor('99000', ['NOP'], 'A R1,R2')).toBe(4);
+        expect(cyclesFor('99110A', ['NOP'], 'A R1,R2')).toBe(4);
+        expect(cyclesFor(CpuProfile.DEFAULT, ['NOP'], 'A R1,R2')).toBe(4);
+        expect(cyclesFor('990/12', ['NOP'], 'A R1,R2')).toBe(14);
+    });
+
+    test('every profile has a table', () => {
+        for (const profile of CpuProfile.getAll()) {
+            expect(cyclesFor(profile.name, ['NOP'], 'A R1,R2')).toBeGreaterThan(0);
+        }
+    });
+
+    test('address modes and wait states', () => {
+        const setup = ['LI R1,>0200', 'LI R2,>0010'];
+        // 14 + 8 for *R1+, + 8 for @>0200(R2)
+        expect(cyclesFor('9900', setup, 'A *R1+,@>0200(R2)')).toBe(30);
+        // 4 + 3 + 3
+        expect(cyclesFor('99000', setup, 'A *R1+,@>0200(R2)')).toBe(10);
+
+        // Four memory accesses of its own, and two for each operand.
+        sim.wait_states = 2;
+        expect(cyclesFor('9900', setup, 'A *R1+,@>0200(R2)')).toBe(30 + (2 * 8));
+    });
+
+    test('multiple precision operands cost by the byte', () => {
+        const setup = ['LI R1,>0200', 'LI R2,>0300'];
+        const four = cyclesFor('99000', setup, 'AM *R1,*R2,4');
+        const eight = cyclesFor('99000', setup, 'AM *R1,*R2,8');
+        expect(eight - four).toBe(4 * 2);
+        expect(cyclesFor('99000', setup, 'SM *R1,*R2,4')).toBe(four);
+    });
+
+    // The 99105A leaves strings to MIDs, but the default profile runs them
+    // and goes by its table.  The 990/12 goes by the 9900's.
+    test('strings cost by the byte', () => {
+        const setup = ['LI R1,>0200', 'LI R2,>0300', 'SETO R6'];
+        const two = cyclesFor(CpuProfile.DEFAULT, setup, 'MOVS *R1,*R2,2');
+        const ten = cyclesFor(CpuProfile.DEFAULT, setup, 'MOVS *R1,*R2,10');
+        expect(ten - two).toBe(8 * 2);
+        const two_9900 = cyclesFor('990/12', setup, 'MOVS *R1,*R2,2');
+        expect(cyclesFor('990/12', setup, 'MOVS *R1,*R2,10') - two_9900).toBe(8 * 8);
+    });
+
+    test('an interrupted string only pays for the bytes it got through', () => {
+        const setup = ['LI R1,>0200', 'LI R2,>0300', 'SETO R6', 'LIMI 3'];
+        const whole = cyclesFor(CpuProfile.DEFAULT, setup, 'MOVS *R1,*R2,10');
+
+        runUpTo(CpuProfile.DEFAULT, setup, 'MOVS *R1,*R2,10');
+        const before = sim.cycle_count;
+        while (sim.flow.flow_state != 'B') {
+            sim.step();
+        }
+        sim.state.interrupt_list.raiseInterrupt(3);
+        sim.stepInstruction();
+        // Stopped after the first byte.
+        expect(sim.state.getRegisterWord(6)).toBe(1);
+        expect(sim.cycle_count - before).toBe(whole - (9 * 2));
+    });
+
+    test('X takes as long as what it ran, on top of its own time', () => {
+        // 0x0582 is INC R2
+        const setup = ['LI R1,>0582'];
+        const inc = cyclesFor('99000', setup, 'INC R2');
+        expect(cyclesFor('99000', setup, 'X R1')).toBe(2 + inc);
+        expect(cyclesFor('9900', setup, 'X R1')).toBe(8 + cyclesFor('9900', setup, 'INC R2'));
+    });
+
+    test('IDLE and interrupts cost by the table too', () => {
+        cyclesFor('9900', ['LIMI 0'], 'IDLE');
+        const idle_9900 = sim.cycle_count;
+        sim.step();
+        expect(sim.flow.isIdle()).toBe(true);
+        expect(sim.cycle_count - idle_9900).toBe(12);
+
+        cyclesFor('99000', ['LIMI 0'], 'IDLE');
+        const idle_99105 = sim.cycle_count;
+        sim.step();
+        expect(sim.cycle_count - idle_99105).toBe(7);
+    });
+});
@@ -0,0 +1,286 @@
+// @ts-check
+
+import { describe, test, expect, beforeEach, spyOn } from "bun:test";
+import { Simulation } from "../classes/Simulation.js";
+import { Asm } from "../classes/Asm.js";
+import { OpInfo } from "../classes/OpInfo.js";
+import { ExecutionUnitMap } from "../classes/ExecutionUnitMap.js";
+
+// Memory tells the page about every write.
+// @ts-ignore
+globalThis.window = globalThis;
+
+describe('Flow privileged mode', () => {
+    // The supervisor RTWPs into the code at >0200 with whatever status word
+    // enterCode puts in its LI R15.  Interrupt 2 lands in its own workspace at >00A0.
+    const source = `
+    AORG >0000
+    DATA >0080,>0100
+    DATA >0000,>0000
+    DATA >00A0,>0300
+    AORG >0100
+    LI R13,>00C0
+    LI R14,>0200
+    LI R15,0
+    RTWP
+    AORG >0300
+HANG
+    JMP HANG
+`;
+    const USER_MODE = 0x010F;
+    const SUPERVISOR_MODE = 0x000F;
+    const JMP_SELF = 0x10FF;
+    const X_R1 = 0x0481;
+
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        spyOn(console, 'debug').mockImplementation(() => {});
+        sim = new Simulation();
+        // So that LMF, LDS, and LDD exist.
+        sim.mapper_installed = true;
+        sim.reset();
+        const asm = new Asm();
+        asm.setLines(source);
+        asm.process();
+        const bytes = asm.toBytes();
+        for (const offset in bytes) {
+            sim.state.setByte(Number(offset), bytes[offset]);
+        }
+    });
+
+    /**
+     * Put the words at >0200, then run through the supervisor code and into
+     * them, stopping right before the first one runs.
+     * @param {number} status_word
+     * @param {number[]} words
+     **/
+    function enterCode(status_word, words) {
+        // Right into the LI R15 above.
+        sim.state.setWord(0x010A, status_word);
+        words.concat([JMP_SELF]).forEach( (word, i) => { sim.state.setWord(0x0200 + (i * 2), word); } );
+        for (let i = 0; i < 5; i++) {
+            sim.stepInstruction();
+        }
+        expect(sim.state.workspace_pointer).toBe(0x00C0);
+        expect(sim.state.status_register.getWord()).toBe(status_word);
+    }
+
+    /**
+     * Run the first of the words, and give the Flow its turn to act on how
+     * that went.  Anything that doesn't trap gets as far as the JMP after.
+     **/
+    function runCode() {
+        sim.stepInstruction();
+        sim.stepInstruction();
+    }
+
+    /**
+     * Did we end up in the interrupt 2 handler?  Say where it was called from.
+     * @returns {number|null}
+     **/
+    function trappedFrom() {
+        if (sim.state.workspace_pointer != 0x00A0) {
+            return null;
+        }
+        return sim.state.getRegisterWord(14);
+    }
+
+    /**
+     * Everything that's off limits in user mode, and the words that have to
+     * come after it.
+     * @type {Object.<string, number[]>}
+     **/
+    const privileged = {
+        'CKOF': [],
+        'CKON': [],
+        'EMD':  [],
+        'IDLE': [],
+        'LCS':  [],
+        'LDCR': [],
+        'LDD':  [],
+        'LDS':  [],
+        'LIM':  [],
+        'LIMI': [0x0009],
+        'LMF':  [],
+        'LREX': [],
+        'RSET': [],
+        'SBO':  [],
+        'SBZ':  [],
+        'STCR': [],
+        'TB':   [],
+    };
+
+    /**
+     * Not every privileged instruction has been written yet.  The ones that
+     * haven't are ILLOPs instead, but they still aren't PRIVOPs.
+     * @param {string} name
+     * @returns {boolean}
+     **/
+    function isImplemented(name) {
+        return ExecutionUnitMap.getRunnableClass(OpInfo.getFromOpName(name), sim.state) != false;
+    }
+
+    test('the list covers every privileged opcode', () => {
+        const names = new Set();
+        for (let opcode = 0; opcode <= 0xFFFF; opcode++) {
+            if (OpInfo.opcodeIsValid(opcode) && OpInfo.getFromOpcode(opcode).performs_privilege_check) {
+                names.add(OpInfo.getOpNameFromOpcode(opcode));
+            }
+        }
+        expect([...names].sort()).toEqual(Object.keys(privileged).sort());
+    });
+
+    Object.entries(privileged).forEach( ([name, extra_words]) => {
+        describe(name, () => {
+            test('traps in user mode', () => {
+                enterCode(USER_MODE, [OpInfo.getOpcodeFromOpName(name), ...extra_words]);
+                runCode();
+                expect(sim.error_flags.getFlag(14)).toBe(true);
+                // The handler gets to see the offending instruction.
+                expect(trappedFrom()).toBe(0x0200);
+            });
+
+            test('traps in user mode through X', () => {
+                sim.state.setWord(0x00C2, OpInfo.getOpcodeFromOpName(name));
+                enterCode(USER_MODE, [X_R1, ...extra_words]);
+                runCode();
+                expect(sim.error_flags.getFlag(14)).toBe(true);
+                // As with an illegal opcode, the handler gets the address after the X.
+                expect(trappedFrom()).toBe(0x0202);
+            });
+
+            test('runs in supervisor mode', () => {
+                enterCode(SUPERVISOR_MODE, [OpInfo.getOpcodeFromOpName(name), ...extra_words]);
+                runCode();
+                expect(sim.error_flags.getFlag(14)).toBe(false);
+                expect(sim.error_flags.getFlag(13)).toBe(!isImplemented(name));
+                if (isImplemented(name)) {
+                    expect(trappedFrom()).toBe(null);
+                }
+            });
+
+            test('runs in supervisor mode through X', () => {
+                sim.state.setWord(0x00C2, OpInfo.getOpcodeFromOpName(name));
+                enterCode(SUPERVISOR_MODE, [X_R1, ...extra_words]);
+                runCode();
+                expect(sim.error_flags.getFlag(14)).toBe(false);
+                expect(sim.error_flags.getFlag(13)).toBe(!isImplemented(name));
+                if (isImplemented(name)) {
+                    expect(trappedFrom()).toBe(null);
+                }
+            });
+        });
+    });
+
+    describe('X', () => {
+        test('LIMI through X in user mode leaves the mask alone', () => {
+            sim.state.setWord(0x00C2, OpInfo.getOpcodeFromOpName('LIMI'));
+            enterCode(USER_MODE, [X_R1, 0x0009]);
+            runCode();
+            // The user's mask is what the handler saved, not the one LIMI wanted.
+            expect(sim.state.getRegisterWord(15)).toBe(USER_MODE);
+        });
+
+        test("LDS through X in user mode doesn't map anything", () => {
+            sim.state.setWord(0x00C2, OpInfo.getOpcodeFromOpName('LDS'));
+            enterCode(USER_MODE, [X_R1]);
+            runCode();
+            expect(sim.state.memory_mapper.long_distance_pending).toBe(false);
+        });
+
+        test('LIMI through X in supervisor mode changes the mask', () => {
+            sim.state.setWord(0x00C2, OpInfo.getOpcodeFromOpName('LIMI'));
+            enterCode(SUPERVISOR_MODE, [X_R1, 0x0009]);
+            runCode();
+            expect(sim.state.status_register.getInterruptMask()).toBe(9);
+        });
+    });
+
+    test('processors without a user mode let anything run', () => {
+        sim.cpu_profile = '9900';
+        enterCode(USER_MODE, [OpInfo.getOpcodeFromOpName('LIMI'), 0x0009]);
+        runCode();
+        expect(sim.error_flags.getFlag(14)).toBe(false);
+        expect(sim.state.status_register.getInterruptMask()).toBe(9);
+    });
+});
+
+describe('Flow state D', () => {
+    const source = `
+    AORG >0000
+    DATA >0080,>0100
+    DATA >0000,>0000
+    DATA >00A0,>0200
+    DATA >00C0,>0300
+    AORG >0100
+    LIMI 2
+LOOP
+    INC R1
+    JMP LOOP
+    AORG >0200
+L2  JMP L2
+    AORG >0300
+L3  JMP L3
+`;
+
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        spyOn(console, 'debug').mockImplementation(() => {});
+        sim = new Simulation();
+        sim.reset();
+        const asm = new Asm();
+        asm.setLines(source);
+        asm.process();
+        const bytes = asm.toBytes();
+        for (const offset in bytes) {
+            sim.state.setByte(Number(offset), bytes[offset]);
+        }
+        // Through the LIMI and into the loop.
+        for (let i = 0; i < 3; i++) {
+            sim.stepInstruction();
+        }
+    });
+
+    /**
+     * Step a state at a time until we're through state D, and say where it
+     * went next.
+     * @returns {string}
+     **/
+    function stepThroughD() {
+        for (let i = 0; i < 10; i++) {
+            sim.step();
+            if (sim.flow.prev_flow_state == 'D') {
+                return sim.flow.flow_state;
+            }
+        }
+        throw new Error('Never got to state D');
+    }
+
+    test('nothing raised goes on to C2', () => {
+        expect(stepThroughD()).toBe('C2');
+    });
+
+    test('an enabled external interrupt goes to E', () => {
+        sim.state.interrupt_list.raiseInterrupt(2);
+        expect(stepThroughD()).toBe('E');
+        sim.stepInstruction();
+        expect(sim.state.workspace_pointer).toBe(0x00A0);
+    });
+
+    test('a masked external interrupt waits', () => {
+        sim.state.interrupt_list.raiseInterrupt(3);
+        expect(stepThroughD()).toBe('C2');
+        expect(stepThroughD()).toBe('C2');
+        expect(sim.state.workspace_pointer).toBe(0x0080);
+    });
+
+    test('the NMI goes to E whatever the mask', () => {
+        sim.state.status_register.setInterruptMask(0);
+        sim.state.interrupt_list.raiseNMI();
+        expect(stepThroughD()).toBe('E');
+    });
+});
@@ -0,0 +1,257 @@
+// @ts-check
+
+import { describe, test, expect, beforeEach, spyOn } from "bun:test";
+import { InterruptList } from "../classes/InterruptList.js";
+import { Simulation } from "../classes/Simulation.js";
+import { Asm } from "../classes/Asm.js";
+
+// Memory tells the page about every write.
+// @ts-ignore
+globalThis.window = globalThis;
+
+describe('InterruptList', () => {
+    /** @type {InterruptList} */
+    let list;
+
+    beforeEach(() => {
+        list = new InterruptList();
+        // Illegal levels are complained about loudly, which is the point.
+        spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    describe('priority', () => {
+        test('nothing raised means nothing to take', () => {
+            expect(list.getLowestRaisedInterrupt(15)).toBe(0);
+            expect(list.hasPossibleInterrupts(15)).toBe(false);
+        });
+
+        test('the lowest numbered raised level wins', () => {
+            list.raiseInterrupt(9);
+            list.raiseInterrupt(4);
+            list.raiseInterrupt(12);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(4);
+
+            list.clearInterrupt(4);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(9);
+
+            list.raiseInterrupt(1);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(1);
+        });
+
+        test('raising a level twice is the same as raising it once', () => {
+            list.raiseInterrupt(5);
+            list.raiseInterrupt(5);
+            list.clearInterrupt(5);
+            expect(list.isInterruptRaised(5)).toBe(false);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(0);
+        });
+    });
+
+    describe('mask', () => {
+        test('levels above the mask are held back', () => {
+            list.raiseInterrupt(6);
+            expect(list.getLowestRaisedInterrupt(5)).toBe(0);
+            expect(list.hasPossibleInterrupts(5)).toBe(false);
+            expect(list.getLowestRaisedInterrupt(6)).toBe(6);
+            expect(list.hasPossibleInterrupts(6)).toBe(true);
+            // Still raised, just not let through.
+            expect(list.isInterruptRaised(6)).toBe(true);
+        });
+
+        test('the mask picks the lowest level it lets through', () => {
+            list.raiseInterrupt(3);
+            list.raiseInterrupt(7);
+            expect(list.getLowestRaisedInterrupt(2)).toBe(0);
+            expect(list.getLowestRaisedInterrupt(3)).toBe(3);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(3);
+        });
+
+        test('mask 0 lets nothing through', () => {
+            for (let level = 1; level <= 15; level++) {
+                list.raiseInterrupt(level);
+            }
+            expect(list.getLowestRaisedInterrupt(0)).toBe(0);
+            expect(list.hasPossibleInterrupts(0)).toBe(false);
+        });
+
+        test('mask 15 lets everything through', () => {
+            list.raiseInterrupt(15);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(15);
+            list.raiseInterrupt(1);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(1);
+        });
+    });
+
+    describe('levels', () => {
+        test('level 1 and level 15 are real lines', () => {
+            expect(list.raiseInterrupt(1)).toBe(true);
+            expect(list.raiseInterrupt(15)).toBe(true);
+            expect(list.isInterruptRaised(1)).toBe(true);
+            expect(list.isInterruptRaised(15)).toBe(true);
+            expect(list.getLowestRaisedInterrupt(1)).toBe(1);
+
+            list.clearInterrupt(1);
+            expect(list.getLowestRaisedInterrupt(14)).toBe(0);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(15);
+        });
+
+        test('level 0 and level 16 are refused', () => {
+            expect(list.raiseInterrupt(0)).toBe(false);
+            expect(list.raiseInterrupt(16)).toBe(false);
+            expect(list.clearInterrupt(0)).toBe(false);
+            expect(list.clearInterrupt(16)).toBe(false);
+            expect(list.setEdgeTriggered(0, true)).toBe(false);
+            expect(list.setEdgeTriggered(16, true)).toBe(false);
+            expect(list.acknowledgeInterrupt(0)).toBe(false);
+            expect(list.acknowledgeInterrupt(16)).toBe(false);
+            expect(console.error).toHaveBeenCalledTimes(8);
+
+            expect(list.isInterruptRaised(0)).toBe(false);
+            expect(list.isInterruptRaised(16)).toBe(false);
+            expect(list.hasPossibleInterrupts(15)).toBe(false);
+            expect(list.toSnapshot().pending).toBe(0);
+        });
+    });
+
+    describe('acknowledge', () => {
+        test('an edge triggered level is done once acknowledged', () => {
+            list.setEdgeTriggered(4, true);
+            list.raiseInterrupt(4);
+            expect(list.acknowledgeInterrupt(4)).toBe(true);
+            expect(list.isInterruptRaised(4)).toBe(false);
+            expect(list.hasPossibleInterrupts(15)).toBe(false);
+        });
+
+        test('a level triggered level stays raised until cleared', () => {
+            list.raiseInterrupt(3);
+            list.acknowledgeInterrupt(3);
+            expect(list.isInterruptRaised(3)).toBe(true);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(3);
+
+            list.clearInterrupt(3);
+            expect(list.isInterruptRaised(3)).toBe(false);
+        });
+
+        test('only the acknowledged edge triggered level goes away', () => {
+            list.setEdgeTriggered(2, true);
+            list.raiseInterrupt(2);
+            list.raiseInterrupt(5);
+            list.acknowledgeInterrupt(2);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(5);
+            list.acknowledgeInterrupt(5);
+            expect(list.getLowestRaisedInterrupt(15)).toBe(5);
+        });
+
+        test('acknowledge handlers hear about the level taken', () => {
+            /** @type {number[]} */
+            const heard = [];
+            const handler = (/** @type {number} */ level) => { heard.push(level); };
+            list.addAcknowledgeHandler(handler);
+            list.raiseInterrupt(7);
+            list.acknowledgeInterrupt(7);
+            list.removeAcknowledgeHandler(handler);
+            list.acknowledgeInterrupt(7);
+            expect(heard).toEqual([7]);
+        });
+
+        test('reset forgets what was raised, but not the wiring', () => {
+            list.setEdgeTriggered(6, true);
+            list.raiseInterrupt(6);
+            list.raiseNMI();
+            list.reset();
+            expect(list.isInterruptRaised(6)).toBe(false);
+            expect(list.hasRaisedNMI()).toBe(false);
+            expect(list.isEdgeTriggered(6)).toBe(true);
+        });
+    });
+
+    describe('NMI', () => {
+        test('the NMI ignores the mask', () => {
+            list.raiseNMI();
+            expect(list.hasPossibleInterrupts(0)).toBe(true);
+            // It isn't one of the numbered levels.
+            expect(list.getLowestRaisedInterrupt(15)).toBe(0);
+        });
+
+        test('the NMI is always edge triggered', () => {
+            list.raiseNMI();
+            list.raiseInterrupt(1);
+            list.acknowledgeNMI();
+            expect(list.hasRaisedNMI()).toBe(false);
+            expect(list.isInterruptRaised(1)).toBe(true);
+        });
+    });
+});
+
+describe('Flow taking interrupts', () => {
+    // Levels 1 and 3 and the NMI each have a workspace of their own.  The NMI
+    // vectors live at the very end of memory.
+    const source = `
+    AORG >0000
+    DATA >0080,>0100
+    DATA >00A0,>0200
+    DATA >0000,>0000
+    DATA >00C0,>0300
+    AORG >0100
+    LIMI 15
+LOOP
+    INC R1
+    JMP LOOP
+    AORG >0200
+    INC R0
+    RTWP
+    AORG >0300
+    INC R0
+    RTWP
+    AORG >0400
+    INC R0
+    RTWP
+    AORG >FFFC
+    DATA >00E0,>0400
+`;
+
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        spyOn(console, 'debug').mockImplementation(() => {});
+        sim = new Simulation();
+        sim.reset();
+        const asm = new Asm();
+        asm.setLines(source);
+        asm.process();
+        const bytes = asm.toBytes();
+        for (const offset in bytes) {
+            sim.state.setByte(Number(offset), bytes[offset]);
+        }
+        // Run through the LIMI and into the loop.
+        for (let i = 0; i < 4; i++) {
+            sim.stepInstruction();
+        }
+    });
+
+    /**
+     * Taking an interrupt is a single step.  Say which handler it was by the
+     * workspace it switched to.
+     * @returns {number}
+     **/
+    function stepIntoHandler() {
+        sim.stepInstruction();
+        return sim.state.workspace_pointer;
+    }
+
+    test('the lowest numbered level is taken first', () => {
+        sim.state.interrupt_list.raiseInterrupt(3);
+        sim.state.interrupt_list.raiseInterrupt(1);
+        expect(stepIntoHandler()).toBe(0x00A0);
+        expect(sim.state.status_register.getInterruptMask()).toBe(0);
+    });
+
+    test('the NMI goes before everything else', () => {
+        sim.state.interrupt_list.raiseInterrupt(1);
+        sim.state.interrupt_list.raiseNMI();
+        expect(stepIntoHandler()).toBe(0x00E0);
+        expect(sim.state.interrupt_list.hasRaisedNMI()).toBe(false);
+        expect(sim.state.interrupt_list.isInterruptRaised(1)).toBe(true);
+    });
+});
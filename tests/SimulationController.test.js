@@ -0,0 +1,126 @@
+// @ts-check
+
+import { describe, test, expect, beforeEach, spyOn } from "bun:test";
+import { Simulation } from "../classes/Simulation.js";
+import { Asm } from "../classes/Asm.js";
+import { SimulationController } from "../controllers/SimulationController.js";
+
+// Memory tells the page about every write.
+// @ts-ignore
+globalThis.window = globalThis;
+
+describe('SimulationController real time mode', () => {
+    const source = `
+    AORG >0000
+    DATA >0080,>0100
+    AORG >0100
+LOOP
+    INC R1
+    JMP LOOP
+`;
+    // Timestamps are made up, so frames can be as long as a test wants.
+    const frameMs = 1000 / 60;
+
+    /** @type {Simulation} */
+    let sim;
+    /** @type {SimulationController} */
+    let controller;
+
+    beforeEach(() => {
+        spyOn(console, 'debug').mockImplementation(() => {});
+        sim = new Simulation();
+        sim.reset();
+        const asm = new Asm();
+        asm.setLines(source);
+        asm.process();
+        const bytes = asm.toBytes();
+        for (const offset in bytes) {
+            sim.state.setByte(Number(offset), bytes[offset]);
+        }
+        // A slow clock keeps each frame down to a handful of instructions.
+        sim.clock_rate = 60000;
+        controller = new SimulationController(sim);
+        controller.setRealTimeMode(true);
+        controller.start();
+    });
+
+    /**
+     * How far behind the wall clock the simulation is, worked out the long way.
+     * @param {number} startCycles
+     * @param {number} elapsedMs
+     * @returns {number}
+     **/
+    function expectedLagMs(startCycles, elapsedMs) {
+        const target = startCycles + (elapsedMs * sim.clock_rate / 1000);
+        return Math.max(0, target - sim.cycle_count) * 1000 / sim.clock_rate;
+    }
+
+    test('keeping up means no lag', () => {
+        // However long the host takes, let it finish every frame.
+        controller.realTimeFrameBudgetMs = Infinity;
+        let ts = 1000;
+        for (let frame = 0; frame < 30; frame++) {
+            controller.processSimulationTick(ts);
+            expect(controller.realTimeLagMs).toBe(0);
+            ts += frameMs;
+        }
+        // A second at 60 kHz is 60000 cycles, give or take the last instruction.
+        const elapsedSeconds = (ts - frameMs - 1000) / 1000;
+        expect(sim.cycle_count).toBeGreaterThanOrEqual(elapsedSeconds * sim.clock_rate);
+        expect(sim.cycle_count).toBeLessThan((elapsedSeconds * sim.clock_rate) + 40);
+    });
+
+    test('the lag is how far the cycle count is behind the wall clock', () => {
+        controller.processSimulationTick(1000);
+        const startCycles = sim.cycle_count;
+
+        // No time to do anything but the first few steps of each frame.
+        controller.realTimeFrameBudgetMs = 0;
+        controller.processSimulationTick(1000 + frameMs);
+        expect(controller.realTimeLagMs).toBeGreaterThan(0);
+        expect(controller.realTimeLagMs).toBeCloseTo(expectedLagMs(startCycles, frameMs), 6);
+
+        controller.processSimulationTick(1000 + (2 * frameMs));
+        expect(controller.realTimeLagMs).toBeCloseTo(expectedLagMs(startCycles, 2 * frameMs), 6);
+    });
+
+    test('only a few frames worth of lag gets carried over', () => {
+        controller.processSimulationTick(1000);
+        const startCycles = sim.cycle_count;
+        controller.realTimeFrameBudgetMs = 0;
+
+        // The tab went away for ten seconds.
+        controller.processSimulationTick(11000);
+        expect(controller.realTimeLagMs).toBeCloseTo(expectedLagMs(startCycles, 10000), 6);
+        expect(controller.realTimeLagMs).toBeGreaterThan(9000);
+
+        // Everything past the carry is given up on.
+        const carriedCycles = sim.cycle_count;
+        controller.processSimulationTick(11000 + frameMs);
+        const carriedMs = controller.realTimeMaxCarryMs + frameMs;
+        expect(controller.realTimeLagMs).toBeCloseTo(expectedLagMs(carriedCycles, carriedMs), 6);
+        expect(controller.realTimeLagMs).toBeLessThanOrEqual(carriedMs);
+    });
+
+    test('changing the clock rate starts counting over', () => {
+        controller.processSimulationTick(1000);
+        controller.realTimeFrameBudgetMs = 0;
+        controller.processSimulationTick(2000);
+        expect(controller.realTimeLagMs).toBeGreaterThan(0);
+
+        sim.clock_rate = 120000;
+        controller.processSimulationTick(3000);
+        expect(controller.realTimeLagMs).toBe(0);
+    });
+
+    test('leaving real time mode forgets the lag', () => {
+        controller.processSimulationTick(1000);
+        controller.realTimeFrameBudgetMs = 0;
+        controller.processSimulationTick(2000);
+        expect(controller.realTimeLagMs).toBeGreaterThan(0);
+
+        controller.setFastMode(true);
+        expect(controller.realTimeMode).toBe(false);
+        expect(controller.realTimeLagMs).toBe(0);
+    });
+});
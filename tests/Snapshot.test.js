@@ -0,0 +1,170 @@
+// @ts-check
+
+import { describe, test, expect, beforeEach, spyOn } from "bun:test";
+import { Simulation } from "../classes/Simulation.js";
+import { Asm } from "../classes/Asm.js";
+
+// Memory tells the page about every write.
+// @ts-ignore
+globalThis.window = globalThis;
+
+describe('Snapshot round trips', () => {
+    // Interrupt 3 counts in R5 of its own workspace and goes back to whatever
+    // it interrupted.  The string gets copied with it let in, and then IDLE
+    // waits for it.
+    const source = `
+    AORG >0000
+    DATA >0080,>0100
+    DATA >0000,>0000
+    DATA >0000,>0000
+    DATA >00A0,>0300
+    AORG >0100
+    LI R1,>0400
+    LI R2,>0500
+    LI R3,>1234
+    MOV R3,*R1+
+    A *R1+,*R1+
+    LIMI 3
+    MOVS *R1+,*R2+,4
+    IDLE
+LOOP
+    INC R4
+    JMP LOOP
+    AORG >0300
+    INC R5
+    RTWP
+    AORG >0400
+    DATA >1111,>2222,>3333,>4444,>5555,>6666
+`;
+
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        spyOn(console, 'debug').mockImplementation(() => {});
+        sim = new Simulation();
+        // So that MOVS exists.
+        sim.compat_990_12 = true;
+        sim.reset();
+        const asm = new Asm();
+        asm.setLines(`    CKPT R6\n${source}`);
+        asm.process();
+        const bytes = asm.toBytes();
+        for (const offset in bytes) {
+            sim.state.setByte(Number(offset), bytes[offset]);
+        }
+    });
+
+    /**
+     * Step a state at a time until the Flow is about to go into the given
+     * state, with the current instruction being the named one.
+     * @param {string} flow_state
+     * @param {string} name
+     **/
+    function stepUntil(flow_state, name) {
+        for (let i = 0; i < 500; i++) {
+            const inst = sim.ep.getCurrentInstruction();
+            if (sim.flow.flow_state == flow_state && inst.isLegal() && inst.opcode_def.name == name) {
+                return;
+            }
+            sim.step();
+        }
+        throw new Error(`Never got to state ${flow_state} on ${name}`);
+    }
+
+    /**
+     * Save the machine and load it into a brand new one.
+     * @returns {Simulation}
+     **/
+    function roundTrip() {
+        const json = sim.saveSnapshot();
+        const copy = new Simulation();
+        copy.restoreSnapshot(json);
+        expect(copy.saveSnapshot()).toBe(json);
+        return copy;
+    }
+
+    /**
+     * Run both machines a state at a time, and make sure they never disagree.
+     * Once interrupt 3 has been taken, nobody's asking for it any more.
+     * @param {Simulation} copy
+     * @param {number} steps
+     **/
+    function expectSameFuture(copy, steps) {
+        for (let i = 0; i < steps; i++) {
+            [sim, copy].forEach( (machine) => {
+                machine.step();
+                if (machine.state.workspace_pointer == 0x00A0) {
+                    machine.state.interrupt_list.clearInterrupt(3);
+                }
+            } );
+            expect(copy.flow.flow_state).toBe(sim.flow.flow_state);
+            expect(copy.saveSnapshot()).toBe(sim.saveSnapshot());
+        }
+    }
+
+    test('between instructions', () => {
+        stepUntil('D', 'MOV');
+        const copy = roundTrip();
+        expect(copy.state.getPc()).toBe(sim.state.getPc());
+        expect(copy.state.getRegisterWord(1)).toBe(0x0400);
+        expect(copy.cycle_count).toBe(sim.cycle_count);
+        expectSameFuture(copy, 60);
+        expect(copy.flow.isIdle()).toBe(true);
+    });
+
+    test('partway through an instruction that autoincremented', () => {
+        stepUntil('B', 'A');
+        // Both operands have been fetched, and R1 has gone up twice.
+        expect(sim.state.getRegisterWord(1)).toBe(0x0406);
+        const copy = roundTrip();
+        expect(copy.state.getRegisterWord(1)).toBe(0x0406);
+        expect(copy.flow.flow_state).toBe('B');
+        expectSameFuture(copy, 60);
+        // 0x2222 + 0x3333, where the second autoincrement left it.
+        expect(copy.state.getWord(0x0404)).toBe(0x5555);
+    });
+
+    test('partway through a string instruction', () => {
+        stepUntil('B', 'MOVS');
+        const copy = roundTrip();
+        // The string gets interrupted after its first byte.
+        sim.state.interrupt_list.raiseInterrupt(3);
+        copy.state.interrupt_list.raiseInterrupt(3);
+        expectSameFuture(copy, 60);
+        expect(copy.state.getWord(0x00AA)).toBe(1);
+        expect(copy.state.getWord(0x0500)).toBe(0x4444);
+        expect(copy.state.getWord(0x0502)).toBe(0x5555);
+        expect(copy.state.getRegisterWord(6)).toBe(0xFFFF);
+        expect(copy.flow.isIdle()).toBe(true);
+    });
+
+    test('while IDLE waits', () => {
+        stepUntil('Idle', 'IDLE');
+        sim.step();
+        expect(sim.flow.isIdle()).toBe(true);
+        const copy = roundTrip();
+        expect(copy.flow.isIdle()).toBe(true);
+        expect(copy.cycle_count).toBe(sim.cycle_count);
+        expectSameFuture(copy, 5);
+        expect(copy.flow.isIdle()).toBe(true);
+
+        sim.state.interrupt_list.raiseInterrupt(3);
+        copy.state.interrupt_list.raiseInterrupt(3);
+        expectSameFuture(copy, 40);
+        expect(copy.flow.isIdle()).toBe(false);
+        expect(copy.state.getWord(0x00AA)).toBe(1);
+    });
+
+    test('older snapshots still load', () => {
+        stepUntil('D', 'MOV');
+        const file = JSON.parse(sim.saveSnapshot());
+        file.version = 1;
+        delete file.execution_process.ci_begun;
+        delete file.execution_process.ci_fetched;
+        delete file.execution_process.ci_autoincrements;
+        const copy = new Simulation();
+        copy.restoreSnapshot(JSON.stringify(file));
+        expectSameFuture(copy, 20);
+    });
+});